@@ -0,0 +1,370 @@
+import express from 'express';
+import { invitacionesRepository } from '../repositories/invitacionesRepository.js';
+import { usuariosRepository } from '../repositories/usuariosRepository.js';
+import { createInvitacionValidations } from '../validations/createInvitacionValidations.js';
+import { validateObjectIdFormat } from '../validations/validateObjectIdFormat.js';
+import { sessionChecker } from '../security/sessionChecker.js';
+import { selfOrAdminChecker } from '../security/selfOrAdminChecker.js';
+import { tableroAccessChecker } from '../security/tableroAccessChecker.js';
+import { getTableroRole } from '../security/tableroPermissions.js';
+import { acceptInvitation } from '../utils/boardInvitations.js';
+import { sendMail } from '../utils/mail/mailTransport.js';
+import { boardInvitationMail } from '../utils/mail/mailTemplates.js';
+import { ForbiddenError } from '../errors/ForbiddenError.js';
+
+/**
+ * Días de validez de una invitación a un tablero, configurables mediante `INVITATION_EXPIRATION_IN_DAYS`.
+ *
+ * @constant {number}
+ */
+const INVITATION_EXPIRATION_IN_DAYS = parseInt(process.env.INVITATION_EXPIRATION_IN_DAYS, 10) || 7;
+
+/**
+ * Obtiene una invitación pendiente dirigida al usuario de la sesión.
+ * El usuario debe haber verificado su email, de modo que solo quien controla ese buzón pueda responderla.
+ *
+ * @async
+ * @function getOwnPendingInvitation
+ * @param {string} id - ID de la invitación.
+ * @param {Object} tokenData - Datos de la sesión.
+ * @returns {Promise<Object|null>} La invitación o null si no existe, ya se respondió o ha caducado.
+ * @throws {ForbiddenError} Si la invitación está dirigida a otro email o el usuario no ha verificado su email.
+ */
+async function getOwnPendingInvitation(id, tokenData) {
+  const invitacion = await invitacionesRepository.getPending(id);
+
+  if (!invitacion) {
+    return null;
+  }
+
+  const user = await usuariosRepository.getOne(tokenData.id);
+
+  if (!user || user.email !== invitacion.email) {
+    throw new ForbiddenError('La invitación está dirigida a otro email');
+  }
+
+  if (!user.emailVerificado) {
+    throw new ForbiddenError('Verifica tu email antes de responder a la invitación');
+  }
+
+  return invitacion;
+}
+
+/**
+ * Controlador para gestionar las invitaciones a tableros por email.
+ *
+ * @module invitacionesController
+ * @requires express
+ * @requires ../repositories/invitacionesRepository
+ * @requires ../repositories/usuariosRepository
+ * @requires ../validations/createInvitacionValidations
+ * @requires ../validations/validateObjectIdFormat
+ * @requires ../security/sessionChecker
+ * @requires ../security/selfOrAdminChecker
+ * @requires ../security/tableroAccessChecker
+ * @requires ../security/tableroPermissions
+ * @requires ../utils/boardInvitations
+ * @requires ../utils/mail/mailTransport
+ * @requires ../utils/mail/mailTemplates
+ * @requires ../errors/ForbiddenError
+ */
+const invitacionesController = express.Router();
+
+/**
+ * Ruta para invitar a un tablero y listar sus invitaciones pendientes.
+ *
+ * @name /tableros/:id/invitaciones
+ * @function
+ */
+invitacionesController.route('/tableros/:id/invitaciones')
+  /**
+   * Invita a un email a colaborar en un tablero con un rol. El email no necesita pertenecer a un usuario registrado:
+   * quien se registre con él se unirá al tablero al verificarlo. Si el email ya tenía una invitación pendiente al tablero,
+   * se sustituye por la nueva. Requiere el permiso `miembros:gestionar` (propietario).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} req.body - Cuerpo de la solicitud.
+   * @param {string} req.body.email - Email invitado.
+   * @param {string} [req.body.rol='editor'] - Rol del invitado (editor, comentarista o lector).
+   * @param {boolean} [req.body.invitado=false] - Si el email no tiene cuenta, la que se registre con él será de invitado.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Invitación creada.
+   * @example
+   * // Respuesta exitosa (201 Created)
+   * {
+   *   "_id": "6650c2b3c9e77b001f8e4b10",
+   *   "tablero": "64f1a2b3c9e77b001f8e4a1a",
+   *   "email": "ana@example.com",
+   *   "rol": "editor",
+   *   "invitadoPor": "64f1a2b3c9e77b001f8e4a1b",
+   *   "invitado": false,
+   *   "estado": "pendiente",
+   *   "respondidaEn": null,
+   *   "expiresAt": "2024-05-31T10:00:00.000Z"
+   * }
+   * @example
+   * // Respuesta de error (400 Bad Request)
+   * {
+   *   "message": "El usuario ya es miembro del tablero"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), createInvitacionValidations, async (req, res, next) => {
+    try {
+      const { email, rol, invitado } = req.curatedBody;
+      const tablero = req.tablero;
+
+      const existingUsuario = await usuariosRepository.getOneByEmail(email);
+      if (existingUsuario && getTableroRole(tablero, existingUsuario._id.toString())) {
+        return res.status(400).json({ message: 'El usuario ya es miembro del tablero' });
+      }
+
+      const { token, item } = await invitacionesRepository.create({
+        tablero: tablero._id,
+        email,
+        rol,
+        invitadoPor: req.tokenData.id,
+        invitado,
+        dias: INVITATION_EXPIRATION_IN_DAYS
+      });
+
+      await sendMail({
+        to: email,
+        ...boardInvitationMail({
+          tablero: tablero.nombre,
+          invitadoPor: req.tokenData.nombre,
+          rol,
+          token,
+          dias: INVITATION_EXPIRATION_IN_DAYS
+        })
+      });
+
+      res.status(201).json(item);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Lista las invitaciones pendientes de un tablero. Requiere el permiso `miembros:gestionar` (propietario).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object[]} - Lista de invitaciones pendientes.
+   */
+  .get(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), async (req, res, next) => {
+    try {
+      const itemList = await invitacionesRepository.listPendingByTablero(req.tablero._id);
+      res.json(itemList);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para cancelar una invitación pendiente de un tablero.
+ *
+ * @name /tableros/:id/invitaciones/:invitacionId
+ * @function
+ */
+invitacionesController.route('/tableros/:id/invitaciones/:invitacionId')
+  /**
+   * Cancela una invitación pendiente. El enlace enviado por email deja de ser válido.
+   * Requiere el permiso `miembros:gestionar` (propietario).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {string} req.params.invitacionId - ID de la invitación.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Invitación cancelada.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "Invitación con id 6650c2b3c9e77b001f8e4b10 no encontrada"
+   * }
+   */
+  .delete(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), validateObjectIdFormat('invitacionId'), tableroAccessChecker({ permission: 'miembros:gestionar' }), async (req, res, next) => {
+    try {
+      const invitacionId = req.params.invitacionId;
+      const cancelledItem = await invitacionesRepository.cancel(invitacionId, req.tablero._id);
+
+      if (!cancelledItem) {
+        return res.status(404).json({ message: `Invitación con id ${invitacionId} no encontrada` });
+      }
+
+      res.json(cancelledItem);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para listar las invitaciones pendientes de un usuario.
+ *
+ * @name /usuarios/:id/invitaciones
+ * @function
+ */
+invitacionesController.route('/usuarios/:id/invitaciones')
+  /**
+   * Lista las invitaciones pendientes dirigidas al email del usuario, con el nombre del tablero y de quien invita.
+   * Solo el propio usuario, una vez verificado su email, o un administrador pueden consultarlas.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del usuario.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object[]} - Lista de invitaciones pendientes.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * [
+   *   {
+   *     "_id": "6650c2b3c9e77b001f8e4b10",
+   *     "tablero": { "_id": "64f1a2b3c9e77b001f8e4a1a", "nombre": "Proyecto X", "descripcion": "Descripción del proyecto X" },
+   *     "email": "ana@example.com",
+   *     "rol": "editor",
+   *     "invitadoPor": { "_id": "64f1a2b3c9e77b001f8e4a1b", "nombre": "Juan Pérez" },
+   *     "estado": "pendiente",
+   *     "expiresAt": "2024-05-31T10:00:00.000Z"
+   *   }
+   * ]
+   */
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true), validateObjectIdFormat(), selfOrAdminChecker(), async (req, res, next) => {
+    try {
+      const user = await usuariosRepository.getOne(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ message: `Usuario con id ${req.params.id} no encontrado` });
+      }
+
+      if (req.tokenData.rol !== 'administrador' && !user.emailVerificado) {
+        throw new ForbiddenError('Verifica tu email antes de consultar tus invitaciones');
+      }
+
+      const itemList = await invitacionesRepository.listPendingByEmail(user.email);
+      res.json(itemList);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta pública para consultar una invitación a partir del token recibido por email,
+ * de modo que el cliente pueda mostrarla antes de iniciar sesión o registrarse.
+ *
+ * @name /invitaciones/token/:token
+ * @function
+ */
+invitacionesController.route('/invitaciones/token/:token')
+  /**
+   * Obtiene una invitación pendiente a partir de su token.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.token - Token de la invitación.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Invitación pendiente.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "Invitación no encontrada o caducada"
+   * }
+   */
+  .get(async (req, res, next) => {
+    try {
+      const invitacion = await invitacionesRepository.getPendingByToken(req.params.token);
+
+      if (!invitacion) {
+        return res.status(404).json({ message: 'Invitación no encontrada o caducada' });
+      }
+
+      res.json(invitacion);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para aceptar una invitación.
+ *
+ * @name /invitaciones/:id/aceptar
+ * @function
+ */
+invitacionesController.route('/invitaciones/:id/aceptar')
+  /**
+   * Acepta una invitación pendiente dirigida al email del usuario de la sesión, que pasa a ser colaborador
+   * del tablero con el rol de la invitación.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID de la invitación.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Tablero al que se ha unido el usuario.
+   * @example
+   * // Respuesta de error (403 Forbidden)
+   * {
+   *   "message": "Verifica tu email antes de responder a la invitación"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario', 'invitado'], true), validateObjectIdFormat(), async (req, res, next) => {
+    try {
+      const invitacion = await getOwnPendingInvitation(req.params.id, req.tokenData);
+
+      if (!invitacion) {
+        return res.status(404).json({ message: `Invitación con id ${req.params.id} no encontrada` });
+      }
+
+      const tablero = await acceptInvitation(invitacion, req.tokenData.id);
+
+      if (!tablero) {
+        return res.status(404).json({ message: `Invitación con id ${req.params.id} no encontrada` });
+      }
+
+      res.json(tablero);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para rechazar una invitación.
+ *
+ * @name /invitaciones/:id/rechazar
+ * @function
+ */
+invitacionesController.route('/invitaciones/:id/rechazar')
+  /**
+   * Rechaza una invitación pendiente dirigida al email del usuario de la sesión.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID de la invitación.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Invitación rechazada.
+   */
+  .post(sessionChecker(['administrador', 'usuario', 'invitado'], true), validateObjectIdFormat(), async (req, res, next) => {
+    try {
+      const invitacion = await getOwnPendingInvitation(req.params.id, req.tokenData);
+      const rejectedItem = invitacion && await invitacionesRepository.respond(invitacion._id, 'rechazada');
+
+      if (!rejectedItem) {
+        return res.status(404).json({ message: `Invitación con id ${req.params.id} no encontrada` });
+      }
+
+      res.json(rejectedItem);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+export { invitacionesController };
@@ -1,10 +1,28 @@
 import express from 'express';
 import { tablerosRepository } from '../repositories/tablerosRepository.js';
 import { usuariosRepository } from '../repositories/usuariosRepository.js';
+import { tareasRepository } from '../repositories/tareasRepository.js';
 import { createTableroValidations } from '../validations/createTableroValidations.js';
 import { updateTableroValidations } from '../validations/updateTableroValidations.js';
 import { validateObjectIdFormat } from '../validations/validateObjectIdFormat.js';
 import { sessionChecker } from '../security/sessionChecker.js';
+import { tableroAccessChecker } from '../security/tableroAccessChecker.js';
+import { getTableroRole, hasTableroPermission } from '../security/tableroPermissions.js';
+import { addColaboradorValidations } from '../validations/addColaboradorValidations.js';
+import { removeColaboradorValidations } from '../validations/removeColaboradorValidations.js';
+import { updateColaboradorRolValidations } from '../validations/updateColaboradorRolValidations.js';
+import { selfOrAdminChecker } from '../security/selfOrAdminChecker.js';
+import { ForbiddenError } from '../errors/ForbiddenError.js';
+import { createEnlaceUnionValidations } from '../validations/createEnlaceUnionValidations.js';
+import { transferTableroValidations } from '../validations/transferTableroValidations.js';
+import { workspacesRepository } from '../repositories/workspacesRepository.js';
+import { hasWorkspacePermission } from '../security/workspacePermissions.js';
+import { createEtiquetaValidations } from '../validations/createEtiquetaValidations.js';
+import { updateEtiquetaValidations } from '../validations/updateEtiquetaValidations.js';
+import { buildDependencyGraph } from '../utils/taskDependencies.js';
+import { updateFlujoValidations } from '../validations/updateFlujoValidations.js';
+import { getFlujo } from '../utils/boardWorkflow.js';
+import { ConflictError } from '../errors/ConflictError.js';
 
 /**
  * Controlador para gestionar rutas relacionadas con tableros.
@@ -16,7 +34,24 @@ import { sessionChecker } from '../security/sessionChecker.js';
  * @requires ../validations/updateTableroValidations
  * @requires ../validations/validateObjectIdFormat
  * @requires ../security/sessionChecker
+ * @requires ../security/tableroAccessChecker
+ * @requires ../security/tableroPermissions
+ * @requires ../validations/addColaboradorValidations
+ * @requires ../validations/removeColaboradorValidations
+ * @requires ../validations/updateColaboradorRolValidations
+ * @requires ../security/selfOrAdminChecker
  * @requires ../errors/ForbiddenError
+ * @requires ../validations/createEnlaceUnionValidations
+ * @requires ../repositories/tareasRepository
+ * @requires ../validations/transferTableroValidations
+ * @requires ../repositories/workspacesRepository
+ * @requires ../security/workspacePermissions
+ * @requires ../validations/createEtiquetaValidations
+ * @requires ../validations/updateEtiquetaValidations
+ * @requires ../utils/taskDependencies
+ * @requires ../validations/updateFlujoValidations
+ * @requires ../utils/boardWorkflow
+ * @requires ../errors/ConflictError
  */
 const tablerosController = express.Router();
 
@@ -40,6 +75,7 @@ tablerosController.route('/tableros')
    * @param {Date} [req.body.fechaFin] - Fecha de finalización del proyecto.
    * @param {string} req.body.administrador - ID del administrador del tablero (requerido).
    * @param {string[]} [req.body.colaboradores] - Lista de IDs de colaboradores.
+   * @param {string} [req.body.workspace] - ID del workspace del tablero. Hay que ser miembro del workspace.
    * @param {Object} res - Objeto de respuesta HTTP.
    * @returns {Object} - Respuesta con el tablero creado.
    * @example
@@ -54,12 +90,28 @@ tablerosController.route('/tableros')
    *   "colaboradores": ["64f1a2b3c9e77b001f8e4a1c"]
    * }
    */
-  .post(sessionChecker(['administrador', 'usuario'], true), createTableroValidations, async (req, res) => {
-    const createdItem = await tablerosRepository.create({
-      ...req.curatedBody,
-      administrador: req.tokenData.id
-    });
-    res.status(201).json(createdItem);
+  .post(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), createTableroValidations, async (req, res, next) => {
+    try {
+      const { workspace: workspaceId } = req.curatedBody;
+
+      if (workspaceId) {
+        const workspace = await workspacesRepository.getOne(workspaceId);
+        if (!workspace) {
+          return res.status(404).json({ message: `Workspace con id ${workspaceId} no encontrado` });
+        }
+        if (req.tokenData.rol !== 'administrador' && !hasWorkspacePermission(workspace, req.tokenData.id, 'tableros:crear')) {
+          return next(new ForbiddenError('No tienes permiso para realizar esta acción en el workspace'));
+        }
+      }
+
+      const createdItem = await tablerosRepository.create({
+        ...req.curatedBody,
+        administrador: req.tokenData.id
+      });
+      res.status(201).json(createdItem);
+    } catch (e) {
+      next(e);
+    }
   })
 
   /**
@@ -84,7 +136,7 @@ tablerosController.route('/tableros')
    *   }
    * ]
    */
-  .get(sessionChecker(['administrador'], true), async (req, res) => {
+  .get(sessionChecker(['administrador'], true, { scope: 'tableros:read' }), async (req, res) => {
     const itemList = await tablerosRepository.list();
     res.json(itemList);
   });
@@ -97,7 +149,7 @@ tablerosController.route('/tableros')
  */
 tablerosController.route('/tableros/:id')
   /**
-   * Obtiene un tablero por su ID.
+   * Obtiene un tablero por su ID. Solo pueden consultarlo sus miembros.
    * 
    * @async
    * @function
@@ -122,17 +174,13 @@ tablerosController.route('/tableros/:id')
    *   "message": "Tablero con id 64f1a2b3c9e77b001f8e4a1a no encontrado"
    * }
    */
-  .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res, next) => {
-    const itemId = req.params.id;
-    const item = await tablerosRepository.getOne(itemId);
-    if (!item) {
-      return res.status(404).json({ message: `Tablero con id ${itemId} no encontrado` });
-    }
-    res.json(item);
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), tableroAccessChecker(), async (req, res, next) => {
+    res.json(req.tablero);
   })
 
   /**
-   * Actualiza un tablero por su ID.
+   * Actualiza los datos de un tablero por su ID. Requiere el permiso `tablero:editar` (propietario o editor).
+   * Los miembros se gestionan en sus propias rutas y el administrador solo cambia mediante una transferencia.
    * 
    * @async
    * @function
@@ -143,8 +191,6 @@ tablerosController.route('/tableros/:id')
    * @param {string} [req.body.descripcion] - Nueva descripción del tablero.
    * @param {Date} [req.body.fechaInicio] - Nueva fecha de inicio del proyecto.
    * @param {Date} [req.body.fechaFin] - Nueva fecha de finalización del proyecto.
-   * @param {string} [req.body.administrador] - Nuevo ID del administrador del tablero.
-   * @param {string[]} [req.body.colaboradores] - Nueva lista de IDs de colaboradores.
    * @param {Object} res - Objeto de respuesta HTTP.
    * @returns {Object} - Tablero actualizado.
    * @example
@@ -163,19 +209,24 @@ tablerosController.route('/tableros/:id')
    * {
    *   "message": "Tablero con id 64f1a2b3c9e77b001f8e4a1a no encontrado"
    * }
+   * @example
+   * // Respuesta de error (403 Forbidden)
+   * {
+   *   "message": "No tienes permiso para realizar esta acción en el tablero"
+   * }
    */
-  .put(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), updateTableroValidations, async (req, res, next) => {
-    const itemId = req.params.id;
-    const item = await tablerosRepository.getOne(itemId);
-    if (!item) {
-      return res.status(404).json({ message: `Tablero con id ${itemId} no encontrado` });
+  .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'tablero:editar' }), updateTableroValidations, async (req, res, next) => {
+    try {
+      const itemId = req.params.id;
+      const updatedItem = await tablerosRepository.update(itemId, req.curatedBody);
+      res.json(updatedItem);
+    } catch (e) {
+      next(e);
     }
-    const updatedItem = await tablerosRepository.update(itemId, req.curatedBody);
-    res.json(updatedItem);
   })
 
   /**
-   * Elimina un tablero por su ID.
+   * Elimina un tablero por su ID. Requiere el permiso `tablero:eliminar` (propietario).
    * 
    * @async
    * @function
@@ -191,14 +242,14 @@ tablerosController.route('/tableros/:id')
    *   "message": "Tablero con id 64f1a2b3c9e77b001f8e4a1a no encontrado"
    * }
    */
-  .delete(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res, next) => {
-    const itemId = req.params.id;
-    const item = await tablerosRepository.getOne(itemId);
-    if (!item) {
-      return res.status(404).json({ message: `Tablero con id ${itemId} no encontrado` });
+  .delete(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'tablero:eliminar' }), async (req, res, next) => {
+    try {
+      const itemId = req.params.id;
+      await tablerosRepository.remove(itemId);
+      res.status(204).json();
+    } catch (e) {
+      next(e);
     }
-    await tablerosRepository.remove(itemId);
-    res.status(204).json();
   });
 
 /**
@@ -209,7 +260,9 @@ tablerosController.route('/tableros/:id')
  */
 tablerosController.route('/tableros/:id/colaboradores')
   /**
-   * Añade un colaborador a un tablero.
+   * Añade un colaborador a un tablero con un rol. Requiere el permiso `miembros:gestionar` (propietario).
+   * El propietario y los colaboradores actuales del tablero no se pueden añadir; para cambiar el rol de un colaborador
+   * se usa `PUT /tableros/:id/colaboradores/:userId`.
    * 
    * @async
    * @function
@@ -217,6 +270,7 @@ tablerosController.route('/tableros/:id/colaboradores')
    * @param {string} req.params.id - ID del tablero.
    * @param {Object} req.body - Cuerpo de la solicitud con el ID del colaborador.
    * @param {string} req.body.userId - ID del usuario a añadir como colaborador.
+   * @param {string} [req.body.rol='editor'] - Rol del colaborador (editor, comentarista o lector).
    * @param {Object} res - Objeto de respuesta HTTP.
    * @returns {Object} - Tablero actualizado con el nuevo colaborador.
    * @example
@@ -228,31 +282,52 @@ tablerosController.route('/tableros/:id/colaboradores')
    *   "fechaInicio": "2023-09-01T00:00:00.000Z",
    *   "fechaFin": "2023-12-31T00:00:00.000Z",
    *   "administrador": "64f1a2b3c9e77b001f8e4a1b",
-   *   "colaboradores": ["64f1a2b3c9e77b001f8e4a1c", "64f1a2b3c9e77b001f8e4a1d"]
+   *   "colaboradores": ["64f1a2b3c9e77b001f8e4a1c", "64f1a2b3c9e77b001f8e4a1d"],
+   *   "rolesColaboradores": { "64f1a2b3c9e77b001f8e4a1c": "editor", "64f1a2b3c9e77b001f8e4a1d": "lector" }
    * }
    * @example
    * // Respuesta de error (404 Not Found)
    * {
    *   "message": "Usuario con id 64f1a2b3c9e77b001f8e4a1d no encontrado"
    * }
+   * @example
+   * // Respuesta de error (409 Conflict)
+   * {
+   *   "message": "El usuario ya es colaborador del tablero"
+   * }
    */
-  .post(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res, next) => {
-    const tableroId = req.params.id;
-    const { userId } = req.body;
-    const user = await usuariosRepository.getOne(userId);
-    if (!user) {
-      return res.status(404).json({ message: `Usuario con id ${userId} no encontrado` });
-    }
-    const tablero = await tablerosRepository.getOne(tableroId);
-    if (!tablero) {
-      return res.status(404).json({ message: `Tablero con id ${tableroId} no encontrado` });
+  .post(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), addColaboradorValidations, async (req, res, next) => {
+    try {
+      const tableroId = req.params.id;
+      const { userId, rol } = req.curatedBody;
+      const user = await usuariosRepository.getOne(userId);
+      if (!user) {
+        return res.status(404).json({ message: `Usuario con id ${userId} no encontrado` });
+      }
+
+      const rolActual = getTableroRole(req.tablero, userId);
+      if (rolActual === 'propietario') {
+        throw new ConflictError('El propietario del tablero no puede ser colaborador');
+      }
+      if (rolActual) {
+        throw new ConflictError('El usuario ya es colaborador del tablero');
+      }
+
+      const updatedTablero = await tablerosRepository.addCollaborator(tableroId, userId, rol);
+
+      // Otra petición ha podido añadir al usuario, o transferirle el tablero, desde la comprobación anterior
+      if (!updatedTablero) {
+        throw new ConflictError('El usuario ya es miembro del tablero');
+      }
+
+      res.json(updatedTablero);
+    } catch (e) {
+      next(e);
     }
-    const updatedTablero = await tablerosRepository.addCollaborator(tableroId, userId);
-    res.json(updatedTablero);
   })
 
   /**
-   * Elimina un colaborador de un tablero.
+   * Elimina un colaborador de un tablero. Requiere el permiso `miembros:gestionar` (propietario).
    * 
    * @async
    * @function
@@ -279,19 +354,649 @@ tablerosController.route('/tableros/:id/colaboradores')
    *   "message": "Usuario con id 64f1a2b3c9e77b001f8e4a1d no encontrado"
    * }
    */
-  .delete(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res, next) => {
-    const tableroId = req.params.id;
-    const { userId } = req.body;
-    const user = await usuariosRepository.getOne(userId);
-    if (!user) {
-      return res.status(404).json({ message: `Usuario con id ${userId} no encontrado` });
+  .delete(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), removeColaboradorValidations, async (req, res, next) => {
+    try {
+      const tableroId = req.params.id;
+      const { userId } = req.curatedBody;
+      const user = await usuariosRepository.getOne(userId);
+      if (!user) {
+        return res.status(404).json({ message: `Usuario con id ${userId} no encontrado` });
+      }
+      const updatedTablero = await tablerosRepository.removeCollaborator(tableroId, userId);
+      res.json(updatedTablero);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para gestionar el rol de un colaborador de un tablero.
+ * 
+ * @name /tableros/:id/colaboradores/:userId
+ * @function
+ */
+tablerosController.route('/tableros/:id/colaboradores/:userId')
+  /**
+   * Cambia el rol de un colaborador de un tablero. Requiere el permiso `miembros:gestionar` (propietario).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {string} req.params.userId - ID del colaborador.
+   * @param {Object} req.body - Cuerpo de la solicitud con el nuevo rol.
+   * @param {string} req.body.rol - Nuevo rol del colaborador (editor, comentarista o lector).
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Tablero actualizado.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * {
+   *   "_id": "64f1a2b3c9e77b001f8e4a1a",
+   *   "nombre": "Proyecto X",
+   *   "administrador": "64f1a2b3c9e77b001f8e4a1b",
+   *   "colaboradores": ["64f1a2b3c9e77b001f8e4a1c"],
+   *   "rolesColaboradores": { "64f1a2b3c9e77b001f8e4a1c": "comentarista" }
+   * }
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "El usuario 64f1a2b3c9e77b001f8e4a1c no es colaborador del tablero"
+   * }
+   */
+  .put(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), validateObjectIdFormat("userId"), tableroAccessChecker({ permission: 'miembros:gestionar' }), updateColaboradorRolValidations, async (req, res, next) => {
+    try {
+      const { id, userId } = req.params;
+      const updatedTablero = await tablerosRepository.setCollaboratorRole(id, userId, req.curatedBody.rol);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: `El usuario ${userId} no es colaborador del tablero` });
+      }
+      res.json(updatedTablero);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para gestionar la transferencia de la propiedad de un tablero.
+ * 
+ * @name /tableros/:id/transferencia
+ * @function
+ */
+tablerosController.route('/tableros/:id/transferencia')
+  /**
+   * Solicita la transferencia de la propiedad del tablero a uno de sus colaboradores, que debe aceptarla
+   * en `POST /tableros/:id/transferencia/aceptar`. Sustituye a la solicitud anterior si la había.
+   * Los usuarios invitados no pueden recibir la propiedad. Requiere el permiso `tablero:transferir` (propietario).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} req.body - Cuerpo de la solicitud.
+   * @param {string} req.body.userId - ID del colaborador que recibirá la propiedad.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Tablero con la transferencia pendiente.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * {
+   *   "_id": "64f1a2b3c9e77b001f8e4a1a",
+   *   "nombre": "Proyecto X",
+   *   "administrador": "64f1a2b3c9e77b001f8e4a1b",
+   *   "colaboradores": ["64f1a2b3c9e77b001f8e4a1c"],
+   *   "transferenciaPendiente": {
+   *     "destinatario": "64f1a2b3c9e77b001f8e4a1c",
+   *     "solicitadaPor": "64f1a2b3c9e77b001f8e4a1b",
+   *     "solicitadaEn": "2024-06-23T10:00:00.000Z"
+   *   }
+   * }
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "El usuario 64f1a2b3c9e77b001f8e4a1c no es colaborador del tablero"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'tablero:transferir' }), transferTableroValidations, async (req, res, next) => {
+    try {
+      const { userId } = req.curatedBody;
+      const user = await usuariosRepository.getOne(userId);
+      if (user?.rol === 'invitado') {
+        return res.status(400).json({ message: 'Un usuario invitado no puede ser administrador de un tablero' });
+      }
+      const updatedTablero = await tablerosRepository.requestTransfer(req.params.id, userId, req.tokenData.id);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: `El usuario ${userId} no es colaborador del tablero` });
+      }
+      res.json(updatedTablero);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Cancela la transferencia de la propiedad pendiente. Puede hacerlo el propietario
+   * o el destinatario, que así la rechaza.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Tablero sin la transferencia pendiente.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "El tablero no tiene ninguna transferencia pendiente"
+   * }
+   */
+  .delete(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker(), async (req, res, next) => {
+    try {
+      const { id: userId, rol } = req.tokenData;
+      const transferencia = req.tablero.transferenciaPendiente;
+
+      if (!transferencia) {
+        return res.status(404).json({ message: 'El tablero no tiene ninguna transferencia pendiente' });
+      }
+
+      const isDestinatario = transferencia.destinatario.toString() === userId;
+      if (rol !== 'administrador' && !isDestinatario && !hasTableroPermission(req.tablero, userId, 'tablero:transferir')) {
+        return next(new ForbiddenError('No tienes permiso para realizar esta acción en el tablero'));
+      }
+
+      const updatedTablero = await tablerosRepository.cancelTransfer(req.params.id);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: 'El tablero no tiene ninguna transferencia pendiente' });
+      }
+      res.json(updatedTablero);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para aceptar la transferencia de la propiedad de un tablero.
+ * 
+ * @name /tableros/:id/transferencia/aceptar
+ * @function
+ */
+tablerosController.route('/tableros/:id/transferencia/aceptar')
+  /**
+   * Acepta la transferencia de la propiedad pendiente dirigida al usuario de la sesión, que pasa a ser
+   * el administrador del tablero. El administrador anterior queda como colaborador con el rol de editor.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Tablero con el nuevo administrador.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * {
+   *   "_id": "64f1a2b3c9e77b001f8e4a1a",
+   *   "nombre": "Proyecto X",
+   *   "administrador": "64f1a2b3c9e77b001f8e4a1c",
+   *   "colaboradores": ["64f1a2b3c9e77b001f8e4a1b"],
+   *   "rolesColaboradores": { "64f1a2b3c9e77b001f8e4a1b": "editor" },
+   *   "transferenciaPendiente": null
+   * }
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "No tienes ninguna transferencia pendiente en este tablero"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), tableroAccessChecker(), async (req, res, next) => {
+    try {
+      const updatedTablero = await tablerosRepository.acceptTransfer(req.params.id, req.tokenData.id);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: 'No tienes ninguna transferencia pendiente en este tablero' });
+      }
+      res.json(updatedTablero);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para abandonar un tablero.
+ * 
+ * @name /tableros/:id/abandonar
+ * @function
+ */
+tablerosController.route('/tableros/:id/abandonar')
+  /**
+   * Elimina al usuario de la sesión de los colaboradores del tablero y quita su asignación
+   * en las tareas del tablero que no están completadas. El administrador del tablero no puede abandonarlo
+   * sin transferir antes su propiedad.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {void} - Respuesta sin contenido (204).
+   * @example
+   * // Respuesta de error (400 Bad Request)
+   * {
+   *   "message": "Debes transferir la propiedad del tablero antes de abandonarlo"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario', 'invitado'], true), validateObjectIdFormat(), tableroAccessChecker(), async (req, res, next) => {
+    try {
+      const tableroId = req.params.id;
+      const userId = req.tokenData.id;
+
+      if (getTableroRole(req.tablero, userId) === 'propietario') {
+        return res.status(400).json({ message: 'Debes transferir la propiedad del tablero antes de abandonarlo' });
+      }
+
+      const updatedTablero = await tablerosRepository.removeCollaborator(tableroId, userId);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: 'No eres colaborador del tablero' });
+      }
+
+      await tareasRepository.unassignOpenByUser(tableroId, userId);
+      res.status(204).json();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para gestionar el enlace de unión de un tablero.
+ * 
+ * @name /tableros/:id/enlace
+ * @function
+ */
+tablerosController.route('/tableros/:id/enlace')
+  /**
+   * Genera un enlace para unirse al tablero con un rol, una caducidad y un número máximo de usos opcionales.
+   * Sustituye al enlace anterior, que deja de funcionar. El token solo se devuelve en esta respuesta.
+   * Requiere el permiso `miembros:gestionar` (propietario).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} req.body - Cuerpo de la solicitud con la configuración del enlace.
+   * @param {string} [req.body.rol='editor'] - Rol con el que se unen los usuarios (editor, comentarista o lector).
+   * @param {number} [req.body.expiraEnDias] - Días de validez del enlace (sin caducidad si no se indica).
+   * @param {number} [req.body.usosMaximos] - Número máximo de usuarios que pueden unirse (sin límite si no se indica).
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Token y configuración del enlace.
+   * @example
+   * // Respuesta exitosa (201 Created)
+   * {
+   *   "token": "Yk3m0cS1x2Q...",
+   *   "rol": "lector",
+   *   "usosMaximos": 20,
+   *   "usos": 0,
+   *   "expiresAt": "2024-06-30T10:00:00.000Z",
+   *   "creadoPor": "64f1a2b3c9e77b001f8e4a1b",
+   *   "creadoEn": "2024-06-23T10:00:00.000Z"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), createEnlaceUnionValidations, async (req, res, next) => {
+    try {
+      const { rol, expiraEnDias, usosMaximos } = req.curatedBody;
+      const expiresAt = expiraEnDias ? new Date(Date.now() + expiraEnDias * 24 * 60 * 60 * 1000) : null;
+
+      const result = await tablerosRepository.setJoinLink(req.params.id, {
+        rol,
+        usosMaximos: usosMaximos ?? null,
+        expiresAt,
+        creadoPor: req.tokenData.id
+      });
+
+      if (!result) {
+        return res.status(404).json({ message: `Tablero con id ${req.params.id} no encontrado` });
+      }
+
+      res.status(201).json({ token: result.token, ...result.item.enlaceUnion.toJSON() });
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Obtiene la configuración del enlace de unión del tablero, sin el token.
+   * Requiere el permiso `miembros:gestionar` (propietario).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Configuración del enlace.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "El tablero no tiene enlace de unión"
+   * }
+   */
+  .get(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), async (req, res) => {
+    if (!req.tablero.enlaceUnion) {
+      return res.status(404).json({ message: 'El tablero no tiene enlace de unión' });
     }
-    const tablero = await tablerosRepository.getOne(tableroId);
-    if (!tablero) {
-      return res.status(404).json({ message: `Tablero con id ${tableroId} no encontrado` });
+    res.json(req.tablero.enlaceUnion.toJSON());
+  })
+
+  /**
+   * Desactiva el enlace de unión del tablero. Requiere el permiso `miembros:gestionar` (propietario).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {void} - Respuesta sin contenido (204).
+   */
+  .delete(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'miembros:gestionar' }), async (req, res, next) => {
+    try {
+      const updatedTablero = await tablerosRepository.removeJoinLink(req.params.id);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: 'El tablero no tiene enlace de unión' });
+      }
+      res.status(204).json();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para listar y crear las etiquetas de un tablero.
+ * 
+ * @name /tableros/:id/etiquetas
+ * @function
+ */
+tablerosController.route('/tableros/:id/etiquetas')
+  /**
+   * Lista las etiquetas de un tablero. Requiere el permiso `tablero:leer`.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Array<Object>} - Etiquetas del tablero.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * [
+   *   { "_id": "64f1a2b3c9e77b001f8e4a2a", "nombre": "bug", "color": "#d73a4a" },
+   *   { "_id": "64f1a2b3c9e77b001f8e4a2b", "nombre": "frontend", "color": "#0075ca" }
+   * ]
+   */
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), tableroAccessChecker(), async (req, res) => {
+    res.json(req.tablero.etiquetas);
+  })
+
+  /**
+   * Crea una etiqueta en el tablero. El nombre no puede repetirse en el tablero, sin distinguir mayúsculas ni acentos.
+   * Requiere el permiso `tablero:editar` (propietario o editor).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} req.body - Cuerpo de la solicitud con los datos de la etiqueta.
+   * @param {string} req.body.nombre - Nombre de la etiqueta.
+   * @param {string} req.body.color - Color de la etiqueta en formato #rrggbb.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Etiqueta creada (201).
+   * @example
+   * // Respuesta de error (400 Bad Request)
+   * {
+   *   "message": "Ya existe una etiqueta con ese nombre en el tablero"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'tablero:editar' }), createEtiquetaValidations, async (req, res, next) => {
+    try {
+      const etiqueta = await tablerosRepository.addLabel(req.params.id, req.curatedBody);
+      if (!etiqueta) {
+        return res.status(400).json({ message: 'Ya existe una etiqueta con ese nombre en el tablero' });
+      }
+      res.status(201).json(etiqueta);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para modificar y eliminar una etiqueta de un tablero.
+ * 
+ * @name /tableros/:id/etiquetas/:etiquetaId
+ * @function
+ */
+tablerosController.route('/tableros/:id/etiquetas/:etiquetaId')
+  /**
+   * Modifica el nombre o el color de una etiqueta. Requiere el permiso `tablero:editar` (propietario o editor).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {string} req.params.etiquetaId - ID de la etiqueta.
+   * @param {Object} req.body - Cuerpo de la solicitud con los campos a modificar.
+   * @param {string} [req.body.nombre] - Nuevo nombre de la etiqueta.
+   * @param {string} [req.body.color] - Nuevo color de la etiqueta en formato #rrggbb.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Etiqueta actualizada.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "Etiqueta con id 64f1a2b3c9e77b001f8e4a2a no encontrada"
+   * }
+   */
+  .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), validateObjectIdFormat('etiquetaId'), tableroAccessChecker({ permission: 'tablero:editar' }), updateEtiquetaValidations, async (req, res, next) => {
+    try {
+      const { id, etiquetaId } = req.params;
+      if (!req.tablero.etiquetas.id(etiquetaId)) {
+        return res.status(404).json({ message: `Etiqueta con id ${etiquetaId} no encontrada` });
+      }
+
+      const etiqueta = await tablerosRepository.updateLabel(id, etiquetaId, req.curatedBody);
+      if (!etiqueta) {
+        return res.status(400).json({ message: 'Ya existe una etiqueta con ese nombre en el tablero' });
+      }
+      res.json(etiqueta);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Elimina una etiqueta del tablero y la quita de todas las tareas que la tenían.
+   * Requiere el permiso `tablero:editar` (propietario o editor).
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {string} req.params.etiquetaId - ID de la etiqueta.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {void} - Respuesta sin contenido (204).
+   */
+  .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), validateObjectIdFormat('etiquetaId'), tableroAccessChecker({ permission: 'tablero:editar' }), async (req, res, next) => {
+    try {
+      const { id, etiquetaId } = req.params;
+      const updatedTablero = await tablerosRepository.removeLabel(id, etiquetaId);
+      if (!updatedTablero) {
+        return res.status(404).json({ message: `Etiqueta con id ${etiquetaId} no encontrada` });
+      }
+
+      await tareasRepository.detachLabelFromBoard(id, etiquetaId);
+      res.status(204).json();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para consultar y modificar el flujo de un tablero.
+ * 
+ * @name /tableros/:id/flujo
+ * @function
+ */
+tablerosController.route('/tableros/:id/flujo')
+  /**
+   * Lista las columnas del flujo del tablero, en orden. Requiere el permiso `tablero:leer`.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Array<Object>} - Columnas del flujo del tablero.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * [
+   *   { "clave": "pendiente", "nombre": "Pendiente", "categoria": "todo", "color": "#9e9e9e", "desde": [], "limiteWip": null },
+   *   { "clave": "en_proceso", "nombre": "En proceso", "categoria": "doing", "color": "#2196f3", "desde": [], "limiteWip": 3 },
+   *   { "clave": "en_revision", "nombre": "En revisión", "categoria": "doing", "color": "#ff9800", "desde": [], "limiteWip": null },
+   *   { "clave": "completada", "nombre": "Completada", "categoria": "done", "color": "#4caf50", "desde": ["en_revision"], "limiteWip": null }
+   * ]
+   */
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), tableroAccessChecker(), async (req, res) => {
+    res.json(getFlujo(req.tablero));
+  })
+
+  /**
+   * Sustituye las columnas del flujo del tablero. La clave de cada columna es el estado de sus tareas y,
+   * si no se indica, se genera a partir del nombre. No se pueden quitar columnas que tengan tareas.
+   * Si cambia la categoría de una columna, se actualiza en sus tareas. Cada columna puede limitar desde qué columnas
+   * se le mueven tareas (`desde`) y cuántas tareas puede tener (`limiteWip`); bajar el límite no saca tareas de la columna,
+   * solo impide que entren más. Requiere el permiso `tablero:editar`.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} req.body - Cuerpo de la solicitud.
+   * @param {Array<Object>} req.body.flujo - Columnas del flujo, en orden, con su clave, nombre, categoría (todo, doing, done) y color,
+   * y opcionalmente las columnas desde las que se les pueden mover tareas y su límite de tareas.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Array<Object>} - Columnas del flujo actualizado.
+   * @example
+   * // Respuesta de error (409 Conflict)
+   * {
+   *   "message": "No se pueden quitar columnas que tienen tareas: en_revision"
+   * }
+   */
+  .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:write' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'tablero:editar' }), updateFlujoValidations, async (req, res, next) => {
+    try {
+      const tableroId = req.params.id;
+      const { flujo } = req.curatedBody;
+
+      const claves = flujo.map((columna) => columna.clave);
+      const quitadas = getFlujo(req.tablero)
+        .map((columna) => columna.clave)
+        .filter((clave) => !claves.includes(clave));
+
+      const enUso = await tareasRepository.listUsedStates(tableroId, quitadas);
+      if (enUso.length > 0) {
+        return next(new ConflictError(`No se pueden quitar columnas que tienen tareas: ${enUso.join(', ')}`));
+      }
+
+      const updatedTablero = await tablerosRepository.update(tableroId, { flujo });
+      if (!updatedTablero) {
+        return res.status(404).json({ message: `Tablero con id ${tableroId} no encontrado` });
+      }
+
+      await tareasRepository.syncStateCategories(tableroId, flujo);
+      res.json(updatedTablero.flujo);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para consultar el grafo de dependencias de las tareas de un tablero.
+ * 
+ * @name /tableros/:id/dependencias
+ * @function
+ */
+tablerosController.route('/tableros/:id/dependencias')
+  /**
+   * Devuelve el grafo de dependencias de las tareas del tablero. Cada arista va de la tarea bloqueante (`desde`)
+   * a la tarea bloqueada (`hasta`), y `bloqueada` indica si la tarea tiene tareas bloqueantes sin completar,
+   * en cuyo caso no puede empezarse ni completarse. Requiere el permiso `tareas:leer`.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del tablero.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Nodos y aristas del grafo.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * {
+   *   "nodos": [
+   *     { "_id": "64f1a2b3c9e77b001f8e4a3a", "nombre": "Diseñar la API", "estado": "en_proceso", "bloqueada": false },
+   *     { "_id": "64f1a2b3c9e77b001f8e4a3b", "nombre": "Implementar el cliente", "estado": "pendiente", "bloqueada": true }
+   *   ],
+   *   "aristas": [
+   *     { "desde": "64f1a2b3c9e77b001f8e4a3a", "hasta": "64f1a2b3c9e77b001f8e4a3b" }
+   *   ]
+   * }
+   */
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateObjectIdFormat(), tableroAccessChecker({ permission: 'tareas:leer' }), async (req, res, next) => {
+    try {
+      const tareas = await tareasRepository.listDependencies(req.params.id);
+      res.json(buildDependencyGraph(tareas));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para unirse a un tablero con su enlace de unión.
+ * 
+ * @name /tableros/unirse/:token
+ * @function
+ */
+tablerosController.route('/tableros/unirse/:token')
+  /**
+   * Añade al usuario de la sesión como colaborador del tablero con el rol del enlace. Los usuarios invitados
+   * no pueden usar enlaces de unión: solo acceden a los tableros a los que se les invita.
+   * Si el usuario ya es miembro, el enlace no se consume y se devuelve el tablero sin cambios.
+   * 
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.token - Token del enlace.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Tablero al que se ha unido el usuario.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "Enlace no válido, caducado o agotado"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true), async (req, res, next) => {
+    try {
+      const { token } = req.params;
+      const userId = req.tokenData.id;
+      const tablero = await tablerosRepository.getByJoinToken(token);
+
+      if (!tablero) {
+        return res.status(404).json({ message: 'Enlace no válido, caducado o agotado' });
+      }
+
+      if (getTableroRole(tablero, userId)) {
+        return res.json(tablero);
+      }
+
+      // El uso se registra antes de añadir al colaborador para que nunca se supere el máximo
+      const usedTablero = await tablerosRepository.useJoinLink(tablero._id, token);
+      if (!usedTablero) {
+        return res.status(404).json({ message: 'Enlace no válido, caducado o agotado' });
+      }
+
+      const updatedTablero = await tablerosRepository.addCollaborator(tablero._id, userId, usedTablero.enlaceUnion.rol);
+      res.json(updatedTablero ?? usedTablero);
+    } catch (e) {
+      next(e);
     }
-    const updatedTablero = await tablerosRepository.removeCollaborator(tableroId, userId);
-    res.json(updatedTablero);
   });
 
 /**
@@ -302,7 +1007,7 @@ tablerosController.route('/tableros/:id/colaboradores')
  */
 tablerosController.route('/tableros/colaborador/:userId')
   /**
-   * Obtiene tableros por colaborador.
+   * Obtiene tableros por colaborador. Solo puede consultarlos el propio usuario o un administrador.
    * 
    * @async
    * @function
@@ -324,7 +1029,7 @@ tablerosController.route('/tableros/colaborador/:userId')
    *   }
    * ]
    */
-  .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat("userId"), async (req, res) => {
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:read' }), validateObjectIdFormat("userId"), selfOrAdminChecker('userId'), async (req, res) => {
     const userId = req.params.userId;
     const tableros = await tablerosRepository.getByCollaborator(userId);
     res.json(tableros);
@@ -338,7 +1043,7 @@ tablerosController.route('/tableros/colaborador/:userId')
  */
 tablerosController.route('/tableros/administrador/:userId')
   /**
-   * Obtiene tableros por administrador.
+   * Obtiene tableros por administrador. Solo puede consultarlos el propio usuario o un administrador.
    * 
    * @async
    * @function
@@ -360,7 +1065,7 @@ tablerosController.route('/tableros/administrador/:userId')
    *   }
    * ]
    */
-  .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat("userId"), async (req, res) => {
+  .get(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:read' }), validateObjectIdFormat("userId"), selfOrAdminChecker('userId'), async (req, res) => {
     const userId = req.params.userId;
     const tableros = await tablerosRepository.getByAdministrator(userId);
     res.json(tableros);
@@ -393,13 +1098,8 @@ tablerosController.route('/tableros/:id/actual')
    *   "message": "Tablero con id 64f1a2b3c9e77b001f8e4a1a no encontrado"
    * }
    */
-  .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res) => {
-    const itemId = req.params.id;
-    const item = await tablerosRepository.getOne(itemId);
-    if (!item) {
-      return res.status(404).json({ message: `Tablero con id ${itemId} no encontrado` });
-    }
-    const actual = tablerosRepository.isProyectoActual(Date.now(), item.fechaFin);
+  .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), tableroAccessChecker(), async (req, res) => {
+    const actual = tablerosRepository.isProyectoActual(Date.now(), req.tablero.fechaFin);
     res.json({ actual });
   });
 
@@ -1,4 +1,5 @@
 import express from "express";
+import { isValidObjectId } from "mongoose";
 import { createTareaValidations } from '../validations/createTareaValidations.js';
 import { tareasRepository } from "../repositories/tareasRepository.js";
 import { sessionChecker } from "../security/sessionChecker.js";
@@ -8,11 +9,29 @@ import { validatePrioridadTareaFormat } from "../validations/validatePrioridadTa
 import { validateEstadoTareaFormat } from "../validations/validateEstadoTareaFormat.js";
 import { validateFechaTareaFormat } from "../validations/validateFechaTareaFormat.js";
 import { validateAsignadoTareaFormat } from "../validations/validateAsignadoTareaFormat.js";
+import { tableroAccessChecker } from "../security/tableroAccessChecker.js";
+import { hasTableroPermission, getTableroRole } from "../security/tableroPermissions.js";
+import { createComentarioValidations } from "../validations/createComentarioValidations.js";
+import { tablerosRepository } from "../repositories/tablerosRepository.js";
+import { ForbiddenError } from "../errors/ForbiddenError.js";
+import { selfOrAdminChecker } from "../security/selfOrAdminChecker.js";
+import { resolveMentions, notifyMentions } from "../utils/mentions.js";
+import { validateEmojiFormat } from "../validations/validateEmojiFormat.js";
+import { BadRequestError } from "../errors/BadRequestError.js";
+import { createChecklistItemValidations } from "../validations/createChecklistItemValidations.js";
+import { updateChecklistItemValidations } from "../validations/updateChecklistItemValidations.js";
+import { reorderChecklistValidations } from "../validations/reorderChecklistValidations.js";
+import { filterTareasEtiquetasValidations } from "../validations/filterTareasEtiquetasValidations.js";
+import { ConflictError } from "../errors/ConflictError.js";
+import { wouldCreateCycle } from "../utils/taskDependencies.js";
+import { checkEstado, getColumna, getColumnaInicial, isTransicionPermitida } from "../utils/boardWorkflow.js";
+import { UnprocessableEntityError } from "../errors/UnprocessableEntityError.js";
 
 /**
  * Controlador para gestionar rutas relacionadas con tareas
  * @module tareasController
  * @requires express
+ * @requires mongoose
  * @requires ../validations/createTareaValidations.js
  * @requires ../repositories/tareasRepository.js
  * @requires ../security/sessionChecker.js
@@ -22,9 +41,126 @@ import { validateAsignadoTareaFormat } from "../validations/validateAsignadoTare
  * @requires ../validations/validateEstadoTareaFormat.js
  * @requires ../validations/validateFechaTareaFormat.js
  * @requires ../validations/validateAsignadoTareaFormat.js
+ * @requires ../security/tableroAccessChecker.js
+ * @requires ../security/tableroPermissions.js
+ * @requires ../validations/createComentarioValidations.js
+ * @requires ../repositories/tablerosRepository.js
+ * @requires ../errors/ForbiddenError.js
+ * @requires ../security/selfOrAdminChecker.js
+ * @requires ../utils/mentions.js
+ * @requires ../validations/validateEmojiFormat.js
+ * @requires ../errors/BadRequestError.js
+ * @requires ../validations/createChecklistItemValidations.js
+ * @requires ../validations/updateChecklistItemValidations.js
+ * @requires ../validations/reorderChecklistValidations.js
+ * @requires ../validations/filterTareasEtiquetasValidations.js
+ * @requires ../errors/ConflictError.js
+ * @requires ../utils/taskDependencies.js
+ * @requires ../utils/boardWorkflow.js
+ * @requires ../errors/UnprocessableEntityError.js
  */
 const tareasController = express.Router();
 
+/**
+ * Comprueba que una tarea pueda ser subtarea de otra: la tarea padre debe existir, estar en el mismo tablero
+ * y no ser a su vez una subtarea. Las subtareas solo tienen un nivel, por lo que una tarea con subtareas
+ * tampoco puede pasar a ser subtarea de otra.
+ *
+ * @async
+ * @function checkTareaPadre
+ * @param {string} tareaPadreId - ID de la tarea padre.
+ * @param {string} tableroId - ID del tablero en el que queda la subtarea.
+ * @param {string} [tareaId] - ID de la subtarea, si ya existe.
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} Si la tarea no puede ser subtarea de la tarea padre.
+ */
+async function checkTareaPadre(tareaPadreId, tableroId, tareaId) {
+    if (!isValidObjectId(tareaPadreId)) {
+        throw new BadRequestError("body_tareapadre_is_not_a_valid_objectid");
+    }
+
+    if (tareaPadreId === tareaId) {
+        throw new BadRequestError("Una tarea no puede ser subtarea de sí misma");
+    }
+
+    const padre = await tareasRepository.getOne(tareaPadreId);
+
+    if (!padre || padre.tablero.toString() !== tableroId) {
+        throw new BadRequestError("La tarea padre debe ser una tarea del mismo tablero");
+    }
+
+    if (padre.tareaPadre) {
+        throw new BadRequestError("Una subtarea no puede tener subtareas");
+    }
+
+    if (tareaId && await tareasRepository.hasSubtasks(tareaId)) {
+        throw new BadRequestError("Una tarea con subtareas no puede ser subtarea de otra");
+    }
+}
+
+/**
+ * Comprueba que el usuario asignado a un elemento de la checklist sea miembro del tablero.
+ *
+ * @function checkAsignadoChecklist
+ * @param {Object} tablero - Tablero de la tarea.
+ * @param {string|null} [asignadoA] - ID del usuario asignado.
+ * @throws {BadRequestError} Si el usuario no es miembro del tablero.
+ */
+function checkAsignadoChecklist(tablero, asignadoA) {
+    if (asignadoA && !getTableroRole(tablero, asignadoA)) {
+        throw new BadRequestError("El usuario asignado debe ser miembro del tablero");
+    }
+}
+
+/**
+ * Indica si el usuario de la sesión puede saltarse las transiciones, los límites de tareas y las tareas bloqueantes del flujo de un tablero:
+ * solo el propietario del tablero y el administrador global.
+ *
+ * @function canForceFlujo
+ * @param {Object} tablero - Tablero de la tarea.
+ * @param {Object} tokenData - Datos de la sesión.
+ * @returns {boolean} true si el usuario puede forzar el cambio de estado.
+ */
+function canForceFlujo(tablero, tokenData) {
+    return tokenData.rol === 'administrador' || getTableroRole(tablero, tokenData.id) === 'propietario';
+}
+
+/**
+ * Guarda una tarea que entra en una columna del flujo sin superar su límite de tareas (WIP).
+ * La columna se bloquea mientras se cuentan sus tareas y se guarda la tarea, de modo que dos tareas
+ * que se mueven a la vez no puedan ocupar el mismo hueco.
+ *
+ * @async
+ * @function saveWithinLimiteWip
+ * @param {string} tableroId - ID del tablero de la columna.
+ * @param {Object|null} columna - Columna a la que entra la tarea, o null si no hay que comprobar su límite.
+ * @param {string|undefined} tareaId - ID de la tarea, si ya existe.
+ * @param {Function} save - Función que guarda la tarea y devuelve el resultado.
+ * @returns {Promise<Object|null>} El resultado de `save`.
+ * @throws {ConflictError} Si la columna ya tiene el máximo de tareas o está recibiendo otra tarea.
+ */
+async function saveWithinLimiteWip(tableroId, columna, tareaId, save) {
+    if (!columna?.limiteWip) {
+        return await save();
+    }
+
+    const bloqueo = await tablerosRepository.lockColumn(tableroId, columna.clave);
+    if (!bloqueo) {
+        throw new ConflictError(`La columna ${columna.nombre} está recibiendo otra tarea, inténtalo de nuevo`);
+    }
+
+    try {
+        const total = await tareasRepository.countByState(tableroId, columna.clave, tareaId);
+        if (total >= columna.limiteWip) {
+            throw new ConflictError(`La columna ${columna.nombre} ha alcanzado su límite de ${columna.limiteWip} tareas`);
+        }
+
+        return await save();
+    } finally {
+        await tablerosRepository.unlockColumn(tableroId, columna.clave, bloqueo);
+    }
+}
+
 /**
  * Ruta para crear y listar tareas
  *
@@ -44,13 +180,16 @@ tareasController.route("/tareas")
      * @param {string} req.body.titulo - Título de la tarea.
      * @param {string} req.body.descripcion - Descripción de la tarea.
      * @param {string} req.body.prioridad - Prioridad de la tarea (baja, media, alta).
-     * @param {string} req.body.estado - Estado de la tarea (pendiente, en_progreso, completada).
+     * @param {string} [req.body.estado] - Estado de la tarea: la clave de una columna del flujo del tablero. Por defecto, la primera columna.
      * @param {string} req.body.fechaLimite - Fecha límite de la tarea en formato ISO 8601.
      * @param {string} req.body.asignado - ID del usuario asignado a la tarea.
      * @param {string} req.body.tablero - ID del tablero al que pertenece la tarea.
+     * @param {boolean} [req.body.forzar] - Crea la tarea aunque su columna haya alcanzado su límite (solo el propietario del tablero).
      * @returns {Object} 201 - Tarea creada.
      * @returns {Object} 400 - Error de validación.
      * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 409 - La columna ha alcanzado su límite de tareas o está recibiendo otra tarea a la vez.
      * @example
      * // Ejemplo de respuesta exitosa:
      * {
@@ -64,10 +203,31 @@ tareasController.route("/tareas")
      *   "tablero": "60c72b2f9b1d8e1a4c8b4567"
      * }
      */
-    .post(sessionChecker(['administrador', 'usuario'], true), createTareaValidations, async (req, res) => {
-        const createItem = await tareasRepository.create(req.curatedBody);
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), createTareaValidations, tableroAccessChecker({ from: 'body', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            if (req.curatedBody.tareaPadre) {
+                await checkTareaPadre(req.curatedBody.tareaPadre, req.tablero._id.toString());
+            }
+
+            const { forzar, ...data } = req.curatedBody;
+            const columna = data.estado ? checkEstado(req.tablero, data.estado) : getColumnaInicial(req.tablero);
+
+            const limitada = forzar && canForceFlujo(req.tablero, req.tokenData) ? null : columna;
+
+            const menciones = await resolveMentions(req.tablero, data.descripcion);
+            const createItem = await saveWithinLimiteWip(req.tablero._id, limitada, undefined, () => tareasRepository.create({
+                ...data,
+                estado: columna.clave,
+                categoriaEstado: columna.categoria,
+                menciones: menciones.map((usuario) => usuario._id)
+            }));
 
-        res.status(201).json(createItem);
+            await notifyMentions({ usuarios: menciones, autor: req.tokenData, tarea: createItem, tablero: req.tablero, origen: 'descripcion' });
+
+            res.status(201).json(createItem);
+        } catch (e) {
+            next(e);
+        }
     })
 
     /**
@@ -94,7 +254,7 @@ tareasController.route("/tareas")
      *   }
      * ]
      */
-    .get(sessionChecker(['administrador'], true), async (req, res) => {
+    .get(sessionChecker(['administrador'], true, { scope: 'tareas:read' }), async (req, res) => {
         const itemList = await tareasRepository.list();
 
         res.json(itemList);
@@ -121,6 +281,7 @@ tareasController.route("/tareas/prioridad")
      * @returns {Object} 200 - Lista de tareas filtradas por prioridad.
      * @returns {Object} 400 - Error de validación.
      * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
      * @example
      * // Ejemplo de respuesta exitosa:
      * [
@@ -136,7 +297,7 @@ tareasController.route("/tareas/prioridad")
      *   }
      * ]
      */
-    .post(sessionChecker(['administrador', 'usuario'], true), validatePrioridadTareaFormat(), async (req, res) => {
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validatePrioridadTareaFormat(), tableroAccessChecker({ from: 'body', permission: 'tareas:leer' }), async (req, res) => {
         const { tablero, prioridad } = req.body;
         const itemList = await tareasRepository.listByPriority(tablero, prioridad);
 
@@ -160,10 +321,11 @@ tareasController.route("/tareas/estado")
      * @param {Object} res - Objeto de respuesta.
      * @param {Object} req.body - Cuerpo de la solicitud.
      * @param {string} req.body.tablero - ID del tablero.
-     * @param {string} req.body.estado - Estado de la tarea (pendiente, en_progreso, completada).
+     * @param {string} req.body.estado - Estado de la tarea: la clave de una columna del flujo del tablero.
      * @returns {Object} 200 - Lista de tareas filtradas por estado.
      * @returns {Object} 400 - Error de validación.
      * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
      * @example
      * // Ejemplo de respuesta exitosa:
      * [
@@ -179,7 +341,7 @@ tareasController.route("/tareas/estado")
      *   }
      * ]
      */
-    .post(sessionChecker(['administrador', 'usuario'], true), validateEstadoTareaFormat(), async (req, res) => {
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), tableroAccessChecker({ from: 'body', permission: 'tareas:leer' }), validateEstadoTareaFormat(), async (req, res) => {
         const { tablero, estado } = req.body;
         const itemList = await tareasRepository.listByState(tablero, estado);
 
@@ -207,6 +369,7 @@ tareasController.route("/tareas/asignado")
      * @returns {Object} 200 - Lista de tareas filtradas por usuario asignado.
      * @returns {Object} 400 - Error de validación.
      * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
      * @example
      * // Ejemplo de respuesta exitosa:
      * [
@@ -222,7 +385,7 @@ tareasController.route("/tareas/asignado")
      *   }
      * ]
      */
-    .post(sessionChecker(['administrador', 'usuario'], true), validateAsignadoTareaFormat(), async (req, res) => {
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateAsignadoTareaFormat(), tableroAccessChecker({ from: 'body', permission: 'tareas:leer' }), async (req, res) => {
         const { tablero, asignado } = req.body;
         const itemList = await tareasRepository.listByUserAsigned(tablero, asignado);
 
@@ -250,6 +413,7 @@ tareasController.route("/tareas/fechaLimite")
      * @returns {Object} 200 - Lista de tareas filtradas por fecha límite.
      * @returns {Object} 400 - Error de validación.
      * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
      * @example
      * // Ejemplo de respuesta exitosa:
      * [
@@ -265,13 +429,52 @@ tareasController.route("/tareas/fechaLimite")
      *   }
      * ]
      */
-    .post(sessionChecker(['administrador', 'usuario'], true), validateFechaTareaFormat(), async (req, res) => {
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateFechaTareaFormat(), tableroAccessChecker({ from: 'body', permission: 'tareas:leer' }), async (req, res) => {
         const { tablero, fecha } = req.body;
         const itemList = await tareasRepository.listByLimitDate(tablero, fecha);
 
         res.json(itemList);
     });
 
+/**
+ * Ruta para consultar las tareas de un tablero filtrando por sus etiquetas
+ *
+ * @name /tareas/etiquetas
+ * @function
+ */
+tareasController.route("/tareas/etiquetas")
+
+    /**
+     * Listado de las tareas de un tablero filtradas por una o varias etiquetas del tablero
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {Object} req.body - Cuerpo de la solicitud.
+     * @param {string} req.body.tablero - ID del tablero.
+     * @param {Array<string>} req.body.etiquetas - IDs de las etiquetas del tablero.
+     * @param {string} [req.body.coincidencia=alguna] - `alguna` para las tareas con cualquiera de las etiquetas o `todas` para las que tienen todas.
+     * @returns {Object} 200 - Lista de tareas filtradas por etiquetas.
+     * @returns {Object} 400 - Error de validación o etiqueta que no es del tablero.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
+     */
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), filterTareasEtiquetasValidations, tableroAccessChecker({ from: 'body', permission: 'tareas:leer' }), async (req, res, next) => {
+        try {
+            const { tablero, etiquetas, coincidencia } = req.curatedBody;
+
+            if (!etiquetas.every((etiquetaId) => isValidObjectId(etiquetaId) && req.tablero.etiquetas.id(etiquetaId))) {
+                return next(new BadRequestError("Las etiquetas deben ser etiquetas del tablero"));
+            }
+
+            const itemList = await tareasRepository.listByLabels(tablero, etiquetas, coincidencia);
+            res.json(itemList);
+        } catch (e) {
+            next(e);
+        }
+    });
+
 /**
  * Ruta para gestionar tareas específicas por su ID
  *
@@ -291,6 +494,7 @@ tareasController.route("/tareas/:id")
      * @returns {Object} 200 - Tarea encontrada.
      * @returns {Object} 404 - Tarea no encontrada.
      * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
      * @example
      * // Ejemplo de respuesta exitosa:
      * {
@@ -304,15 +508,8 @@ tareasController.route("/tareas/:id")
      *   "tablero": "60c72b2f9b1d8e1a4c8b4567"
      * }
      */
-    .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res) => {
-        const itemId = req.params.id;
-
-        const item = await tareasRepository.getOne(itemId);
-        if (!item) {
-            return res.status(404).json({ message: `Item con id ${itemId} no encontrado` });
-        }
-
-        const response = item.toJSON();
+    .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:leer' }), async (req, res) => {
+        const response = req.tarea.toJSON();
         res.json(response);
     })
 
@@ -327,11 +524,15 @@ tareasController.route("/tareas/:id")
      * @param {string} [req.body.titulo] - El nuevo título de la tarea.
      * @param {string} [req.body.descripcion] - La nueva descripción de la tarea.
      * @param {string} [req.body.prioridad] - La nueva prioridad de la tarea (baja, media, alta).
-     * @param {string} [req.body.estado] - El nuevo estado de la tarea (pendiente, en_progreso, completada).
+     * @param {string} [req.body.estado] - El nuevo estado de la tarea: la clave de una columna del flujo del tablero.
      * @param {string} [req.body.fechaLimite] - La nueva fecha límite de la tarea en formato ISO 8601.
      * @param {string} [req.body.asignado] - El nuevo ID del usuario asignado a la tarea.
      * @param {string} [req.body.tablero] - El nuevo ID del tablero al que pertenece la tarea.
+     * @param {boolean} [req.body.forzar] - Permite al propietario del tablero empezar o terminar la tarea aunque tenga tareas
+     * bloqueantes sin completar y saltarse las transiciones y los límites de tareas de las columnas.
      * @returns {Promise<void>}
+     * @throws {ConflictError} Si la tarea está bloqueada o su nueva columna ha alcanzado su límite de tareas o está recibiendo otra tarea a la vez (409).
+     * @throws {UnprocessableEntityError} Si el flujo del tablero no permite el cambio de estado (422).
      * @throws {Error} Si ocurre un error al actualizar la tarea.
      * @example
      * // Ejemplo de respuesta exitosa (200 OK):
@@ -351,16 +552,101 @@ tareasController.route("/tareas/:id")
      *   "message": "Item con id 60c72b2f9b1d8e1a4c8b4567 no encontrado"
      * }
      */
-    .put(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), updateTareaValidations, async (req, res) => {
-        const itemId = req.params.id;
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), updateTareaValidations, async (req, res, next) => {
+        try {
+            const itemId = req.params.id;
+            const { forzar, ...data } = req.curatedBody;
+            const { tablero } = data;
+            let destino = req.tablero;
 
-        const item = await tareasRepository.update(itemId, req.curatedBody);
-        if (!item) {
-            return res.status(404).json({ message: `Item con id ${itemId} no encontrado` });
-        }
+            // Para mover la tarea a otro tablero también hay que poder editar las tareas del tablero de destino
+            if (tablero && tablero !== req.tablero._id.toString()) {
+                destino = await tablerosRepository.getOne(tablero);
+                if (req.tokenData.rol !== 'administrador' && (!destino || !hasTableroPermission(destino, req.tokenData.id, 'tareas:editar'))) {
+                    return next(new ForbiddenError('No tienes permiso para realizar esta acción en el tablero'));
+                }
+            }
 
-        const response = item.toJSON();
-        res.json(response);
+            const tableroId = tablero || req.tablero._id.toString();
+            const cambiaDeTablero = tableroId !== req.tablero._id.toString();
+
+            // El estado debe ser una columna del flujo del tablero en el que queda la tarea
+            let columna = null;
+            if (data.estado) {
+                columna = checkEstado(destino || req.tablero, data.estado);
+            } else if (cambiaDeTablero) {
+                // si el tablero de destino no tiene la columna de la tarea, la tarea pasa a su columna inicial
+                columna = getColumna(destino || req.tablero, req.tarea.estado) ?? getColumnaInicial(destino || req.tablero);
+            }
+
+            if (columna) {
+                data.estado = columna.clave;
+                data.categoriaEstado = columna.categoria;
+            }
+
+            // Las reglas del flujo y las tareas bloqueantes solo se las puede saltar el propietario del tablero
+            const puedeForzar = forzar && canForceFlujo(destino || req.tablero, req.tokenData);
+
+            const entraEnColumna = columna && (cambiaDeTablero || columna.clave !== req.tarea.estado);
+            if (entraEnColumna && !puedeForzar && !cambiaDeTablero && !isTransicionPermitida(columna, req.tarea.estado)) {
+                throw new UnprocessableEntityError(`El flujo del tablero no permite mover la tarea de ${req.tarea.estado} a ${columna.clave}, solo desde: ${columna.desde.join(', ')}`);
+            }
+
+            // Una tarea bloqueada no puede empezarse ni completarse hasta que se completen sus tareas bloqueantes,
+            // aunque la dependencia se añadiera con la tarea ya empezada. Al cambiar de tablero pierde sus dependencias
+            const empieza = columna && columna.categoria !== 'todo' && req.tarea.categoriaEstado === 'todo';
+            const termina = columna && columna.categoria === 'done' && req.tarea.categoriaEstado !== 'done';
+            if ((empieza || termina) && !cambiaDeTablero && !puedeForzar) {
+                const bloqueantes = await tareasRepository.listOpenBlockers(req.tarea);
+                if (bloqueantes.length > 0) {
+                    throw new ConflictError(`La tarea está bloqueada por: ${bloqueantes.map((bloqueante) => bloqueante.nombre).join(', ')}`);
+                }
+            }
+
+            if (cambiaDeTablero) {
+                if (await tareasRepository.hasSubtasks(itemId)) {
+                    throw new BadRequestError("No se puede mover a otro tablero una tarea con subtareas");
+                }
+
+                // una subtarea que se mueve a otro tablero deja de serlo, salvo que se indique su nueva tarea padre
+                if (data.tareaPadre === undefined) {
+                    data.tareaPadre = null;
+                }
+
+                // las etiquetas y las dependencias son propias de cada tablero
+                data.etiquetas = [];
+                data.bloqueadaPor = [];
+            }
+
+            if (data.tareaPadre) {
+                await checkTareaPadre(data.tareaPadre, tableroId, itemId);
+            }
+
+            // Las menciones de la descripción deben ser miembros del tablero en el que queda la tarea
+            let menciones = [];
+            if (data.descripcion !== undefined) {
+                menciones = await resolveMentions(destino || req.tablero, data.descripcion);
+                data.menciones = menciones.map((usuario) => usuario._id);
+            }
+
+            // El límite de tareas de la nueva columna se comprueba al guardar la tarea
+            const limitada = entraEnColumna && !puedeForzar ? columna : null;
+            const item = await saveWithinLimiteWip(tableroId, limitada, itemId, () => tareasRepository.update(itemId, data));
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${itemId} no encontrado` });
+            }
+
+            if (cambiaDeTablero) {
+                await tareasRepository.removeDependencyFromAll(itemId);
+            }
+
+            await notifyMentions({ usuarios: menciones, autor: req.tokenData, tarea: item, tablero: destino || req.tablero, origen: 'descripcion', anteriores: req.tarea.menciones });
+
+            const response = item.toJSON();
+            res.json(response);
+        } catch (e) {
+            next(e);
+        }
     })
 
     /**
@@ -381,16 +667,819 @@ tareasController.route("/tareas/:id")
      *   "message": "Item con id 60c72b2f9b1d8e1a4c8b4567 no encontrado"
      * }
      */
-    .delete(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), async (req, res) => {
-        const itemId = req.params.id;
-        const item = await tareasRepository.remove(itemId);
+    .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const itemId = req.params.id;
+            const item = await tareasRepository.remove(itemId);
+
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${itemId} no encontrado` });
+            }
+
+            // las subtareas de la tarea eliminada se conservan como tareas independientes
+            await tareasRepository.detachSubtasks(itemId);
+            await tareasRepository.removeDependencyFromAll(itemId);
+
+            res.status(204).json();
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para listar las subtareas de una tarea
+ *
+ * @name /tareas/:id/subtareas
+ * @function
+ */
+tareasController.route("/tareas/:id/subtareas")
+
+    /**
+     * Lista las subtareas de una tarea por orden de creación. Las subtareas se crean como cualquier otra tarea,
+     * indicando `tareaPadre`. Requiere el permiso `tareas:leer` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea padre.
+     * @returns {Object} 200 - Lista de subtareas.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     */
+    .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:leer' }), async (req, res, next) => {
+        try {
+            const itemList = await tareasRepository.listSubtasks(req.params.id);
+            res.json(itemList);
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para añadir elementos a la checklist de una tarea y reordenarla
+ *
+ * @name /tareas/:id/checklist
+ * @function
+ */
+tareasController.route("/tareas/:id/checklist")
+
+    /**
+     * Añade un elemento al final de la checklist de una tarea.
+     * Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {Object} req.body - Cuerpo de la solicitud.
+     * @param {string} req.body.texto - Descripción del paso.
+     * @param {boolean} [req.body.completado=false] - Indica si el paso está hecho.
+     * @param {string} [req.body.asignadoA] - ID del miembro del tablero responsable del paso.
+     * @param {string} [req.body.fechaLimite] - Fecha límite del paso.
+     * @returns {Object} 201 - Tarea con la checklist y el progreso actualizados.
+     * @returns {Object} 400 - Error de validación.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     * @example
+     * // Ejemplo de respuesta exitosa:
+     * {
+     *   "_id": "60c72b2f9b1d8e1a4c8b4567",
+     *   "nombre": "Tarea de ejemplo",
+     *   "checklist": [
+     *     {
+     *       "_id": "60c72b2f9b1d8e1a4c8b4572",
+     *       "texto": "Redactar la documentación",
+     *       "completado": false,
+     *       "asignadoA": null,
+     *       "fechaLimite": null
+     *     }
+     *   ],
+     *   "tareaPadre": null,
+     *   "tablero": "60c72b2f9b1d8e1a4c8b4569",
+     *   "progreso": 0
+     * }
+     */
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), createChecklistItemValidations, async (req, res, next) => {
+        try {
+            checkAsignadoChecklist(req.tablero, req.curatedBody.asignadoA);
+
+            const item = await tareasRepository.addChecklistItem(req.params.id, req.curatedBody);
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${req.params.id} no encontrado` });
+            }
+
+            res.status(201).json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Cambia el orden de la checklist de una tarea. El nuevo orden debe incluir todos los elementos de la checklist.
+     * Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {Object} req.body - Cuerpo de la solicitud.
+     * @param {Array<string>} req.body.orden - IDs de los elementos de la checklist en el nuevo orden.
+     * @returns {Object} 200 - Tarea con la checklist reordenada.
+     * @returns {Object} 400 - El orden no contiene exactamente los elementos de la checklist.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     */
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), reorderChecklistValidations, async (req, res, next) => {
+        try {
+            const { orden } = req.curatedBody;
+            const actuales = req.tarea.checklist.map((item) => item._id.toString());
+
+            if (orden.length !== actuales.length || !orden.every((itemId) => actuales.includes(itemId))) {
+                return next(new BadRequestError("El orden debe incluir todos los elementos de la checklist"));
+            }
+
+            const item = await tareasRepository.reorderChecklist(req.params.id, orden);
+            if (!item) {
+                // la checklist ha cambiado desde que se leyó la tarea
+                return next(new BadRequestError("El orden debe incluir todos los elementos de la checklist"));
+            }
+
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para modificar y eliminar un elemento de la checklist de una tarea
+ *
+ * @name /tareas/:id/checklist/:itemId
+ * @function
+ */
+tareasController.route("/tareas/:id/checklist/:itemId")
+
+    /**
+     * Modifica un elemento de la checklist de una tarea. Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.itemId - ID del elemento.
+     * @param {Object} req.body - Campos a modificar (texto, completado, asignadoA y fechaLimite).
+     * @returns {Object} 200 - Tarea con la checklist y el progreso actualizados.
+     * @returns {Object} 400 - Error de validación.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea o elemento no encontrados.
+     */
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("itemId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), updateChecklistItemValidations, async (req, res, next) => {
+        try {
+            const { id, itemId } = req.params;
+            checkAsignadoChecklist(req.tablero, req.curatedBody.asignadoA);
+
+            const item = await tareasRepository.updateChecklistItem(id, itemId, req.curatedBody);
+            if (!item) {
+                return res.status(404).json({ message: `Elemento con id ${itemId} no encontrado` });
+            }
+
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Elimina un elemento de la checklist de una tarea. Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.itemId - ID del elemento.
+     * @returns {Object} 204 - Elemento eliminado.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea o elemento no encontrados.
+     */
+    .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("itemId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const { id, itemId } = req.params;
+
+            const item = await tareasRepository.removeChecklistItem(id, itemId);
+            if (!item) {
+                return res.status(404).json({ message: `Elemento con id ${itemId} no encontrado` });
+            }
+
+            res.status(204).json();
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para marcar o desmarcar como hecho un elemento de la checklist
+ *
+ * @name /tareas/:id/checklist/:itemId/alternar
+ * @function
+ */
+tareasController.route("/tareas/:id/checklist/:itemId/alternar")
+
+    /**
+     * Marca como hecho un elemento pendiente de la checklist, o como pendiente uno hecho.
+     * Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.itemId - ID del elemento.
+     * @returns {Object} 200 - Tarea con la checklist y el progreso actualizados.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea o elemento no encontrados.
+     */
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("itemId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const { id, itemId } = req.params;
+
+            const item = await tareasRepository.toggleChecklistItem(id, itemId);
+            if (!item) {
+                return res.status(404).json({ message: `Elemento con id ${itemId} no encontrado` });
+            }
+
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para consultar las dependencias de una tarea
+ *
+ * @name /tareas/:id/dependencias
+ * @function
+ */
+tareasController.route("/tareas/:id/dependencias")
+
+    /**
+     * Lista las tareas que bloquean a la tarea (`bloqueadaPor`) y las que están bloqueadas por ella (`bloquea`).
+     * Requiere el permiso `tareas:leer` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @returns {Object} 200 - Tareas bloqueantes y bloqueadas.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     */
+    .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:leer' }), async (req, res, next) => {
+        try {
+            const dependencias = await tareasRepository.getDependencies(req.tarea);
+            res.json(dependencias);
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para añadir y quitar tareas bloqueantes de una tarea
+ *
+ * @name /tareas/:id/dependencias/:bloqueanteId
+ * @function
+ */
+tareasController.route("/tareas/:id/dependencias/:bloqueanteId")
+
+    /**
+     * Indica que la tarea está bloqueada por otra tarea del mismo tablero, que debe completarse antes de empezarla.
+     * Se rechazan las dependencias que crearían un ciclo. Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea bloqueada.
+     * @param {string} req.params.bloqueanteId - ID de la tarea bloqueante.
+     * @returns {Object} 200 - Tarea actualizada.
+     * @returns {Object} 400 - La tarea bloqueante es de otro tablero.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     * @returns {Object} 409 - La dependencia crearía un ciclo.
+     * @example
+     * // Ejemplo de respuesta de error (409 Conflict):
+     * {
+     *   "message": "La dependencia crearía un ciclo entre las tareas"
+     * }
+     */
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("bloqueanteId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const { id, bloqueanteId } = req.params;
+            const bloqueante = await tareasRepository.getOne(bloqueanteId);
+
+            if (!bloqueante) {
+                return res.status(404).json({ message: `Item con id ${bloqueanteId} no encontrado` });
+            }
+
+            if (bloqueante.tablero.toString() !== req.tablero._id.toString()) {
+                return next(new BadRequestError("Las dependencias solo pueden ser entre tareas del mismo tablero"));
+            }
+
+            const tareas = await tareasRepository.listDependencies(req.tablero._id);
+            if (wouldCreateCycle(tareas, id, bloqueanteId)) {
+                return next(new ConflictError("La dependencia crearía un ciclo entre las tareas"));
+            }
+
+            const item = await tareasRepository.addDependency(id, bloqueanteId);
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${id} no encontrado` });
+            }
+
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Quita una tarea bloqueante de la tarea. Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea bloqueada.
+     * @param {string} req.params.bloqueanteId - ID de la tarea bloqueante.
+     * @returns {Object} 200 - Tarea actualizada.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     */
+    .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("bloqueanteId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const { id, bloqueanteId } = req.params;
 
-        if (!item) {
-            return res.status(404).json({ message: `Item con id ${itemId} no encontrado` });
+            const item = await tareasRepository.removeDependency(id, bloqueanteId);
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${id} no encontrado` });
+            }
+
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
         }
+    });
+
+/**
+ * Ruta para asignar y quitar etiquetas de una tarea
+ *
+ * @name /tareas/:id/etiquetas/:etiquetaId
+ * @function
+ */
+tareasController.route("/tareas/:id/etiquetas/:etiquetaId")
+
+    /**
+     * Asigna a la tarea una etiqueta de su tablero. Si la tarea ya tenía la etiqueta, no cambia.
+     * Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.etiquetaId - ID de la etiqueta del tablero.
+     * @returns {Object} 200 - Tarea actualizada.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea o etiqueta no encontradas.
+     */
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("etiquetaId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const { id, etiquetaId } = req.params;
+
+            if (!req.tablero.etiquetas.id(etiquetaId)) {
+                return res.status(404).json({ message: `Etiqueta con id ${etiquetaId} no encontrada` });
+            }
+
+            const item = await tareasRepository.attachLabel(id, etiquetaId);
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${id} no encontrado` });
+            }
+
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Quita una etiqueta de la tarea. Requiere el permiso `tareas:editar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.etiquetaId - ID de la etiqueta.
+     * @returns {Object} 200 - Tarea actualizada.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede editar las tareas del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     */
+    .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("etiquetaId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:editar' }), async (req, res, next) => {
+        try {
+            const { id, etiquetaId } = req.params;
+
+            const item = await tareasRepository.detachLabel(id, etiquetaId);
+            if (!item) {
+                return res.status(404).json({ message: `Item con id ${id} no encontrado` });
+            }
 
-        res.status(204).json();
+            res.json(item.toJSON());
+        } catch (e) {
+            next(e);
+        }
     });
 
+/**
+ * Número de comentarios por página cuando no se indica `limite`.
+ *
+ * @constant {number}
+ */
+const COMENTARIOS_POR_PAGINA = 20;
+
+/**
+ * Número máximo de comentarios por página.
+ *
+ * @constant {number}
+ */
+const MAX_COMENTARIOS_POR_PAGINA = 100;
+
+/**
+ * Obtiene un entero positivo de un parámetro de consulta.
+ *
+ * @function parsePositiveInt
+ * @param {string} value - Valor del parámetro.
+ * @param {number} defaultValue - Valor por defecto si el parámetro falta o no es un entero positivo.
+ * @returns {number} Entero positivo.
+ */
+function parsePositiveInt(value, defaultValue) {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : defaultValue;
+}
+
+/**
+ * Ruta para listar y añadir comentarios de una tarea
+ *
+ * @name /tareas/:id/comentarios
+ * @function
+ */
+tareasController.route("/tareas/:id/comentarios")
+
+    /**
+     * Lista los comentarios de una tarea paginados, del más antiguo al más reciente.
+     * Requiere el permiso `tareas:leer` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} [req.query.pagina=1] - Número de página.
+     * @param {string} [req.query.limite=20] - Comentarios por página (máximo 100).
+     * @returns {Object} 200 - Página de comentarios.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no es miembro del tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     * @example
+     * // Ejemplo de respuesta exitosa:
+     * {
+     *   "items": [
+     *     {
+     *       "_id": "60c72b2f9b1d8e1a4c8b4570",
+     *       "usuario": "60c72b2f9b1d8e1a4c8b4568",
+     *       "mensaje": "Revisado, falta la documentación",
+     *       "fecha": "2023-09-20T10:00:00.000Z",
+     *       "editadoEn": null
+     *     }
+     *   ],
+     *   "pagina": 1,
+     *   "limite": 20,
+     *   "total": 1
+     * }
+     */
+    .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:leer' }), async (req, res, next) => {
+        try {
+            const pagina = parsePositiveInt(req.query.pagina, 1);
+            const limite = Math.min(parsePositiveInt(req.query.limite, COMENTARIOS_POR_PAGINA), MAX_COMENTARIOS_POR_PAGINA);
+
+            const resultado = await tareasRepository.listComments(req.params.id, { pagina, limite });
+            if (!resultado) {
+                return res.status(404).json({ message: `Item con id ${req.params.id} no encontrado` });
+            }
+
+            res.json({ items: resultado.items, pagina, limite, total: resultado.total });
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Añade un comentario a una tarea. El autor es siempre el usuario de la sesión.
+     * Requiere el permiso `tareas:comentar` en el tablero (propietario, editor o comentarista).
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {Object} req.body - Cuerpo de la solicitud.
+     * @param {string} req.body.mensaje - Mensaje del comentario.
+     * @returns {Object} 201 - Comentario creado.
+     * @returns {Object} 400 - Error de validación.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede comentar en el tablero.
+     * @returns {Object} 404 - Tarea no encontrada.
+     * @example
+     * // Ejemplo de respuesta exitosa:
+     * {
+     *   "_id": "60c72b2f9b1d8e1a4c8b4570",
+     *   "usuario": "60c72b2f9b1d8e1a4c8b4568",
+     *   "mensaje": "Revisado, falta la documentación",
+     *   "fecha": "2023-09-20T10:00:00.000Z",
+     *   "editadoEn": null
+     * }
+     */
+    .post(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:comentar' }), createComentarioValidations, async (req, res, next) => {
+        try {
+            const menciones = await resolveMentions(req.tablero, req.curatedBody.mensaje);
+            const comentario = await tareasRepository.addComment(req.params.id, {
+                usuario: req.tokenData.id,
+                mensaje: req.curatedBody.mensaje,
+                menciones: menciones.map((usuario) => usuario._id)
+            });
+
+            if (!comentario) {
+                return res.status(404).json({ message: `Item con id ${req.params.id} no encontrado` });
+            }
+
+            await notifyMentions({ usuarios: menciones, autor: req.tokenData, tarea: req.tarea, tablero: req.tablero, origen: 'comentario' });
+
+            res.status(201).json(comentario.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para modificar y eliminar un comentario de una tarea
+ *
+ * @name /tareas/:id/comentarios/:comentarioId
+ * @function
+ */
+tareasController.route("/tareas/:id/comentarios/:comentarioId")
+
+    /**
+     * Modifica el mensaje de un comentario y registra la fecha de edición en `editadoEn`.
+     * Solo el autor del comentario puede editarlo, y debe conservar el permiso `tareas:comentar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.comentarioId - ID del comentario.
+     * @param {Object} req.body - Cuerpo de la solicitud.
+     * @param {string} req.body.mensaje - Nuevo mensaje del comentario.
+     * @returns {Object} 200 - Comentario actualizado.
+     * @returns {Object} 400 - Error de validación.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El comentario es de otro usuario o el usuario no puede comentar en el tablero.
+     * @returns {Object} 404 - Tarea o comentario no encontrados.
+     */
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("comentarioId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:comentar' }), createComentarioValidations, async (req, res, next) => {
+        try {
+            const { id, comentarioId } = req.params;
+            const actual = req.tarea.comentarios.id(comentarioId);
+
+            if (!actual) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            if (actual.usuario.toString() !== req.tokenData.id) {
+                return next(new ForbiddenError('Solo puedes editar tus propios comentarios'));
+            }
+
+            const menciones = await resolveMentions(req.tablero, req.curatedBody.mensaje);
+            const comentario = await tareasRepository.updateComment(id, comentarioId, req.tokenData.id, req.curatedBody.mensaje, menciones.map((usuario) => usuario._id));
+            if (!comentario) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            await notifyMentions({ usuarios: menciones, autor: req.tokenData, tarea: req.tarea, tablero: req.tablero, origen: 'comentario', anteriores: actual.menciones });
+
+            res.json(comentario.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Elimina un comentario de una tarea.
+     * Pueden eliminarlo su autor, quien pueda editar las tareas del tablero (`tareas:editar`) y los administradores globales.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.comentarioId - ID del comentario.
+     * @returns {Object} 204 - Comentario eliminado.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede eliminar el comentario.
+     * @returns {Object} 404 - Tarea o comentario no encontrados.
+     */
+    .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("comentarioId"), tableroAccessChecker({ from: 'tarea', permission: 'tareas:leer' }), async (req, res, next) => {
+        try {
+            const { id, comentarioId } = req.params;
+            const comentario = req.tarea.comentarios.id(comentarioId);
+
+            if (!comentario) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            const esAutor = comentario.usuario.toString() === req.tokenData.id;
+            const puedeModerar = req.tokenData.rol === 'administrador' || hasTableroPermission(req.tablero, req.tokenData.id, 'tareas:editar');
+
+            if (!esAutor && !puedeModerar) {
+                return next(new ForbiddenError('No tienes permiso para eliminar este comentario'));
+            }
+
+            const item = await tareasRepository.removeComment(id, comentarioId);
+            if (!item) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            res.status(204).json();
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para reaccionar a un comentario de una tarea
+ *
+ * @name /tareas/:id/comentarios/:comentarioId/reacciones/:emoji
+ * @function
+ */
+tareasController.route("/tareas/:id/comentarios/:comentarioId/reacciones/:emoji")
+
+    /**
+     * Añade la reacción del usuario de la sesión a un comentario. Cada usuario puede reaccionar una sola vez
+     * con cada emoji, por lo que repetir la petición no cambia el comentario.
+     * El emoji se indica en la ruta codificado como URL. Requiere el permiso `tareas:comentar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.comentarioId - ID del comentario.
+     * @param {string} req.params.emoji - Emoji de la reacción.
+     * @returns {Object} 200 - Comentario con las reacciones agrupadas por emoji.
+     * @returns {Object} 400 - El emoji no es válido.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede comentar en el tablero.
+     * @returns {Object} 404 - Tarea o comentario no encontrados.
+     * @example
+     * // Ejemplo de respuesta exitosa:
+     * {
+     *   "_id": "60c72b2f9b1d8e1a4c8b4570",
+     *   "usuario": "60c72b2f9b1d8e1a4c8b4568",
+     *   "mensaje": "Revisado, falta la documentación",
+     *   "menciones": [],
+     *   "reacciones": [
+     *     { "emoji": "👍", "total": 2, "usuarios": ["60c72b2f9b1d8e1a4c8b4568", "60c72b2f9b1d8e1a4c8b4571"] }
+     *   ],
+     *   "fecha": "2023-09-20T10:00:00.000Z",
+     *   "editadoEn": null
+     * }
+     */
+    .put(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("comentarioId"), validateEmojiFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:comentar' }), async (req, res, next) => {
+        try {
+            const { id, comentarioId, emoji } = req.params;
+
+            if (!req.tarea.comentarios.id(comentarioId)) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            // si el usuario ya había reaccionado con el emoji se devuelve el comentario sin cambios
+            const comentario = await tareasRepository.addReaction(id, comentarioId, req.tokenData.id, emoji)
+                ?? (await tareasRepository.getOne(id))?.comentarios.id(comentarioId);
+
+            if (!comentario) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            res.json(comentario.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    })
+
+    /**
+     * Quita la reacción del usuario de la sesión a un comentario.
+     * Requiere el permiso `tareas:comentar` en el tablero.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID de la tarea.
+     * @param {string} req.params.comentarioId - ID del comentario.
+     * @param {string} req.params.emoji - Emoji de la reacción.
+     * @returns {Object} 200 - Comentario con las reacciones agrupadas por emoji.
+     * @returns {Object} 400 - El emoji no es válido.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede comentar en el tablero.
+     * @returns {Object} 404 - Tarea o comentario no encontrados.
+     */
+    .delete(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:write' }), validateObjectIdFormat(), validateObjectIdFormat("comentarioId"), validateEmojiFormat(), tableroAccessChecker({ from: 'tarea', permission: 'tareas:comentar' }), async (req, res, next) => {
+        try {
+            const { id, comentarioId, emoji } = req.params;
+            const comentario = await tareasRepository.removeReaction(id, comentarioId, req.tokenData.id, emoji);
+
+            if (!comentario) {
+                return res.status(404).json({ message: `Comentario con id ${comentarioId} no encontrado` });
+            }
+
+            res.json(comentario.toJSON());
+        } catch (e) {
+            next(e);
+        }
+    });
+
+/**
+ * Ruta para listar las menciones a un usuario
+ *
+ * @name /usuarios/:id/menciones
+ * @function
+ */
+tareasController.route("/usuarios/:id/menciones")
+
+    /**
+     * Lista las menciones al usuario en las descripciones y los comentarios de las tareas de los tableros
+     * de los que es miembro, de la más reciente a la más antigua. Solo el propio usuario o un administrador pueden consultarlas.
+     *
+     * @async
+     * @function
+     * @param {Object} req - Objeto de solicitud.
+     * @param {Object} res - Objeto de respuesta.
+     * @param {string} req.params.id - ID del usuario.
+     * @returns {Object} 200 - Lista de menciones.
+     * @returns {Object} 401 - No autorizado.
+     * @returns {Object} 403 - El usuario no puede consultar las menciones de otro usuario.
+     * @example
+     * // Ejemplo de respuesta exitosa:
+     * [
+     *   {
+     *     "tarea": "60c72b2f9b1d8e1a4c8b4567",
+     *     "nombre": "Tarea de ejemplo",
+     *     "tablero": "60c72b2f9b1d8e1a4c8b4569",
+     *     "origen": "comentario",
+     *     "comentario": "60c72b2f9b1d8e1a4c8b4570",
+     *     "autor": "60c72b2f9b1d8e1a4c8b4568",
+     *     "fecha": "2023-09-20T10:00:00.000Z"
+     *   }
+     * ]
+     */
+    .get(sessionChecker(['administrador', 'usuario', 'invitado'], true, { scope: 'tareas:read' }), validateObjectIdFormat(), selfOrAdminChecker(), async (req, res, next) => {
+        try {
+            const userId = req.params.id;
+            const [propios, colaborados] = await Promise.all([
+                tablerosRepository.getByAdministrator(userId),
+                tablerosRepository.getByCollaborator(userId)
+            ]);
+
+            const tableros = [...propios, ...colaborados].map((tablero) => tablero._id);
+            const itemList = await tareasRepository.listMentions(userId, tableros);
+
+            res.json(itemList);
+        } catch (e) {
+            next(e);
+        }
+    });
 
 export { tareasController };
\ No newline at end of file
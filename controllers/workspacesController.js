@@ -0,0 +1,379 @@
+import express from 'express';
+import { workspacesRepository } from '../repositories/workspacesRepository.js';
+import { tablerosRepository } from '../repositories/tablerosRepository.js';
+import { usuariosRepository } from '../repositories/usuariosRepository.js';
+import { createWorkspaceValidations } from '../validations/createWorkspaceValidations.js';
+import { addMiembroWorkspaceValidations } from '../validations/addMiembroWorkspaceValidations.js';
+import { updateMiembroWorkspaceRolValidations } from '../validations/updateMiembroWorkspaceRolValidations.js';
+import { validateObjectIdFormat } from '../validations/validateObjectIdFormat.js';
+import { sessionChecker } from '../security/sessionChecker.js';
+import { workspaceAccessChecker } from '../security/workspaceAccessChecker.js';
+import { hasWorkspacePermission } from '../security/workspacePermissions.js';
+import { ForbiddenError } from '../errors/ForbiddenError.js';
+
+/**
+ * Indica si el usuario de la sesión tiene un permiso en un workspace.
+ * Los administradores globales tienen todos los permisos en todos los workspaces.
+ *
+ * @function canInWorkspace
+ * @param {Object} tokenData - Datos de la sesión.
+ * @param {Object} workspace - Workspace.
+ * @param {string} permiso - Permiso requerido.
+ * @returns {boolean} true si el usuario tiene el permiso.
+ */
+function canInWorkspace(tokenData, workspace, permiso) {
+  return tokenData.rol === 'administrador' || hasWorkspacePermission(workspace, tokenData.id, permiso);
+}
+
+/**
+ * Controlador para gestionar rutas relacionadas con workspaces.
+ * Un workspace agrupa a los usuarios y los tableros de una organización o equipo.
+ *
+ * @module workspacesController
+ * @requires express
+ * @requires ../repositories/workspacesRepository
+ * @requires ../repositories/tablerosRepository
+ * @requires ../repositories/usuariosRepository
+ * @requires ../validations/createWorkspaceValidations
+ * @requires ../validations/addMiembroWorkspaceValidations
+ * @requires ../validations/updateMiembroWorkspaceRolValidations
+ * @requires ../validations/validateObjectIdFormat
+ * @requires ../security/sessionChecker
+ * @requires ../security/workspaceAccessChecker
+ * @requires ../security/workspacePermissions
+ * @requires ../errors/ForbiddenError
+ */
+const workspacesController = express.Router();
+
+/**
+ * Ruta para crear y listar workspaces.
+ *
+ * @name /workspaces
+ * @function
+ */
+workspacesController.route('/workspaces')
+  /**
+   * Crea un nuevo workspace del que el usuario de la sesión es propietario.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {Object} req.body - Cuerpo de la solicitud con los datos del workspace.
+   * @param {string} req.body.nombre - Nombre del workspace (requerido).
+   * @param {string} [req.body.descripcion] - Descripción del workspace.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Workspace creado.
+   * @example
+   * // Respuesta exitosa (201 Created)
+   * {
+   *   "_id": "6651a2b3c9e77b001f8e4c01",
+   *   "nombre": "Equipo de producto",
+   *   "descripcion": "Tableros del equipo de producto",
+   *   "propietario": "64f1a2b3c9e77b001f8e4a1b",
+   *   "miembros": []
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true), createWorkspaceValidations, async (req, res, next) => {
+    try {
+      const createdItem = await workspacesRepository.create({
+        ...req.curatedBody,
+        propietario: req.tokenData.id
+      });
+      res.status(201).json(createdItem);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Lista los workspaces del usuario de la sesión. Los administradores globales obtienen todos los workspaces.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object[]} - Lista de workspaces.
+   */
+  .get(sessionChecker(['administrador', 'usuario'], true), async (req, res, next) => {
+    try {
+      const { id, rol } = req.tokenData;
+      const itemList = rol === 'administrador'
+        ? await workspacesRepository.list()
+        : await workspacesRepository.listByMember(id);
+      res.json(itemList);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para gestionar un workspace por su ID.
+ *
+ * @name /workspaces/:id
+ * @function
+ */
+workspacesController.route('/workspaces/:id')
+  /**
+   * Obtiene un workspace por su ID (cualquier miembro del workspace).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Workspace encontrado.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "Workspace con id 6651a2b3c9e77b001f8e4c01 no encontrado"
+   * }
+   */
+  .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), workspaceAccessChecker(), async (req, res) => {
+    res.json(req.workspace);
+  })
+
+  /**
+   * Actualiza el nombre y la descripción de un workspace. Requiere el permiso `workspace:editar`
+   * (propietario o administrador del workspace).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {Object} req.body - Cuerpo de la solicitud con los datos a actualizar.
+   * @param {string} req.body.nombre - Nuevo nombre del workspace.
+   * @param {string} [req.body.descripcion] - Nueva descripción del workspace.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Workspace actualizado.
+   */
+  .put(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), workspaceAccessChecker({ permission: 'workspace:editar' }), createWorkspaceValidations, async (req, res, next) => {
+    try {
+      const updatedItem = await workspacesRepository.update(req.params.id, req.curatedBody);
+      res.json(updatedItem);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Elimina un workspace. Sus tableros no se eliminan: pasan a ser tableros personales de su administrador.
+   * Requiere el permiso `workspace:eliminar` (propietario).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {void} - Respuesta sin contenido (204).
+   */
+  .delete(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), workspaceAccessChecker({ permission: 'workspace:eliminar' }), async (req, res, next) => {
+    try {
+      await tablerosRepository.detachWorkspace(req.params.id);
+      await workspacesRepository.remove(req.params.id);
+      res.status(204).json();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para listar, buscar y añadir miembros de un workspace.
+ *
+ * @name /workspaces/:id/miembros
+ * @function
+ */
+workspacesController.route('/workspaces/:id/miembros')
+  /**
+   * Lista los miembros del workspace, incluido su propietario, con su nombre, email y foto de perfil.
+   * Con el parámetro `q` se buscan los miembros cuyo nombre o email contienen el texto indicado.
+   * Es la forma de buscar usuarios para añadirlos a los tableros del workspace.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {string} [req.query.q] - Texto a buscar en el nombre o el email de los miembros.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object[]} - Lista de miembros.
+   * @example
+   * // Respuesta exitosa (200 OK)
+   * [
+   *   {
+   *     "usuario": { "_id": "64f1a2b3c9e77b001f8e4a1b", "nombre": "Juan Pérez", "email": "juan@example.com" },
+   *     "rol": "propietario",
+   *     "unidoEn": "2024-05-01T10:00:00.000Z"
+   *   },
+   *   {
+   *     "usuario": { "_id": "64f1a2b3c9e77b001f8e4a1c", "nombre": "Ana López", "email": "ana@example.com" },
+   *     "rol": "miembro",
+   *     "unidoEn": "2024-05-02T10:00:00.000Z"
+   *   }
+   * ]
+   */
+  .get(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), workspaceAccessChecker(), async (req, res, next) => {
+    try {
+      const workspace = await workspacesRepository.getOneWithMembers(req.params.id);
+      const texto = String(req.query.q ?? '').trim().toLowerCase();
+
+      const miembros = [
+        { usuario: workspace.propietario, rol: 'propietario', unidoEn: workspace.createdAt },
+        ...workspace.miembros.map(({ usuario, rol, unidoEn }) => ({ usuario, rol, unidoEn }))
+      ].filter(({ usuario }) => usuario && (
+        !texto
+        || usuario.nombre.toLowerCase().includes(texto)
+        || usuario.email.includes(texto)
+      ));
+
+      res.json(miembros);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Añade un usuario al workspace con un rol. Los usuarios invitados no pueden ser miembros de un workspace.
+   * Requiere el permiso `miembros:gestionar` (propietario o administrador del workspace).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {Object} req.body - Cuerpo de la solicitud.
+   * @param {string} req.body.userId - ID del usuario.
+   * @param {string} [req.body.rol='miembro'] - Rol del usuario en el workspace (administrador o miembro).
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Workspace actualizado.
+   * @example
+   * // Respuesta de error (400 Bad Request)
+   * {
+   *   "message": "El usuario ya es miembro del workspace"
+   * }
+   */
+  .post(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), workspaceAccessChecker({ permission: 'miembros:gestionar' }), addMiembroWorkspaceValidations, async (req, res, next) => {
+    try {
+      const { userId, rol } = req.curatedBody;
+      const user = await usuariosRepository.getOne(userId);
+
+      if (!user) {
+        return res.status(404).json({ message: `Usuario con id ${userId} no encontrado` });
+      }
+
+      if (user.rol === 'invitado') {
+        return res.status(400).json({ message: 'Los usuarios invitados no pueden ser miembros de un workspace' });
+      }
+
+      const updatedItem = await workspacesRepository.addMember(req.params.id, userId, rol);
+
+      if (!updatedItem) {
+        return res.status(400).json({ message: 'El usuario ya es miembro del workspace' });
+      }
+
+      res.json(updatedItem);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para gestionar un miembro de un workspace.
+ *
+ * @name /workspaces/:id/miembros/:userId
+ * @function
+ */
+workspacesController.route('/workspaces/:id/miembros/:userId')
+  /**
+   * Cambia el rol de un miembro del workspace. Requiere el permiso `miembros:gestionar`
+   * (propietario o administrador del workspace).
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {string} req.params.userId - ID del miembro.
+   * @param {Object} req.body - Cuerpo de la solicitud.
+   * @param {string} req.body.rol - Nuevo rol del miembro (administrador o miembro).
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Workspace actualizado.
+   * @example
+   * // Respuesta de error (404 Not Found)
+   * {
+   *   "message": "El usuario 64f1a2b3c9e77b001f8e4a1c no es miembro del workspace"
+   * }
+   */
+  .put(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), validateObjectIdFormat('userId'), workspaceAccessChecker({ permission: 'miembros:gestionar' }), updateMiembroWorkspaceRolValidations, async (req, res, next) => {
+    try {
+      const { id, userId } = req.params;
+      const updatedItem = await workspacesRepository.setMemberRole(id, userId, req.curatedBody.rol);
+
+      if (!updatedItem) {
+        return res.status(404).json({ message: `El usuario ${userId} no es miembro del workspace` });
+      }
+
+      res.json(updatedItem);
+    } catch (e) {
+      next(e);
+    }
+  })
+
+  /**
+   * Elimina un miembro del workspace. Requiere el permiso `miembros:gestionar`
+   * (propietario o administrador del workspace), salvo para abandonar el workspace uno mismo.
+   * El propietario no puede eliminarse. El usuario sigue siendo miembro de los tableros del workspace en los que colaboraba.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {string} req.params.userId - ID del miembro.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object} - Workspace actualizado.
+   */
+  .delete(sessionChecker(['administrador', 'usuario'], true), validateObjectIdFormat(), validateObjectIdFormat('userId'), workspaceAccessChecker(), async (req, res, next) => {
+    try {
+      const { id, userId } = req.params;
+
+      if (userId !== req.tokenData.id && !canInWorkspace(req.tokenData, req.workspace, 'miembros:gestionar')) {
+        return next(new ForbiddenError('No tienes permiso para realizar esta acción en el workspace'));
+      }
+
+      const updatedItem = await workspacesRepository.removeMember(id, userId);
+
+      if (!updatedItem) {
+        return res.status(404).json({ message: `El usuario ${userId} no es miembro del workspace` });
+      }
+
+      res.json(updatedItem);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+/**
+ * Ruta para listar los tableros de un workspace.
+ *
+ * @name /workspaces/:id/tableros
+ * @function
+ */
+workspacesController.route('/workspaces/:id/tableros')
+  /**
+   * Lista los tableros del workspace. El propietario y los administradores del workspace ven todos sus tableros;
+   * el resto de miembros, solo los tableros de los que son miembros.
+   *
+   * @async
+   * @function
+   * @param {Object} req - Objeto de solicitud HTTP.
+   * @param {string} req.params.id - ID del workspace.
+   * @param {Object} res - Objeto de respuesta HTTP.
+   * @returns {Object[]} - Lista de tableros.
+   */
+  .get(sessionChecker(['administrador', 'usuario'], true, { scope: 'tableros:read' }), validateObjectIdFormat(), workspaceAccessChecker(), async (req, res, next) => {
+    try {
+      const userId = canInWorkspace(req.tokenData, req.workspace, 'tableros:ver-todos') ? undefined : req.tokenData.id;
+      const itemList = await tablerosRepository.listByWorkspace(req.params.id, userId);
+      res.json(itemList);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+export { workspacesController };
@@ -0,0 +1,3 @@
+export class ConflictError extends Error {
+
+}
@@ -0,0 +1,10 @@
+export class TooManyRequestsError extends Error {
+  /**
+   * @param {string} message - Mensaje del error.
+   * @param {number} retryAfter - Segundos que deben transcurrir antes de volver a intentarlo.
+   */
+  constructor(message, retryAfter) {
+    super(message);
+    this.retryAfter = retryAfter;
+  }
+}
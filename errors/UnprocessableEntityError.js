@@ -0,0 +1,3 @@
+export class UnprocessableEntityError extends Error {
+
+}
\ No newline at end of file
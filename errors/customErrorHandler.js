@@ -2,6 +2,9 @@ import { ValidationError } from "yup";
 import { BadRequestError } from "./BadRequestError.js";
 import { SessionRequiredError } from "./SessionRequiredError.js";
 import { ForbiddenError } from "./ForbiddenError.js";
+import { TooManyRequestsError } from "./TooManyRequestsError.js";
+import { ConflictError } from "./ConflictError.js";
+import { UnprocessableEntityError } from "./UnprocessableEntityError.js";
 import jwt from "jsonwebtoken";
 
 /**
@@ -41,6 +44,19 @@ export function customErrorHandler(err, req, res, next) {
   else if (err instanceof ForbiddenError) {
     res.status(403).json({ message: err.message });
   }
+  // Manejo de errores por conflicto con el estado actual del recurso
+  else if (err instanceof ConflictError) {
+    res.status(409).json({ message: err.message });
+  }
+  // Manejo de errores por operaciones que incumplen las reglas del recurso
+  else if (err instanceof UnprocessableEntityError) {
+    res.status(422).json({ message: err.message });
+  }
+  // Manejo de errores por exceso de peticiones
+  else if (err instanceof TooManyRequestsError) {
+    res.set('Retry-After', String(err.retryAfter));
+    res.status(429).json({ message: err.message, retryAfter: err.retryAfter });
+  }
   // Manejo de errores internos no especificados
   else {
     console.info(err);
@@ -10,6 +10,8 @@ import { customErrorHandler } from "./errors/customErrorHandler.js";
 import { pathNotFoundHandler } from './errors/pathNotFoundHandler.js';
 import { tablerosController } from "./controllers/tablerosController.js";
 import { tareasController } from "./controllers/tareasController.js";
+import { invitacionesController } from "./controllers/invitacionesController.js";
+import { workspacesController } from "./controllers/workspacesController.js";
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -57,6 +59,8 @@ app.use(indexController);
 app.use(usuariosController);
 app.use(tablerosController);
 app.use(tareasController);
+app.use(invitacionesController);
+app.use(workspacesController);
 
 /**
  * Middleware para manejar rutas no encontradas.
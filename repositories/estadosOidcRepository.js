@@ -0,0 +1,56 @@
+import { EstadoOidcModel } from './models/estadoOidcModel.js';
+import { hashToken } from '../utils/randomToken.js';
+
+/**
+ * Minutos de los que dispone el usuario para completar el inicio de sesión en el proveedor de identidad.
+ *
+ * @constant {number}
+ */
+const OIDC_STATE_EXPIRATION_IN_MINUTES = 10;
+
+/**
+ * Guarda el estado de un inicio de sesión con OpenID Connect en curso.
+ *
+ * @async
+ * @function create
+ * @param {Object} data - Datos del estado.
+ * @param {string} data.state - Parámetro state en texto plano.
+ * @param {string} data.nonce - Nonce esperado en el id_token.
+ * @param {string} data.codeVerifier - Verificador PKCE.
+ * @returns {Promise<Object>} El estado creado.
+ */
+async function create({ state, nonce, codeVerifier }) {
+  return await new EstadoOidcModel({
+    estadoHash: hashToken(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + OIDC_STATE_EXPIRATION_IN_MINUTES * 60 * 1000)
+  }).save();
+}
+
+/**
+ * Obtiene y elimina de forma atómica un estado vigente, de modo que solo pueda usarse una vez.
+ *
+ * @async
+ * @function consume
+ * @param {string} state - Parámetro state en texto plano.
+ * @returns {Promise<Object|null>} El estado consumido o null si no existe o ha caducado.
+ */
+async function consume(state) {
+  return await EstadoOidcModel.findOneAndDelete({
+    estadoHash: hashToken(state),
+    expiresAt: { $gt: new Date() }
+  }).exec();
+}
+
+/**
+ * Repositorio de estados de OpenID Connect que contiene las operaciones principales sobre la base de datos.
+ *
+ * @namespace estadosOidcRepository
+ * @property {Function} create - Guarda el estado de un inicio de sesión en curso.
+ * @property {Function} consume - Obtiene y elimina un estado vigente.
+ */
+export const estadosOidcRepository = {
+  create,
+  consume
+};
@@ -0,0 +1,136 @@
+import { IntentoLoginModel } from './models/intentoLoginModel.js';
+
+/**
+ * Obtiene los intentos registrados para una clave.
+ *
+ * @async
+ * @function getOne
+ * @param {string} clave - Identificador de la cuenta o IP.
+ * @returns {Promise<Object|null>} El registro encontrado o null si no hay fallos.
+ */
+async function getOne(clave) {
+  return await IntentoLoginModel.findOne({ clave, expiresAt: { $gt: new Date() } }).exec();
+}
+
+/**
+ * Cuenta de forma atómica un nuevo intento para una clave antes de comprobar las credenciales, siempre que
+ * la clave no esté bloqueada. Así los intentos enviados a la vez no pueden superar el límite.
+ * El intento que alcanza el límite bloquea la clave desde ese momento. Cuando la clave ya había alcanzado
+ * el límite, porque el bloqueo temporal terminó o porque ese intento resultó correcto, la cuenta empieza de nuevo.
+ *
+ * @async
+ * @function reserve
+ * @param {string} clave - Identificador de la cuenta o IP.
+ * @param {number} maxAttempts - Intentos permitidos antes del bloqueo temporal.
+ * @param {Date} expiresAt - Fecha a partir de la cual se olvidan los intentos.
+ * @param {Date} bloqueadoHasta - Fin del bloqueo que se aplica si el intento alcanza el límite.
+ * @param {string|null} [ip=null] - IP desde la que se intenta, que se asocia a la clave de una cuenta.
+ * @returns {Promise<Object|null>} El registro actualizado, o null si la clave está bloqueada.
+ */
+async function reserve(clave, maxAttempts, expiresAt, bloqueadoHasta, ip = null) {
+  const ahora = new Date();
+  const anteriores = { $ifNull: ['$fallos', 0] };
+  const fallos = { $add: [{ $cond: [{ $gte: [anteriores, maxAttempts] }, 0, anteriores] }, 1] };
+  const ips = ip ? { ips: { $setUnion: [{ $ifNull: ['$ips', []] }, [ip]] } } : {};
+
+  try {
+    return await IntentoLoginModel.findOneAndUpdate(
+      {
+        clave,
+        $or: [
+          { bloqueadoHasta: null },
+          { bloqueadoHasta: { $lte: ahora } }
+        ]
+      },
+      [
+        {
+          $set: {
+            fallos,
+            expiresAt,
+            bloqueadoHasta: { $cond: [{ $gte: [fallos, maxAttempts] }, bloqueadoHasta, null] },
+            ...ips
+          }
+        }
+      ],
+      { new: true, upsert: true }
+    ).exec();
+  } catch (e) {
+    // si la clave existe pero está bloqueada, el upsert intenta crear un registro duplicado
+    if (e.code === 11000) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Descuenta un intento de una clave cuyas credenciales eran correctas y levanta el bloqueo que hubiera aplicado.
+ *
+ * @async
+ * @function release
+ * @param {string} clave - Identificador de la cuenta o IP.
+ * @returns {Promise<void>}
+ */
+async function release(clave) {
+  await IntentoLoginModel.updateOne(
+    { clave, fallos: { $gt: 0 } },
+    { $inc: { fallos: -1 }, $set: { bloqueadoHasta: null } }
+  ).exec();
+}
+
+/**
+ * Establece la fecha hasta la que una clave queda bloqueada.
+ *
+ * @async
+ * @function block
+ * @param {string} clave - Identificador de la cuenta o IP.
+ * @param {Date} bloqueadoHasta - Fecha de fin del bloqueo.
+ * @returns {Promise<void>}
+ */
+async function block(clave, bloqueadoHasta) {
+  await IntentoLoginModel.updateOne({ clave }, { bloqueadoHasta }).exec();
+}
+
+/**
+ * Elimina los fallos registrados para una clave, desbloqueándola.
+ *
+ * @async
+ * @function reset
+ * @param {string} clave - Identificador de la cuenta o IP.
+ * @returns {Promise<Object|null>} El registro eliminado o null si no existía.
+ */
+async function reset(clave) {
+  return await IntentoLoginModel.findOneAndDelete({ clave }).exec();
+}
+
+/**
+ * Elimina los fallos registrados para varias claves, desbloqueándolas.
+ *
+ * @async
+ * @function resetMany
+ * @param {string[]} claves - Identificadores de las cuentas o IPs.
+ * @returns {Promise<void>}
+ */
+async function resetMany(claves) {
+  await IntentoLoginModel.deleteMany({ clave: { $in: claves } }).exec();
+}
+
+/**
+ * Repositorio de intentos de login fallidos.
+ *
+ * @namespace intentosLoginRepository
+ * @property {Function} getOne - Obtiene los fallos de una clave.
+ * @property {Function} reserve - Cuenta un nuevo intento de una clave si no está bloqueada.
+ * @property {Function} release - Descuenta un intento correcto de una clave.
+ * @property {Function} block - Bloquea una clave hasta una fecha.
+ * @property {Function} reset - Elimina los fallos de una clave.
+ * @property {Function} resetMany - Elimina los fallos de varias claves.
+ */
+export const intentosLoginRepository = {
+  getOne,
+  reserve,
+  release,
+  block,
+  reset,
+  resetMany
+};
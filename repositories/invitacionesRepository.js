@@ -0,0 +1,189 @@
+import { isValidObjectId } from 'mongoose';
+import { InvitacionModel } from './models/invitacionModel.js';
+import { TableroModel } from './models/tableroModel.js';
+import { UsuarioModel } from './models/usuarioModel.js';
+import { generateToken, hashToken } from '../utils/randomToken.js';
+
+/**
+ * Filtro de las invitaciones pendientes que todavía no han caducado.
+ *
+ * @function pendingFilter
+ * @returns {Object} Filtro de MongoDB.
+ */
+function pendingFilter() {
+  return { estado: 'pendiente', expiresAt: { $gt: new Date() } };
+}
+
+/**
+ * Crea una invitación a un tablero, cancelando la invitación pendiente que ya tuviera el mismo email.
+ * Solo se almacena el hash del token.
+ *
+ * @async
+ * @function create
+ * @param {Object} data - Datos de la invitación.
+ * @param {string} data.tablero - ID del tablero.
+ * @param {string} data.email - Email invitado.
+ * @param {string} data.rol - Rol del invitado en el tablero.
+ * @param {string} data.invitadoPor - ID del usuario que invita.
+ * @param {boolean} [data.invitado=false] - Si la cuenta que se registre con el email será de invitado.
+ * @param {number} data.dias - Días de validez de la invitación.
+ * @returns {Promise<{token: string, item: Object}>} El token en texto plano y la invitación creada.
+ */
+async function create({ tablero, email, rol, invitadoPor, invitado = false, dias }) {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  await InvitacionModel.updateMany(
+    { tablero, email: normalizedEmail, estado: 'pendiente' },
+    { estado: 'cancelada', respondidaEn: new Date() }
+  ).exec();
+
+  const token = generateToken();
+
+  const item = await new InvitacionModel({
+    tablero,
+    email: normalizedEmail,
+    rol,
+    invitadoPor,
+    invitado,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + dias * 24 * 60 * 60 * 1000)
+  }).save();
+
+  return { token, item };
+}
+
+/**
+ * Obtiene una invitación pendiente por su ID.
+ *
+ * @async
+ * @function getPending
+ * @param {string} id - ID de la invitación.
+ * @returns {Promise<Object|null>} La invitación encontrada o null si no existe, ya se respondió o ha caducado.
+ */
+async function getPending(id) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  return await InvitacionModel.findOne({ _id: id, ...pendingFilter() }).exec();
+}
+
+/**
+ * Obtiene una invitación pendiente a partir de su token en texto plano.
+ *
+ * @async
+ * @function getPendingByToken
+ * @param {string} token - Token de la invitación.
+ * @returns {Promise<Object|null>} La invitación encontrada o null si no existe, ya se respondió o ha caducado.
+ */
+async function getPendingByToken(token) {
+  return await InvitacionModel.findOne({ tokenHash: hashToken(token), ...pendingFilter() })
+    .populate({ path: 'tablero', select: 'nombre descripcion', model: TableroModel })
+    .populate({ path: 'invitadoPor', select: 'nombre', model: UsuarioModel })
+    .exec();
+}
+
+/**
+ * Lista las invitaciones pendientes de un tablero.
+ *
+ * @async
+ * @function listPendingByTablero
+ * @param {string} tableroId - ID del tablero.
+ * @returns {Promise<Array<Object>>} Lista de invitaciones pendientes.
+ */
+async function listPendingByTablero(tableroId) {
+  return await InvitacionModel.find({ tablero: tableroId, ...pendingFilter() })
+    .sort({ createdAt: 'desc' })
+    .exec();
+}
+
+/**
+ * Lista las invitaciones pendientes de un email.
+ *
+ * @async
+ * @function listPendingByEmail
+ * @param {string} email - Email invitado.
+ * @returns {Promise<Array<Object>>} Lista de invitaciones pendientes con el tablero y el usuario que invita.
+ */
+async function listPendingByEmail(email) {
+  return await InvitacionModel.find({ email: email.toLowerCase().trim(), ...pendingFilter() })
+    .populate({ path: 'tablero', select: 'nombre descripcion', model: TableroModel })
+    .populate({ path: 'invitadoPor', select: 'nombre', model: UsuarioModel })
+    .sort({ createdAt: 'desc' })
+    .exec();
+}
+
+/**
+ * Indica si un email tiene alguna invitación pendiente como invitado.
+ *
+ * @async
+ * @function hasPendingGuestInvitation
+ * @param {string} email - Email invitado.
+ * @returns {Promise<boolean>} true si el email tiene alguna invitación pendiente como invitado.
+ */
+async function hasPendingGuestInvitation(email) {
+  const item = await InvitacionModel.exists({ email: email.toLowerCase().trim(), invitado: true, ...pendingFilter() });
+  return Boolean(item);
+}
+
+/**
+ * Responde de forma atómica a una invitación pendiente, de modo que solo pueda responderse una vez.
+ *
+ * @async
+ * @function respond
+ * @param {string} id - ID de la invitación.
+ * @param {string} estado - Nuevo estado ('aceptada', 'rechazada' o 'cancelada').
+ * @returns {Promise<Object|null>} La invitación actualizada o null si ya no estaba pendiente.
+ */
+async function respond(id, estado) {
+  return await InvitacionModel.findOneAndUpdate(
+    { _id: id, ...pendingFilter() },
+    { estado, respondidaEn: new Date() },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Cancela una invitación pendiente de un tablero.
+ *
+ * @async
+ * @function cancel
+ * @param {string} id - ID de la invitación.
+ * @param {string} tableroId - ID del tablero al que pertenece la invitación.
+ * @returns {Promise<Object|null>} La invitación cancelada o null si no existe o ya no estaba pendiente.
+ */
+async function cancel(id, tableroId) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  return await InvitacionModel.findOneAndUpdate(
+    { _id: id, tablero: tableroId, estado: 'pendiente' },
+    { estado: 'cancelada', respondidaEn: new Date() },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Repositorio de invitaciones que contiene las operaciones principales sobre la base de datos.
+ *
+ * @namespace invitacionesRepository
+ * @property {Function} create - Crea una invitación a un tablero.
+ * @property {Function} getPending - Obtiene una invitación pendiente por su ID.
+ * @property {Function} getPendingByToken - Obtiene una invitación pendiente por su token.
+ * @property {Function} listPendingByTablero - Lista las invitaciones pendientes de un tablero.
+ * @property {Function} listPendingByEmail - Lista las invitaciones pendientes de un email.
+ * @property {Function} hasPendingGuestInvitation - Indica si un email tiene invitaciones pendientes como invitado.
+ * @property {Function} respond - Responde a una invitación pendiente.
+ * @property {Function} cancel - Cancela una invitación pendiente de un tablero.
+ */
+export const invitacionesRepository = {
+  create,
+  getPending,
+  getPendingByToken,
+  listPendingByTablero,
+  listPendingByEmail,
+  hasPendingGuestInvitation,
+  respond,
+  cancel
+};
@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { estadoOidcSchema } from "./schemas/estadoOidcSchema.js";
+
+/**
+ * Modelo de estado de OpenID Connect para la base de datos MongoDB.
+ * 
+ * @module EstadoOidcModel
+ * @requires mongoose
+ * @requires ./schemas/estadoOidcSchema
+ */
+
+/**
+ * Modelo de Estado OpenID Connect.
+ * 
+ * Representa la colección "estadosoidc" en la base de datos.
+ * 
+ * @constant {Model} EstadoOidcModel
+ */
+export const EstadoOidcModel = model('estadosoidc', estadoOidcSchema);
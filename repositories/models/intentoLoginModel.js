@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { intentoLoginSchema } from "./schemas/intentoLoginSchema.js";
+
+/**
+ * Modelo de intentos de login para la base de datos MongoDB.
+ * 
+ * @module IntentoLoginModel
+ * @requires mongoose
+ * @requires ./schemas/intentoLoginSchema
+ */
+
+/**
+ * Modelo de Intentos de Login.
+ * 
+ * Representa la colección "intentoslogin" en la base de datos.
+ * 
+ * @constant {Model} IntentoLoginModel
+ */
+export const IntentoLoginModel = model('intentoslogin', intentoLoginSchema);
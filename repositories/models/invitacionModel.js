@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { invitacionSchema } from "./schemas/invitacionSchema.js";
+
+/**
+ * Modelo de invitación para la base de datos MongoDB.
+ * 
+ * @module InvitacionModel
+ * @requires mongoose
+ * @requires ./schemas/invitacionSchema
+ */
+
+/**
+ * Modelo de Invitación.
+ * 
+ * Representa la colección "invitaciones" en la base de datos.
+ * 
+ * @constant {Model} InvitacionModel
+ */
+export const InvitacionModel = model('invitaciones', invitacionSchema);
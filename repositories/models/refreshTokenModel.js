@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { refreshTokenSchema } from "./schemas/refreshTokenSchema.js";
+
+/**
+ * Modelo de refresh token para la base de datos MongoDB.
+ * 
+ * @module RefreshTokenModel
+ * @requires mongoose
+ * @requires ./schemas/refreshTokenSchema
+ */
+
+/**
+ * Modelo de Refresh Token.
+ * 
+ * Representa la colección "refreshtokens" en la base de datos.
+ * 
+ * @constant {Model} RefreshTokenModel
+ */
+export const RefreshTokenModel = model('refreshtokens', refreshTokenSchema);
@@ -0,0 +1,46 @@
+// Modelo EstadoOidc
+import { Schema } from 'mongoose';
+
+/**
+ * Esquema de Estado OpenID Connect para la base de datos.
+ * Representa un inicio de sesión con el proveedor de identidad en curso, entre la redirección
+ * al proveedor y la vuelta al callback.
+ * 
+ * Campos:
+ * - estadoHash: Hash del parámetro `state` enviado al proveedor (el valor en claro nunca se almacena).
+ * - nonce: Valor que el proveedor debe devolver en el id_token, para impedir su reutilización.
+ * - codeVerifier: Verificador PKCE con el que se canjea el código de autorización.
+ * - expiresAt: Fecha de caducidad del estado. Un índice TTL elimina el registro a partir de esa fecha.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const estadoOidcSchema = new Schema({
+  /** Hash del parámetro state */
+  estadoHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Nonce esperado en el id_token */
+  nonce: {
+    type: String,
+    required: true
+  },
+  /** Verificador PKCE */
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  /** Fecha de caducidad del estado */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
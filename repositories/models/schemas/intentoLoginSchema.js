@@ -0,0 +1,51 @@
+// Modelo IntentoLogin
+import { Schema } from 'mongoose';
+
+/**
+ * Esquema de Intentos de Login para la base de datos.
+ * Registra los inicios de sesión fallidos por cuenta o por IP para limitar los ataques de fuerza bruta.
+ * 
+ * Campos:
+ * - clave: Identificador de lo que se limita ('email:<email>' o 'ip:<ip>').
+ * - fallos: Número de intentos fallidos consecutivos, incluidos los que todavía se están comprobando.
+ * - bloqueadoHasta: Fecha hasta la que no se admiten nuevos intentos.
+ * - ips: IPs desde las que se ha intentado iniciar sesión en la cuenta, para desbloquearlas junto a ella.
+ * - expiresAt: Fecha a partir de la cual se olvidan los fallos. Un índice TTL elimina el registro a partir de esa fecha.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const intentoLoginSchema = new Schema({
+  /** Identificador de la cuenta o IP */
+  clave: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Número de intentos fallidos consecutivos, incluidos los que se están comprobando */
+  fallos: {
+    type: Number,
+    default: 0
+  },
+  /** Fecha hasta la que no se admiten nuevos intentos */
+  bloqueadoHasta: {
+    type: Date,
+    default: null
+  },
+  /** IPs desde las que se ha intentado iniciar sesión en la cuenta */
+  ips: {
+    type: [String],
+    default: undefined
+  },
+  /** Fecha a partir de la cual se olvidan los fallos */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
@@ -0,0 +1,91 @@
+// Modelo Invitacion
+import { Schema } from 'mongoose';
+import { ROLES_COLABORADOR } from '../../../security/tableroPermissions.js';
+
+/**
+ * Esquema de Invitación para la base de datos.
+ * Representa la invitación a colaborar en un tablero enviada a una dirección de correo electrónico,
+ * pertenezca o no a un usuario registrado.
+ * 
+ * Campos:
+ * - tablero: Tablero al que se invita.
+ * - email: Dirección de correo electrónico invitada.
+ * - rol: Rol que tendrá el invitado en el tablero ('editor', 'comentarista', 'lector').
+ * - invitadoPor: Usuario que envió la invitación.
+ * - invitado: Indica si la cuenta que se registre con el email será de invitado, limitada a los tableros a los que se le invite.
+ * - tokenHash: Hash del token enviado por email (el token en claro nunca se almacena).
+ * - estado: Estado de la invitación ('pendiente', 'aceptada', 'rechazada', 'cancelada').
+ * - respondidaEn: Fecha en la que se aceptó, rechazó o canceló la invitación.
+ * - expiresAt: Fecha a partir de la cual la invitación ya no puede aceptarse.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const invitacionSchema = new Schema({
+  /** Tablero al que se invita */
+  tablero: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tablero',
+    required: true,
+    index: true
+  },
+  /** Dirección de correo electrónico invitada */
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  /** Rol que tendrá el invitado en el tablero */
+  rol: {
+    type: String,
+    enum: ROLES_COLABORADOR,
+    default: 'editor'
+  },
+  /** Usuario que envió la invitación */
+  invitadoPor: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  /** Indica si la cuenta que se registre con el email será de invitado */
+  invitado: {
+    type: Boolean,
+    default: false
+  },
+  /** Hash del token de la invitación */
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Estado de la invitación */
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aceptada', 'rechazada', 'cancelada'],
+    default: 'pendiente'
+  },
+  /** Fecha en la que se respondió a la invitación */
+  respondidaEn: {
+    type: Date,
+    default: null
+  },
+  /** Fecha de caducidad de la invitación */
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+    toJSON: {
+      /** El hash del token nunca se serializa */
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    }
+  }
+);
@@ -0,0 +1,59 @@
+// Modelo RefreshToken
+import { Schema } from 'mongoose';
+
+/**
+ * Esquema de Refresh Token para la base de datos.
+ * Representa un token de refresco rotatorio que permite obtener nuevos tokens de acceso.
+ * 
+ * Campos:
+ * - tokenHash: Hash del token de refresco (el token en claro nunca se almacena).
+ * - usuario: Usuario al que pertenece el token.
+ * - familia: Identificador de la familia de tokens generada a partir de un mismo inicio de sesión.
+ * - usadoEn: Fecha en la que el token se intercambió por uno nuevo.
+ * - revocadoEn: Fecha en la que el token fue revocado.
+ * - expiresAt: Fecha de expiración del token. Un índice TTL elimina el registro a partir de esa fecha.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const refreshTokenSchema = new Schema({
+  /** Hash del token de refresco */
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Usuario al que pertenece el token */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  /** Familia de tokens a la que pertenece */
+  familia: {
+    type: String,
+    required: true,
+    index: true
+  },
+  /** Fecha en la que el token se intercambió por uno nuevo */
+  usadoEn: {
+    type: Date,
+    default: null
+  },
+  /** Fecha en la que el token fue revocado */
+  revocadoEn: {
+    type: Date,
+    default: null
+  },
+  /** Fecha de expiración del token */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
@@ -0,0 +1,59 @@
+// Modelo Sesion
+import { Schema } from 'mongoose';
+
+/**
+ * Esquema de Sesión para la base de datos.
+ * Representa un inicio de sesión de un usuario desde un dispositivo concreto.
+ * Su identificador es también la familia de sus tokens de refresco.
+ * 
+ * Campos:
+ * - usuario: Usuario al que pertenece la sesión.
+ * - userAgent: Agente de usuario (navegador o cliente) desde el que se inició la sesión.
+ * - ip: Dirección IP desde la que se inició la sesión.
+ * - ultimoAcceso: Fecha del último uso de la sesión.
+ * - revocadaEn: Fecha en la que se cerró o revocó la sesión.
+ * - expiresAt: Fecha a partir de la cual la sesión caduca. Un índice TTL elimina el registro a partir de esa fecha.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const sesionSchema = new Schema({
+  /** Usuario al que pertenece la sesión */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true,
+    index: true
+  },
+  /** Agente de usuario desde el que se inició la sesión */
+  userAgent: {
+    type: String,
+    default: null
+  },
+  /** Dirección IP desde la que se inició la sesión */
+  ip: {
+    type: String,
+    default: null
+  },
+  /** Fecha del último uso de la sesión */
+  ultimoAcceso: {
+    type: Date,
+    default: Date.now
+  },
+  /** Fecha en la que se revocó la sesión */
+  revocadaEn: {
+    type: Date,
+    default: null
+  },
+  /** Fecha de caducidad de la sesión */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
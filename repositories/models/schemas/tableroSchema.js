@@ -1,5 +1,180 @@
 // Modelo Tablero
 import { Schema } from 'mongoose';
+import { ROLES_COLABORADOR } from '../../../security/tableroPermissions.js';
+import { CATEGORIAS_FLUJO, FLUJO_POR_DEFECTO } from '../../../utils/boardWorkflow.js';
+
+/**
+ * Esquema del enlace para unirse a un tablero.
+ * Solo se almacena el hash del token del enlace, que se muestra una única vez al generarlo.
+ * 
+ * Campos:
+ * - tokenHash: Hash del token del enlace.
+ * - rol: Rol con el que se unen los usuarios al tablero.
+ * - usosMaximos: Número máximo de usuarios que pueden unirse con el enlace, o null si no hay límite.
+ * - usos: Número de usuarios que se han unido con el enlace.
+ * - expiresAt: Fecha de caducidad del enlace, o null si no caduca.
+ * - creadoPor: Usuario que generó el enlace.
+ * - creadoEn: Fecha en la que se generó el enlace.
+ */
+const enlaceUnionSchema = new Schema({
+  /** Hash del token del enlace */
+  tokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  /** Rol con el que se unen los usuarios al tablero */
+  rol: {
+    type: String,
+    enum: ROLES_COLABORADOR,
+    default: 'editor'
+  },
+  /** Número máximo de usos, o null si no hay límite */
+  usosMaximos: {
+    type: Number,
+    default: null
+  },
+  /** Número de usuarios que se han unido con el enlace */
+  usos: {
+    type: Number,
+    default: 0
+  },
+  /** Fecha de caducidad del enlace, o null si no caduca */
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  /** Usuario que generó el enlace */
+  creadoPor: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  /** Fecha en la que se generó el enlace */
+  creadoEn: {
+    type: Date,
+    default: Date.now
+  },
+},
+  {
+    _id: false,
+    toJSON: {
+      /** El hash del token nunca se serializa */
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Esquema de la transferencia de la propiedad de un tablero pendiente de aceptar por el nuevo propietario.
+ * 
+ * Campos:
+ * - destinatario: Colaborador que pasará a ser el administrador del tablero.
+ * - solicitadaPor: Usuario que solicitó la transferencia.
+ * - solicitadaEn: Fecha de la solicitud.
+ */
+const transferenciaSchema = new Schema({
+  /** Colaborador que pasará a ser el administrador del tablero */
+  destinatario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  /** Usuario que solicitó la transferencia */
+  solicitadaPor: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario'
+  },
+  /** Fecha de la solicitud */
+  solicitadaEn: {
+    type: Date,
+    default: Date.now
+  },
+},
+  {
+    _id: false
+  }
+);
+
+/**
+ * Esquema de las etiquetas de un tablero, que se pueden asignar a sus tareas.
+ * 
+ * Campos:
+ * - nombre: Nombre de la etiqueta, único en el tablero sin distinguir mayúsculas.
+ * - color: Color de la etiqueta en formato hexadecimal (#rrggbb).
+ */
+const etiquetaSchema = new Schema({
+  /** Nombre de la etiqueta */
+  nombre: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  /** Color de la etiqueta en formato hexadecimal */
+  color: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^#[0-9a-f]{6}$/
+  },
+});
+
+/**
+ * Esquema de las columnas del flujo de un tablero, que definen los estados que pueden tener sus tareas.
+ * 
+ * Campos:
+ * - clave: Identificador de la columna, que es el valor del estado de las tareas que están en ella.
+ * - nombre: Nombre de la columna.
+ * - categoria: Categoría de la columna ('todo', 'doing', 'done').
+ * - color: Color de la columna en formato hexadecimal (#rrggbb).
+ * - desde: Claves de las columnas desde las que se pueden mover tareas a esta columna. Vacío si se permite desde cualquiera.
+ * - limiteWip: Número máximo de tareas en la columna, o null si no hay límite.
+ */
+const columnaFlujoSchema = new Schema({
+  /** Identificador de la columna, usado como estado de las tareas */
+  clave: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  /** Nombre de la columna */
+  nombre: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  /** Categoría de la columna */
+  categoria: {
+    type: String,
+    enum: CATEGORIAS_FLUJO,
+    required: true
+  },
+  /** Color de la columna en formato hexadecimal */
+  color: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^#[0-9a-f]{6}$/
+  },
+  /** Claves de las columnas desde las que se pueden mover tareas a esta columna. Vacío si no hay restricción */
+  desde: [
+    {
+      type: String
+    }
+  ],
+  /** Número máximo de tareas en la columna, o null si no hay límite */
+  limiteWip: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+},
+  {
+    _id: false
+  }
+);
 
 /**
  * Esquema de Tablero para la base de datos.
@@ -12,6 +187,13 @@ import { Schema } from 'mongoose';
  * - fechaFin: Fecha de finalización del proyecto.
  * - administrador: Usuario que administra el tablero.
  * - colaboradores: Lista de usuarios que colaboran en el proyecto.
+ * - rolesColaboradores: Rol de cada colaborador en el tablero ('editor', 'comentarista', 'lector'), indexado por su ID.
+ * - enlaceUnion: Enlace para unirse al tablero como colaborador, o null si está desactivado.
+ * - workspace: Workspace al que pertenece el tablero, o null si es un tablero personal.
+ * - transferenciaPendiente: Transferencia de la propiedad del tablero pendiente de aceptar, o null si no hay ninguna.
+ * - etiquetas: Etiquetas que se pueden asignar a las tareas del tablero.
+ * - flujo: Columnas ordenadas del tablero, que definen los estados de sus tareas.
+ * - bloqueosWip: Fin del bloqueo de cada columna con límite de tareas mientras se mueve una tarea a ella, indexado por su clave.
  * 
  * Timestamps:
  * - created_at: Fecha de creación del registro.
@@ -52,8 +234,54 @@ export const tableroSchema = new Schema({
       ref: 'Usuario'
     }
   ],
+  /** Rol de cada colaborador, indexado por su ID. Los colaboradores sin rol son editores */
+  rolesColaboradores: {
+    type: Map,
+    of: {
+      type: String,
+      enum: ROLES_COLABORADOR
+    },
+    default: {}
+  },
+  /** Workspace al que pertenece el tablero, o null si es un tablero personal */
+  workspace: {
+    type: Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  /** Enlace para unirse al tablero, o null si está desactivado */
+  enlaceUnion: {
+    type: enlaceUnionSchema,
+    default: null
+  },
+  /** Transferencia de la propiedad pendiente de aceptar, o null si no hay ninguna */
+  transferenciaPendiente: {
+    type: transferenciaSchema,
+    default: null
+  },
+  /** Etiquetas que se pueden asignar a las tareas del tablero */
+  etiquetas: [etiquetaSchema],
+  /** Columnas ordenadas del tablero. Los tableros nuevos empiezan con el flujo por defecto */
+  flujo: {
+    type: [columnaFlujoSchema],
+    default: () => FLUJO_POR_DEFECTO.map((columna) => ({ ...columna }))
+  },
+  /** Fin del bloqueo de cada columna con límite de tareas mientras se mueve una tarea a ella, indexado por su clave */
+  bloqueosWip: {
+    type: Map,
+    of: Date,
+    select: false
+  },
 },
   {
-    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+    toJSON: {
+      /** El enlace de unión solo se consulta en su propia ruta, reservada al propietario */
+      transform: (doc, ret) => {
+        delete ret.enlaceUnion;
+        return ret;
+      }
+    }
   }
 );
\ No newline at end of file
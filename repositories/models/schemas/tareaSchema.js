@@ -1,5 +1,164 @@
 // Modelo Tarea
-import { Schema } from 'mongoose';
+import { Document, Schema } from 'mongoose';
+import { CATEGORIAS_FLUJO } from '../../../utils/boardWorkflow.js';
+
+/**
+ * Esquema de la reacción de un usuario a un comentario.
+ * Cada usuario puede reaccionar una sola vez con cada emoji.
+ * 
+ * Campos:
+ * - emoji: Emoji de la reacción.
+ * - usuario: Usuario que reacciona.
+ */
+const reaccionSchema = new Schema({
+  /** Emoji de la reacción */
+  emoji: {
+    type: String,
+    required: true
+  },
+  /** Usuario que reacciona */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+},
+  {
+    _id: false
+  }
+);
+
+/**
+ * Agrupa las reacciones de un comentario por emoji, en el orden en que se usó cada emoji por primera vez.
+ *
+ * @function summarizeReactions
+ * @param {Array<Object>} [reacciones=[]] - Reacciones del comentario.
+ * @returns {Array<Object>} Una entrada por emoji con el número de reacciones (`total`) y los usuarios que han reaccionado.
+ */
+const summarizeReactions = (reacciones = []) => {
+  const resumen = new Map();
+
+  for (const { emoji, usuario } of reacciones) {
+    if (!resumen.has(emoji)) {
+      resumen.set(emoji, { emoji, total: 0, usuarios: [] });
+    }
+
+    const entrada = resumen.get(emoji);
+    entrada.total += 1;
+    entrada.usuarios.push(usuario);
+  }
+
+  return [...resumen.values()];
+};
+
+/**
+ * Esquema de los comentarios de una tarea.
+ * 
+ * Campos:
+ * - usuario: Usuario que realizó el comentario.
+ * - mensaje: Mensaje del comentario.
+ * - menciones: Usuarios mencionados con @ en el comentario.
+ * - reacciones: Reacciones de los usuarios al comentario.
+ * - fecha: Fecha en que se realizó el comentario.
+ * - editadoEn: Fecha de la última edición del comentario, null si no se ha editado.
+ */
+const comentarioSchema = new Schema({
+  /** Usuario que realizó el comentario */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+  /** Mensaje del comentario */
+  mensaje: {
+    type: String,
+    required: true
+  },
+  /** Usuarios mencionados con @ en el comentario */
+  menciones: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  ],
+  /** Reacciones de los usuarios al comentario */
+  reacciones: [reaccionSchema],
+  /** Fecha en que se realizó el comentario */
+  fecha: {
+    type: Date,
+    default: Date.now
+  },
+  /** Fecha de la última edición del comentario, null si no se ha editado */
+  editadoEn: {
+    type: Date,
+    default: null
+  }
+},
+  {
+    toJSON: {
+      /** Las reacciones se devuelven agrupadas por emoji */
+      transform: (doc, ret) => {
+        ret.reacciones = summarizeReactions(ret.reacciones);
+        return ret;
+      }
+    }
+  }
+);
+
+/**
+ * Esquema de los elementos de la checklist de una tarea.
+ * 
+ * Campos:
+ * - texto: Descripción del paso.
+ * - completado: Indica si el paso está hecho.
+ * - asignadoA: Usuario responsable del paso, o null.
+ * - fechaLimite: Fecha límite del paso, o null.
+ */
+const checklistItemSchema = new Schema({
+  /** Descripción del paso */
+  texto: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  /** Indica si el paso está hecho */
+  completado: {
+    type: Boolean,
+    default: false
+  },
+  /** Usuario responsable del paso */
+  asignadoA: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+  /** Fecha límite del paso */
+  fechaLimite: {
+    type: Date,
+    default: null
+  }
+});
+
+/**
+ * Calcula el porcentaje de avance de una tarea a partir de los pasos de su checklist y de sus subtareas:
+ * cada paso completado y cada subtarea en una columna de categoría `done` cuentan por igual.
+ * Sin pasos ni subtareas, la tarea está al 100% si está en una columna de categoría `done` y al 0% si no lo está.
+ *
+ * @function calculateProgress
+ * @param {Object} tarea - Tarea serializada.
+ * @param {Object} [subtareas] - Número de subtareas de la tarea (`total`) y de las que están terminadas (`completadas`).
+ * @returns {number} Porcentaje entero entre 0 y 100.
+ */
+const calculateProgress = ({ checklist = [], categoriaEstado }, subtareas = { total: 0, completadas: 0 }) => {
+  const total = checklist.length + subtareas.total;
+
+  if (total === 0) {
+    return categoriaEstado === 'done' ? 100 : 0;
+  }
+
+  const completados = checklist.filter((item) => item.completado).length + subtareas.completadas;
+  return Math.round((completados / total) * 100);
+};
 
 /**
  * Esquema de Tarea para la base de datos.
@@ -9,11 +168,19 @@ import { Schema } from 'mongoose';
  * - nombre: Nombre descriptivo de la tarea.
  * - descripcion: Detalle adicional sobre la tarea.
  * - prioridad: Nivel de importancia de la tarea ('baja', 'media', 'alta').
- * - estado: Estado actual de la tarea ('pendiente', 'en proceso', 'en revisión', 'completada').
+ * - estado: Estado actual de la tarea: la clave de una de las columnas del flujo de su tablero.
+ * - categoriaEstado: Categoría de la columna del estado ('todo', 'doing', 'done'), copiada del flujo del tablero.
  * - fechaLimite: Fecha límite para completar la tarea.
  * - asignadoA: Usuario al que se le ha asignado la tarea.
+ * - menciones: Usuarios mencionados con @ en la descripción de la tarea.
  * - comentarios: Lista de comentarios asociados a la tarea.
+ * - checklist: Pasos de la tarea, en orden.
+ * - tareaPadre: Tarea de la que esta es una subtarea, o null si no es una subtarea.
+ * - etiquetas: IDs de las etiquetas del tablero asignadas a la tarea.
+ * - bloqueadaPor: Tareas del mismo tablero que deben completarse antes de empezar esta.
  * - tablero: Tablero al que pertenece la tarea.
+ *
+ * Al serializarse, la tarea incluye `progreso`: el porcentaje de pasos de la checklist y de subtareas completados.
  * 
  * Timestamps:
  * - created_at: Fecha de creación del registro.
@@ -37,12 +204,17 @@ export const tareaSchema = new Schema({
     enum: ['baja', 'media', 'alta'],
     default: 'media'
   },
-  /** Estado actual de la tarea */
+  /** Estado actual de la tarea: clave de una columna del flujo del tablero */
   estado: {
     type: String,
-    enum: ['pendiente', 'en_proceso', 'en_revision', 'completada'],
     default: 'pendiente'
   },
+  /** Categoría de la columna del estado, para consultar las tareas terminadas sin cargar el tablero */
+  categoriaEstado: {
+    type: String,
+    enum: CATEGORIAS_FLUJO,
+    default: 'todo'
+  },
   /** Fecha límite para completar la tarea */
   fechaLimite: {
     type: Date,
@@ -54,25 +226,36 @@ export const tareaSchema = new Schema({
     ref: 'Usuario',
     default: null
   },
+  /** Usuarios mencionados con @ en la descripción de la tarea */
+  menciones: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Usuario'
+    }
+  ],
   /** Lista de comentarios asociados a la tarea */
-  comentarios: [
+  comentarios: [comentarioSchema],
+  /** Pasos de la tarea, en orden */
+  checklist: [checklistItemSchema],
+  /** Tarea de la que esta es una subtarea */
+  tareaPadre: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tarea',
+    default: null,
+    index: true
+  },
+  /** IDs de las etiquetas del tablero asignadas a la tarea */
+  etiquetas: [
     {
-      /** Usuario que realizó el comentario */
-      usuario: {
-        type: Schema.Types.ObjectId,
-        ref: 'Usuario',
-        required: true
-      },
-      /** Mensaje del comentario */
-      mensaje: {
-        type: String,
-        required: true
-      },
-      /** Fecha en que se realizó el comentario */
-      fecha: {
-        type: Date,
-        default: Date.now
-      }
+      type: Schema.Types.ObjectId
+    }
+  ],
+  /** Tareas del mismo tablero que deben completarse antes de empezar esta */
+  bloqueadaPor: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Tarea',
+      index: true
     }
   ],
   /** Tablero al que pertenece la tarea */
@@ -83,6 +266,41 @@ export const tareaSchema = new Schema({
   },
 },
   {
-    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+    toJSON: {
+      /** El progreso se calcula en cada serialización para que siempre refleje la checklist y las subtareas */
+      transform: (doc, ret) => {
+        ret.progreso = calculateProgress(ret, doc.$locals.subtareas);
+        return ret;
+      }
+    }
   }
 );
+
+/**
+ * Tras consultar tareas, cuenta sus subtareas y las que están terminadas para calcular su progreso.
+ * Las consultas `lean` no devuelven documentos, que son los únicos que se serializan con el progreso.
+ */
+tareaSchema.post(['find', 'findOne', 'findOneAndUpdate'], async function (resultado) {
+  const tareas = (Array.isArray(resultado) ? resultado : [resultado]).filter((tarea) => tarea instanceof Document);
+
+  if (tareas.length === 0) {
+    return;
+  }
+
+  const conteos = await this.model.aggregate([
+    { $match: { tareaPadre: { $in: tareas.map((tarea) => tarea._id) } } },
+    {
+      $group: {
+        _id: '$tareaPadre',
+        total: { $sum: 1 },
+        completadas: { $sum: { $cond: [{ $eq: ['$categoriaEstado', 'done'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const porTarea = new Map(conteos.map(({ _id, total, completadas }) => [_id.toString(), { total, completadas }]));
+  for (const tarea of tareas) {
+    tarea.$locals.subtareas = porTarea.get(tarea._id.toString()) ?? { total: 0, completadas: 0 };
+  }
+});
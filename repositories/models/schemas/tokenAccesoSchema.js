@@ -0,0 +1,82 @@
+// Modelo TokenAcceso
+import { Schema } from 'mongoose';
+import { TOKEN_SCOPES } from '../../../security/tokenScopes.js';
+
+/**
+ * Esquema de Token de Acceso Personal para la base de datos.
+ * Representa un token con nombre y permisos limitados que un usuario crea para scripts e integraciones.
+ * 
+ * Campos:
+ * - usuario: Usuario al que pertenece el token.
+ * - nombre: Nombre descriptivo del token.
+ * - scopes: Permisos concedidos al token.
+ * - tokenHash: Hash del token (el token en claro nunca se almacena).
+ * - prefijo: Primeros caracteres del token, para que el usuario pueda identificarlo.
+ * - ultimoUso: Fecha del último uso del token.
+ * - revocadoEn: Fecha en la que se revocó el token.
+ * - expiresAt: Fecha de caducidad opcional. Un índice TTL elimina el registro a partir de esa fecha.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const tokenAccesoSchema = new Schema({
+  /** Usuario al que pertenece el token */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true,
+    index: true
+  },
+  /** Nombre descriptivo del token */
+  nombre: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  /** Permisos concedidos al token */
+  scopes: [
+    {
+      type: String,
+      enum: TOKEN_SCOPES
+    }
+  ],
+  /** Hash del token */
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Primeros caracteres del token */
+  prefijo: {
+    type: String,
+    required: true
+  },
+  /** Fecha del último uso del token */
+  ultimoUso: {
+    type: Date,
+    default: null
+  },
+  /** Fecha en la que se revocó el token */
+  revocadoEn: {
+    type: Date,
+    default: null
+  },
+  /** Fecha de caducidad del token (sin caducidad si no se indica) */
+  expiresAt: {
+    type: Date,
+    default: null,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+    toJSON: {
+      /** El hash del token nunca se serializa */
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    }
+  }
+);
@@ -0,0 +1,34 @@
+// Modelo TokenRevocado
+import { Schema } from 'mongoose';
+
+/**
+ * Esquema de Token Revocado para la base de datos.
+ * Registra los tokens JWT invalidados antes de su expiración (por ejemplo, al cerrar sesión).
+ * 
+ * Campos:
+ * - jti: Identificador único del token revocado.
+ * - expiresAt: Fecha de expiración original del token. Un índice TTL elimina el registro
+ *   automáticamente a partir de esa fecha, ya que el token deja de ser válido por sí mismo.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const tokenRevocadoSchema = new Schema({
+  /** Identificador único del token revocado */
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Fecha de expiración original del token */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
@@ -0,0 +1,55 @@
+// Modelo TokenUsuario
+import { Schema } from 'mongoose';
+
+/**
+ * Esquema de Token de Usuario para la base de datos.
+ * Representa un token de un solo uso y con caducidad asociado a un usuario,
+ * como los de restablecimiento de contraseña, verificación de email o desafío de autenticación en dos pasos.
+ * 
+ * Campos:
+ * - usuario: Usuario al que pertenece el token.
+ * - tipo: Finalidad del token ('restablecer_password', 'verificar_email', 'desafio_2fa').
+ * - tokenHash: Hash del token (el token en claro nunca se almacena).
+ * - usadoEn: Fecha en la que se usó el token.
+ * - expiresAt: Fecha de caducidad del token. Un índice TTL elimina el registro a partir de esa fecha.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const tokenUsuarioSchema = new Schema({
+  /** Usuario al que pertenece el token */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true,
+    index: true
+  },
+  /** Finalidad del token */
+  tipo: {
+    type: String,
+    enum: ['restablecer_password', 'verificar_email', 'desafio_2fa'],
+    required: true
+  },
+  /** Hash del token */
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  /** Fecha en la que se usó el token */
+  usadoEn: {
+    type: Date,
+    default: null
+  },
+  /** Fecha de caducidad del token */
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
@@ -9,8 +9,11 @@ import { Schema } from 'mongoose';
  * - nombre: Nombre completo del usuario.
  * - email: Dirección de correo electrónico única y validada.
  * - password: Contraseña del usuario almacenada en formato cifrado.
- * - rol: Rol del usuario, puede ser 'administrador' o 'usuario'.
+ * - rol: Rol del usuario, puede ser 'administrador', 'usuario' o 'invitado' (usuario externo limitado a los tableros a los que se le invita).
  * - fotoPerfil: URL de la foto de perfil del usuario, almacenada en Cloudinary.
+ * - emailVerificado: Indica si el usuario ha confirmado su dirección de correo electrónico.
+ * - dobleFactor: Configuración de la autenticación en dos pasos (TOTP) del usuario.
+ * - oidc: Cuenta del proveedor de identidad OpenID Connect vinculada al usuario.
  * 
  * Timestamps:
  * - created_at: Fecha de creación del registro.
@@ -39,7 +42,7 @@ export const usuarioSchema = new Schema({
   /** Rol del usuario: administrador o usuario */
   rol: {
     type: String,
-    enum: ['administrador', 'usuario'],
+    enum: ['administrador', 'usuario', 'invitado'],
     default: 'usuario'
   },
   /** URL de la foto de perfil almacenada en Cloudinary */
@@ -47,8 +50,65 @@ export const usuarioSchema = new Schema({
     type: String,
     default: null
   },
+  /** Indica si el usuario ha confirmado su email */
+  emailVerificado: {
+    type: Boolean,
+    default: false
+  },
+  /** Configuración de la autenticación en dos pasos */
+  dobleFactor: {
+    /** Indica si la autenticación en dos pasos está activada */
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    /** Secreto TOTP en Base32 */
+    secreto: {
+      type: String,
+      default: null
+    },
+    /** Secreto TOTP generado durante la activación, pendiente de confirmar */
+    secretoPendiente: {
+      type: String,
+      default: null
+    },
+    /** Hashes de los códigos de recuperación sin usar */
+    codigosRecuperacion: [
+      {
+        type: String
+      }
+    ],
+    /** Último paso de tiempo TOTP aceptado, para impedir reutilizar un código */
+    ultimoPaso: {
+      type: Number,
+      default: null
+    },
+  },
+  /** Cuenta vinculada del proveedor de identidad OpenID Connect */
+  oidc: {
+    /** Emisor (issuer) del proveedor de identidad */
+    issuer: {
+      type: String,
+      default: null
+    },
+    /** Identificador del usuario en el proveedor de identidad (claim `sub`) */
+    subject: {
+      type: String,
+      default: null,
+      index: true
+    },
+  },
 },
   {
-    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+    toJSON: {
+      /** Los secretos de la autenticación en dos pasos nunca se serializan */
+      transform: (doc, ret) => {
+        if (ret.dobleFactor) {
+          ret.dobleFactor = { activo: ret.dobleFactor.activo };
+        }
+        return ret;
+      }
+    }
   }
 );
@@ -0,0 +1,77 @@
+// Modelo Workspace
+import { Schema } from 'mongoose';
+import { ROLES_WORKSPACE } from '../../../security/workspacePermissions.js';
+
+/**
+ * Esquema de miembro de un workspace.
+ * 
+ * Campos:
+ * - usuario: Usuario miembro del workspace.
+ * - rol: Rol del miembro en el workspace ('administrador', 'miembro').
+ * - unidoEn: Fecha en la que el usuario se unió al workspace.
+ */
+const miembroWorkspaceSchema = new Schema({
+  /** Usuario miembro del workspace */
+  usuario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true,
+    index: true
+  },
+  /** Rol del miembro en el workspace */
+  rol: {
+    type: String,
+    enum: ROLES_WORKSPACE,
+    default: 'miembro'
+  },
+  /** Fecha en la que el usuario se unió al workspace */
+  unidoEn: {
+    type: Date,
+    default: Date.now
+  },
+},
+  {
+    _id: false
+  }
+);
+
+/**
+ * Esquema de Workspace para la base de datos.
+ * Representa una organización o equipo que agrupa usuarios y tableros.
+ * 
+ * Campos:
+ * - nombre: Nombre del workspace.
+ * - descripcion: Descripción opcional del workspace.
+ * - propietario: Usuario propietario del workspace.
+ * - miembros: Lista de miembros del workspace con su rol. El propietario no forma parte de la lista.
+ * 
+ * Timestamps:
+ * - created_at: Fecha de creación del registro.
+ * - updated_at: Fecha de última actualización del registro.
+ */
+export const workspaceSchema = new Schema({
+  /** Nombre del workspace */
+  nombre: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  /** Descripción opcional del workspace */
+  descripcion: {
+    type: String,
+    trim: true
+  },
+  /** Usuario propietario del workspace */
+  propietario: {
+    type: Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true,
+    index: true
+  },
+  /** Lista de miembros del workspace con su rol */
+  miembros: [miembroWorkspaceSchema],
+},
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  }
+);
@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { sesionSchema } from "./schemas/sesionSchema.js";
+
+/**
+ * Modelo de sesión para la base de datos MongoDB.
+ * 
+ * @module SesionModel
+ * @requires mongoose
+ * @requires ./schemas/sesionSchema
+ */
+
+/**
+ * Modelo de Sesión.
+ * 
+ * Representa la colección "sesiones" en la base de datos.
+ * 
+ * @constant {Model} SesionModel
+ */
+export const SesionModel = model('sesiones', sesionSchema);
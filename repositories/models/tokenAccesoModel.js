@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { tokenAccesoSchema } from "./schemas/tokenAccesoSchema.js";
+
+/**
+ * Modelo de token de acceso personal para la base de datos MongoDB.
+ * 
+ * @module TokenAccesoModel
+ * @requires mongoose
+ * @requires ./schemas/tokenAccesoSchema
+ */
+
+/**
+ * Modelo de Token de Acceso Personal.
+ * 
+ * Representa la colección "tokensacceso" en la base de datos.
+ * 
+ * @constant {Model} TokenAccesoModel
+ */
+export const TokenAccesoModel = model('tokensacceso', tokenAccesoSchema);
@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { tokenRevocadoSchema } from "./schemas/tokenRevocadoSchema.js";
+
+/**
+ * Modelo de token revocado para la base de datos MongoDB.
+ * 
+ * @module TokenRevocadoModel
+ * @requires mongoose
+ * @requires ./schemas/tokenRevocadoSchema
+ */
+
+/**
+ * Modelo de Token Revocado.
+ * 
+ * Representa la colección "tokensrevocados" en la base de datos.
+ * 
+ * @constant {Model} TokenRevocadoModel
+ */
+export const TokenRevocadoModel = model('tokensrevocados', tokenRevocadoSchema);
@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { tokenUsuarioSchema } from "./schemas/tokenUsuarioSchema.js";
+
+/**
+ * Modelo de token de usuario para la base de datos MongoDB.
+ * 
+ * @module TokenUsuarioModel
+ * @requires mongoose
+ * @requires ./schemas/tokenUsuarioSchema
+ */
+
+/**
+ * Modelo de Token de Usuario.
+ * 
+ * Representa la colección "tokensusuario" en la base de datos.
+ * 
+ * @constant {Model} TokenUsuarioModel
+ */
+export const TokenUsuarioModel = model('tokensusuario', tokenUsuarioSchema);
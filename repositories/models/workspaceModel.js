@@ -0,0 +1,19 @@
+import { model } from "mongoose";
+import { workspaceSchema } from "./schemas/workspaceSchema.js";
+
+/**
+ * Modelo de workspace para la base de datos MongoDB.
+ * 
+ * @module WorkspaceModel
+ * @requires mongoose
+ * @requires ./schemas/workspaceSchema
+ */
+
+/**
+ * Modelo de Workspace.
+ * 
+ * Representa la colección "workspaces" en la base de datos.
+ * 
+ * @constant {Model} WorkspaceModel
+ */
+export const WorkspaceModel = model('workspaces', workspaceSchema);
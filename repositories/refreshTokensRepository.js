@@ -0,0 +1,112 @@
+import { randomUUID } from 'crypto';
+import { RefreshTokenModel } from './models/refreshTokenModel.js';
+import { generateToken, hashToken } from '../utils/randomToken.js';
+
+/**
+ * Días de validez de un token de refresco, configurables mediante `REFRESH_TOKEN_EXPIRATION_IN_DAYS`.
+ *
+ * @constant {number}
+ */
+const REFRESH_TOKEN_EXPIRATION_IN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRATION_IN_DAYS, 10) || 30;
+
+/**
+ * Crea un nuevo token de refresco para un usuario. Solo se almacena su hash.
+ *
+ * @async
+ * @function create
+ * @param {string} usuarioId - ID del usuario al que pertenece el token.
+ * @param {string} [familia] - Familia a la que pertenece el token. Si no se indica se inicia una nueva.
+ * @returns {Promise<string>} El token de refresco en texto plano.
+ */
+async function create(usuarioId, familia = randomUUID()) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRATION_IN_DAYS * 24 * 60 * 60 * 1000);
+
+  await new RefreshTokenModel({
+    tokenHash: hashToken(token),
+    usuario: usuarioId,
+    familia,
+    expiresAt
+  }).save();
+
+  return token;
+}
+
+/**
+ * Obtiene un token de refresco a partir de su valor en texto plano.
+ *
+ * @async
+ * @function getOneByToken
+ * @param {string} token - Token de refresco en texto plano.
+ * @returns {Promise<Object|null>} El token encontrado o null si no existe o ha expirado.
+ */
+async function getOneByToken(token) {
+  return await RefreshTokenModel.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  }).exec();
+}
+
+/**
+ * Marca un token de refresco como usado de forma atómica, de modo que solo pueda intercambiarse una vez.
+ *
+ * @async
+ * @function markAsUsed
+ * @param {string} id - ID del token de refresco.
+ * @returns {Promise<Object|null>} El token actualizado o null si ya había sido usado o revocado.
+ */
+async function markAsUsed(id) {
+  return await RefreshTokenModel.findOneAndUpdate(
+    { _id: id, usadoEn: null, revocadoEn: null },
+    { usadoEn: new Date() },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Revoca todos los tokens de refresco de una familia.
+ *
+ * @async
+ * @function revokeFamily
+ * @param {string} familia - Identificador de la familia de tokens.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function revokeFamily(familia) {
+  return await RefreshTokenModel.updateMany(
+    { familia, revocadoEn: null },
+    { revocadoEn: new Date() }
+  ).exec();
+}
+
+/**
+ * Revoca todos los tokens de refresco de un usuario.
+ *
+ * @async
+ * @function revokeAllByUser
+ * @param {string} usuarioId - ID del usuario.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function revokeAllByUser(usuarioId) {
+  return await RefreshTokenModel.updateMany(
+    { usuario: usuarioId, revocadoEn: null },
+    { revocadoEn: new Date() }
+  ).exec();
+}
+
+/**
+ * Repositorio de tokens de refresco que contiene las operaciones principales sobre la base de datos.
+ *
+ * @namespace refreshTokensRepository
+ * @property {Function} create - Crea un nuevo token de refresco.
+ * @property {Function} getOneByToken - Obtiene un token de refresco por su valor.
+ * @property {Function} markAsUsed - Marca un token de refresco como usado.
+ * @property {Function} revokeFamily - Revoca todos los tokens de una familia.
+ * @property {Function} revokeAllByUser - Revoca todos los tokens de un usuario.
+ */
+export const refreshTokensRepository = {
+  create,
+  getOneByToken,
+  markAsUsed,
+  revokeFamily,
+  revokeAllByUser
+};
@@ -0,0 +1,168 @@
+import { isValidObjectId } from 'mongoose';
+import { SesionModel } from './models/sesionModel.js';
+
+/**
+ * Días de validez de una sesión sin actividad. Coincide con la duración de los tokens de refresco.
+ *
+ * @constant {number}
+ */
+const SESSION_EXPIRATION_IN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRATION_IN_DAYS, 10) || 30;
+
+/**
+ * Intervalo mínimo, en milisegundos, entre dos actualizaciones de la fecha de último acceso.
+ *
+ * @constant {number}
+ */
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
+
+/**
+ * Calcula la nueva fecha de caducidad de una sesión a partir del momento actual.
+ *
+ * @function getExpirationDate
+ * @returns {Date} Fecha de caducidad.
+ */
+function getExpirationDate() {
+  return new Date(Date.now() + SESSION_EXPIRATION_IN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Crea una nueva sesión para un usuario.
+ *
+ * @async
+ * @function create
+ * @param {Object} data - Datos de la sesión.
+ * @param {string} data.usuario - ID del usuario.
+ * @param {string} [data.userAgent] - Agente de usuario del cliente.
+ * @param {string} [data.ip] - Dirección IP del cliente.
+ * @returns {Promise<Object>} La sesión creada.
+ */
+async function create(data) {
+  return await new SesionModel({ ...data, expiresAt: getExpirationDate() }).save();
+}
+
+/**
+ * Obtiene una sesión activa (no revocada ni caducada) por su ID.
+ *
+ * @async
+ * @function getActive
+ * @param {string} id - ID de la sesión.
+ * @returns {Promise<Object|null>} La sesión encontrada o null si no existe o no está activa.
+ */
+async function getActive(id) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  return await SesionModel.findOne({
+    _id: id,
+    revocadaEn: null,
+    expiresAt: { $gt: new Date() }
+  }).exec();
+}
+
+/**
+ * Lista las sesiones activas de un usuario ordenadas por último acceso de forma descendente.
+ *
+ * @async
+ * @function listActiveByUser
+ * @param {string} usuarioId - ID del usuario.
+ * @returns {Promise<Array<Object>>} Lista de sesiones activas.
+ */
+async function listActiveByUser(usuarioId) {
+  return await SesionModel.find({
+    usuario: usuarioId,
+    revocadaEn: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ ultimoAcceso: 'desc' }).exec();
+}
+
+/**
+ * Registra un nuevo acceso en la sesión. Para no escribir en cada petición,
+ * solo se actualiza si el último acceso registrado es anterior al intervalo mínimo.
+ *
+ * @async
+ * @function touch
+ * @param {Object} sesion - Sesión activa.
+ * @returns {Promise<void>}
+ */
+async function touch(sesion) {
+  if (Date.now() - sesion.ultimoAcceso.getTime() < LAST_SEEN_UPDATE_INTERVAL) {
+    return;
+  }
+
+  await SesionModel.updateOne({ _id: sesion._id }, { ultimoAcceso: new Date() }).exec();
+}
+
+/**
+ * Amplía la caducidad de una sesión, por ejemplo al rotar su token de refresco.
+ *
+ * @async
+ * @function extend
+ * @param {string} id - ID de la sesión.
+ * @returns {Promise<void>}
+ */
+async function extend(id) {
+  await SesionModel.updateOne(
+    { _id: id, revocadaEn: null },
+    { ultimoAcceso: new Date(), expiresAt: getExpirationDate() }
+  ).exec();
+}
+
+/**
+ * Revoca una sesión de un usuario.
+ *
+ * @async
+ * @function revoke
+ * @param {string} id - ID de la sesión.
+ * @param {string} [usuarioId] - ID del usuario propietario. Si se indica, solo se revoca si le pertenece.
+ * @returns {Promise<Object|null>} La sesión revocada o null si no existe o ya estaba revocada.
+ */
+async function revoke(id, usuarioId) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  const filter = { _id: id, revocadaEn: null };
+  if (usuarioId) {
+    filter.usuario = usuarioId;
+  }
+
+  return await SesionModel.findOneAndUpdate(filter, { revocadaEn: new Date() }, { new: true }).exec();
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario, por ejemplo tras restablecer su contraseña.
+ *
+ * @async
+ * @function revokeAllByUser
+ * @param {string} usuarioId - ID del usuario.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function revokeAllByUser(usuarioId) {
+  return await SesionModel.updateMany(
+    { usuario: usuarioId, revocadaEn: null },
+    { revocadaEn: new Date() }
+  ).exec();
+}
+
+/**
+ * Repositorio de sesiones que contiene las operaciones principales sobre la base de datos.
+ *
+ * @namespace sesionesRepository
+ * @property {Function} create - Crea una nueva sesión.
+ * @property {Function} getActive - Obtiene una sesión activa por su ID.
+ * @property {Function} listActiveByUser - Lista las sesiones activas de un usuario.
+ * @property {Function} touch - Registra un acceso en la sesión.
+ * @property {Function} extend - Amplía la caducidad de una sesión.
+ * @property {Function} revoke - Revoca una sesión.
+ * @property {Function} revokeAllByUser - Revoca todas las sesiones de un usuario.
+ */
+export const sesionesRepository = {
+  create,
+  getActive,
+  listActiveByUser,
+  touch,
+  extend,
+  revoke,
+  revokeAllByUser
+};
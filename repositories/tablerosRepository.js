@@ -1,4 +1,5 @@
 import { TableroModel } from './models/tableroModel.js';
+import { generateToken, hashToken } from '../utils/randomToken.js';
 
 /**
  * Crea un nuevo tablero en la base de datos.
@@ -77,17 +78,37 @@ async function getByCollaborator(userId) {
 
 /**
  * Agrega un colaborador a un tablero específico.
+ * El propietario del tablero y sus colaboradores actuales no se añaden.
  * 
  * @async
  * @function addCollaborator
  * @param {string} tableroId - El ID del tablero al que se añadirá el colaborador.
  * @param {string} userId - El ID del usuario que se añadirá como colaborador.
- * @returns {Promise<Object|null>} El tablero actualizado con el nuevo colaborador, o null si no se encuentra el tablero.
+ * @param {string} [rol='editor'] - Rol del colaborador en el tablero.
+ * @returns {Promise<Object|null>} El tablero actualizado con el nuevo colaborador, o null si no se encuentra el tablero o el usuario ya es miembro.
  */
-async function addCollaborator(tableroId, userId) {
+async function addCollaborator(tableroId, userId, rol = 'editor') {
   return await TableroModel.findOneAndUpdate(
-    { _id: tableroId, colaboradores: { $ne: userId } },
-    { $addToSet: { colaboradores: userId } },
+    { _id: tableroId, administrador: { $ne: userId }, colaboradores: { $ne: userId } },
+    { $addToSet: { colaboradores: userId }, $set: { [`rolesColaboradores.${userId}`]: rol } },
+    { new: true, runValidators: true }
+  ).exec();
+}
+
+/**
+ * Cambia el rol de un colaborador de un tablero.
+ * 
+ * @async
+ * @function setCollaboratorRole
+ * @param {string} tableroId - El ID del tablero.
+ * @param {string} userId - El ID del colaborador.
+ * @param {string} rol - Nuevo rol del colaborador.
+ * @returns {Promise<Object|null>} El tablero actualizado, o null si no se encuentra el tablero o el usuario no es colaborador.
+ */
+async function setCollaboratorRole(tableroId, userId, rol) {
+  return await TableroModel.findOneAndUpdate(
+    { _id: tableroId, colaboradores: userId },
+    { $set: { [`rolesColaboradores.${userId}`]: rol } },
     { new: true, runValidators: true }
   ).exec();
 }
@@ -99,17 +120,114 @@ async function addCollaborator(tableroId, userId) {
  * @function removeCollaborator
  * @param {string} tableroId - El ID del tablero del que se eliminará el colaborador.
  * @param {string} userId - El ID del usuario que se eliminará como colaborador.
- * @returns {Promise<Object|null>} El tablero actualizado sin el colaborador eliminado, o null si no se encuentra el tablero.
+ * @returns {Promise<Object|null>} El tablero actualizado sin el colaborador eliminado, o null si no se encuentra el tablero o el usuario no es colaborador.
  */
 async function removeCollaborator(tableroId, userId) {
-  return await TableroModel.findByIdAndUpdate(
-    { _id: tableroId, colaboradores: { $ne: userId } },
-    { $pull: { colaboradores: userId } },
+  const updatedTablero = await TableroModel.findOneAndUpdate(
+    { _id: tableroId, colaboradores: userId },
+    { $pull: { colaboradores: userId }, $unset: { [`rolesColaboradores.${userId}`]: '' } },
     { new: true }
   ).exec();
+
+  // Un colaborador que ya no es miembro no puede recibir la propiedad del tablero
+  if (updatedTablero?.transferenciaPendiente?.destinatario.toString() === userId.toString()) {
+    return await cancelTransfer(tableroId);
+  }
+
+  return updatedTablero;
 }
 
+/**
+ * Solicita la transferencia de la propiedad de un tablero a uno de sus colaboradores,
+ * sustituyendo la solicitud anterior si la había. La propiedad no cambia hasta que el colaborador la acepta.
+ * 
+ * @async
+ * @function requestTransfer
+ * @param {string} tableroId - El ID del tablero.
+ * @param {string} destinatarioId - El ID del colaborador que recibirá la propiedad.
+ * @param {string} solicitadaPor - El ID del usuario que solicita la transferencia.
+ * @returns {Promise<Object|null>} El tablero actualizado, o null si no se encuentra el tablero o el destinatario no es colaborador.
+ */
+async function requestTransfer(tableroId, destinatarioId, solicitadaPor) {
+  return await TableroModel.findOneAndUpdate(
+    { _id: tableroId, colaboradores: destinatarioId },
+    { transferenciaPendiente: { destinatario: destinatarioId, solicitadaPor, solicitadaEn: new Date() } },
+    { new: true, runValidators: true }
+  ).exec();
+}
 
+/**
+ * Cancela la transferencia de la propiedad pendiente de un tablero.
+ * 
+ * @async
+ * @function cancelTransfer
+ * @param {string} tableroId - El ID del tablero.
+ * @returns {Promise<Object|null>} El tablero actualizado, o null si no se encuentra el tablero o no tenía transferencia pendiente.
+ */
+async function cancelTransfer(tableroId) {
+  return await TableroModel.findOneAndUpdate(
+    { _id: tableroId, transferenciaPendiente: { $ne: null } },
+    { transferenciaPendiente: null },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Completa la transferencia de la propiedad pendiente de un tablero: el destinatario pasa a ser el administrador
+ * y el administrador anterior queda como colaborador con el rol de editor.
+ * 
+ * @async
+ * @function acceptTransfer
+ * @param {string} tableroId - El ID del tablero.
+ * @param {string} userId - El ID del destinatario de la transferencia.
+ * @returns {Promise<Object|null>} El tablero actualizado, o null si no hay una transferencia pendiente para el usuario.
+ */
+async function acceptTransfer(tableroId, userId) {
+  const tablero = await TableroModel.findOne({
+    _id: tableroId,
+    colaboradores: userId,
+    'transferenciaPendiente.destinatario': userId
+  }).exec();
+
+  if (!tablero) {
+    return null;
+  }
+
+  const previousOwner = tablero.administrador;
+
+  // El filtro por el administrador anterior evita completar dos veces la misma transferencia
+  const transferredTablero = await TableroModel.findOneAndUpdate(
+    { _id: tableroId, administrador: previousOwner, colaboradores: userId, 'transferenciaPendiente.destinatario': userId },
+    {
+      administrador: userId,
+      transferenciaPendiente: null,
+      $pull: { colaboradores: userId },
+      $unset: { [`rolesColaboradores.${userId}`]: '' }
+    },
+    { new: true }
+  ).exec();
+
+  if (!transferredTablero) {
+    return null;
+  }
+
+  return await addCollaborator(tableroId, previousOwner.toString(), 'editor') ?? transferredTablero;
+}
+
+
+/**
+ * Indica si dos usuarios son miembros, como propietarios o colaboradores, de algún tablero en común.
+ * 
+ * @async
+ * @function shareBoard
+ * @param {string} userId - ID de uno de los usuarios.
+ * @param {string} otherUserId - ID del otro usuario.
+ * @returns {Promise<boolean>} true si comparten al menos un tablero.
+ */
+async function shareBoard(userId, otherUserId) {
+  const miembro = (id) => ({ $or: [{ administrador: id }, { colaboradores: id }] });
+  return Boolean(await TableroModel.exists({ $and: [miembro(userId), miembro(otherUserId)] }).exec());
+}
 
 /**
  * Obtiene un tablero por su administrador.
@@ -138,6 +256,248 @@ function isProyectoActual(fechaActual, fechaFin) {
 }
 
 
+/**
+ * Lista los tableros de un workspace. Si se indica un usuario, solo los tableros de los que es miembro.
+ * 
+ * @async
+ * @function listByWorkspace
+ * @param {string} workspaceId - ID del workspace.
+ * @param {string} [userId] - ID del usuario cuyos tableros se listan.
+ * @returns {Promise<Array<Object>>} Lista de tableros del workspace.
+ */
+async function listByWorkspace(workspaceId, userId) {
+  const filter = { workspace: workspaceId };
+  if (userId) {
+    filter.$or = [{ administrador: userId }, { colaboradores: userId }];
+  }
+
+  return await TableroModel.find(filter).sort({ createdAt: 'desc' }).exec();
+}
+
+/**
+ * Saca del workspace todos sus tableros, que pasan a ser tableros personales de su administrador.
+ * 
+ * @async
+ * @function detachWorkspace
+ * @param {string} workspaceId - ID del workspace.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function detachWorkspace(workspaceId) {
+  return await TableroModel.updateMany({ workspace: workspaceId }, { workspace: null }).exec();
+}
+
+/**
+ * Filtro de los tableros cuyo enlace de unión coincide con el token y todavía puede usarse
+ * (no ha caducado ni ha alcanzado su número máximo de usos).
+ * 
+ * @function joinLinkFilter
+ * @param {string} token - Token del enlace en texto plano.
+ * @returns {Object} Filtro de MongoDB.
+ */
+function joinLinkFilter(token) {
+  return {
+    'enlaceUnion.tokenHash': hashToken(token),
+    $and: [
+      { $or: [{ 'enlaceUnion.expiresAt': null }, { 'enlaceUnion.expiresAt': { $gt: new Date() } }] },
+      { $or: [{ 'enlaceUnion.usosMaximos': null }, { $expr: { $lt: ['$enlaceUnion.usos', '$enlaceUnion.usosMaximos'] } }] }
+    ]
+  };
+}
+
+/**
+ * Genera un nuevo enlace de unión para un tablero, sustituyendo el anterior si lo había.
+ * Solo se almacena el hash del token.
+ * 
+ * @async
+ * @function setJoinLink
+ * @param {string} tableroId - ID del tablero.
+ * @param {Object} data - Configuración del enlace.
+ * @param {string} data.rol - Rol con el que se unen los usuarios.
+ * @param {number|null} [data.usosMaximos=null] - Número máximo de usos, o null si no hay límite.
+ * @param {Date|null} [data.expiresAt=null] - Fecha de caducidad, o null si no caduca.
+ * @param {string} data.creadoPor - ID del usuario que genera el enlace.
+ * @returns {Promise<{token: string, item: Object}|null>} El token en texto plano y el tablero actualizado, o null si no existe el tablero.
+ */
+async function setJoinLink(tableroId, { rol, usosMaximos = null, expiresAt = null, creadoPor }) {
+  const token = generateToken();
+
+  const item = await TableroModel.findOneAndUpdate(
+    { _id: tableroId },
+    { enlaceUnion: { tokenHash: hashToken(token), rol, usosMaximos, usos: 0, expiresAt, creadoPor, creadoEn: new Date() } },
+    { new: true, runValidators: true }
+  ).exec();
+
+  return item ? { token, item } : null;
+}
+
+/**
+ * Desactiva el enlace de unión de un tablero.
+ * 
+ * @async
+ * @function removeJoinLink
+ * @param {string} tableroId - ID del tablero.
+ * @returns {Promise<Object|null>} El tablero actualizado, o null si no existe o no tenía enlace.
+ */
+async function removeJoinLink(tableroId) {
+  return await TableroModel.findOneAndUpdate(
+    { _id: tableroId, enlaceUnion: { $ne: null } },
+    { enlaceUnion: null },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Obtiene el tablero de un enlace de unión que todavía puede usarse.
+ * 
+ * @async
+ * @function getByJoinToken
+ * @param {string} token - Token del enlace en texto plano.
+ * @returns {Promise<Object|null>} El tablero encontrado o null si el enlace no existe, ha caducado o está agotado.
+ */
+async function getByJoinToken(token) {
+  return await TableroModel.findOne(joinLinkFilter(token)).exec();
+}
+
+/**
+ * Registra de forma atómica un uso del enlace de unión, de modo que nunca se supere su número máximo de usos.
+ * 
+ * @async
+ * @function useJoinLink
+ * @param {string} tableroId - ID del tablero.
+ * @param {string} token - Token del enlace en texto plano.
+ * @returns {Promise<Object|null>} El tablero actualizado o null si el enlace ya no puede usarse.
+ */
+async function useJoinLink(tableroId, token) {
+  return await TableroModel.findOneAndUpdate(
+    { _id: tableroId, ...joinLinkFilter(token) },
+    { $inc: { 'enlaceUnion.usos': 1 } },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Opciones de las consultas que comparan nombres de etiquetas sin distinguir mayúsculas ni acentos.
+ * 
+ * @constant {Object}
+ */
+const ETIQUETA_COLLATION = { locale: 'es', strength: 1 };
+
+/**
+ * Añade una etiqueta a un tablero si no tiene ya otra con el mismo nombre.
+ * 
+ * @async
+ * @function addLabel
+ * @param {string} tableroId - ID del tablero.
+ * @param {Object} etiqueta - Etiqueta a añadir.
+ * @param {string} etiqueta.nombre - Nombre de la etiqueta.
+ * @param {string} etiqueta.color - Color de la etiqueta.
+ * @returns {Promise<Object|null>} La etiqueta creada, o null si no existe el tablero o ya tiene una etiqueta con ese nombre.
+ */
+async function addLabel(tableroId, { nombre, color }) {
+  const item = await TableroModel.findOneAndUpdate(
+    { _id: tableroId, 'etiquetas.nombre': { $ne: nombre } },
+    { $push: { etiquetas: { nombre, color } } },
+    { new: true, runValidators: true, collation: ETIQUETA_COLLATION }
+  ).exec();
+
+  return item ? item.etiquetas[item.etiquetas.length - 1] : null;
+}
+
+/**
+ * Modifica el nombre o el color de una etiqueta de un tablero.
+ * Si se cambia el nombre, no puede coincidir con el de otra etiqueta del tablero.
+ * 
+ * @async
+ * @function updateLabel
+ * @param {string} tableroId - ID del tablero.
+ * @param {string} etiquetaId - ID de la etiqueta.
+ * @param {Object} data - Campos a modificar (nombre y color).
+ * @returns {Promise<Object|null>} La etiqueta actualizada, o null si no existe o el nombre ya está en uso.
+ */
+async function updateLabel(tableroId, etiquetaId, data) {
+  const filter = { _id: tableroId, 'etiquetas._id': etiquetaId };
+
+  if (data.nombre) {
+    filter.etiquetas = { $not: { $elemMatch: { nombre: data.nombre, _id: { $ne: etiquetaId } } } };
+  }
+
+  // el filtro tiene dos condiciones sobre las etiquetas, así que la etiqueta a modificar se indica con arrayFilters
+  const cambios = Object.fromEntries(
+    Object.entries(data).map(([campo, valor]) => [`etiquetas.$[etiqueta].${campo}`, valor])
+  );
+
+  const item = await TableroModel.findOneAndUpdate(
+    filter,
+    { $set: cambios },
+    { new: true, runValidators: true, collation: ETIQUETA_COLLATION, arrayFilters: [{ 'etiqueta._id': etiquetaId }] }
+  ).exec();
+
+  return item ? item.etiquetas.id(etiquetaId) : null;
+}
+
+/**
+ * Elimina una etiqueta de un tablero.
+ * 
+ * @async
+ * @function removeLabel
+ * @param {string} tableroId - ID del tablero.
+ * @param {string} etiquetaId - ID de la etiqueta.
+ * @returns {Promise<Object|null>} El tablero actualizado, o null si no existe el tablero o la etiqueta.
+ */
+async function removeLabel(tableroId, etiquetaId) {
+  return await TableroModel.findOneAndUpdate(
+    { _id: tableroId, 'etiquetas._id': etiquetaId },
+    { $pull: { etiquetas: { _id: etiquetaId } } },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Segundos tras los que caduca el bloqueo de una columna, por si no llega a liberarse.
+ * 
+ * @constant {number}
+ */
+const WIP_LOCK_SECONDS = 10;
+
+/**
+ * Bloquea de forma atómica una columna del flujo de un tablero mientras se mueve una tarea a ella,
+ * de modo que las tareas que se mueven a la vez no puedan superar su límite de tareas.
+ * 
+ * @async
+ * @function lockColumn
+ * @param {string} tableroId - ID del tablero.
+ * @param {string} clave - Clave de la columna.
+ * @returns {Promise<Date|null>} Fin del bloqueo, necesario para liberarlo, o null si la columna ya está bloqueada.
+ */
+async function lockColumn(tableroId, clave) {
+  const ahora = new Date();
+  const hasta = new Date(ahora.getTime() + WIP_LOCK_SECONDS * 1000);
+  const campo = `bloqueosWip.${clave}`;
+
+  const item = await TableroModel.findOneAndUpdate(
+    { _id: tableroId, $or: [{ [campo]: null }, { [campo]: { $lte: ahora } }] },
+    { $set: { [campo]: hasta } },
+    { timestamps: false }
+  ).exec();
+
+  return item ? hasta : null;
+}
+
+/**
+ * Libera el bloqueo de una columna, salvo que ya haya caducado y lo tenga otra petición.
+ * 
+ * @async
+ * @function unlockColumn
+ * @param {string} tableroId - ID del tablero.
+ * @param {string} clave - Clave de la columna.
+ * @param {Date} hasta - Fin del bloqueo devuelto por `lockColumn`.
+ * @returns {Promise<void>}
+ */
+async function unlockColumn(tableroId, clave, hasta) {
+  const campo = `bloqueosWip.${clave}`;
+  await TableroModel.updateOne({ _id: tableroId, [campo]: hasta }, { $unset: { [campo]: 1 } }, { timestamps: false }).exec();
+}
+
 /**
  * Repositorio de tableros que contiene las operaciones principales sobre la base de datos.
  * 
@@ -148,10 +508,26 @@ function isProyectoActual(fechaActual, fechaFin) {
  * @property {Function} remove - Elimina un tablero por su ID.
  * @property {Function} update - Actualiza un tablero por su ID.
  * @property {Function} getByCollaborator -Lista los tableros del usuario colaborador.
+ * @property {Function} shareBoard -Indica si dos usuarios tienen algún tablero en común.
  * @property {Function} addCollaborator -Añade un colaborador.
+ * @property {Function} setCollaboratorRole -Cambia el rol de un colaborador.
  * @property {Function} removeCollaborator -Elimina un colaborador.
+ * @property {Function} requestTransfer -Solicita la transferencia de la propiedad a un colaborador.
+ * @property {Function} cancelTransfer -Cancela la transferencia de la propiedad pendiente.
+ * @property {Function} acceptTransfer -Completa la transferencia de la propiedad pendiente.
  * @property {Function} getByAdministrator -Lista los tableros del usuario administrador.
  * @property {Function} isProyectoActual -True si es actual o false si ha finalizado.
+ * @property {Function} listByWorkspace -Lista los tableros de un workspace.
+ * @property {Function} detachWorkspace -Saca del workspace todos sus tableros.
+ * @property {Function} setJoinLink -Genera el enlace de unión de un tablero.
+ * @property {Function} removeJoinLink -Desactiva el enlace de unión de un tablero.
+ * @property {Function} getByJoinToken -Obtiene el tablero de un enlace de unión válido.
+ * @property {Function} useJoinLink -Registra un uso del enlace de unión.
+ * @property {Function} addLabel -Añade una etiqueta a un tablero.
+ * @property {Function} updateLabel -Modifica una etiqueta de un tablero.
+ * @property {Function} removeLabel -Elimina una etiqueta de un tablero.
+ * @property {Function} lockColumn -Bloquea una columna del flujo mientras se mueve una tarea a ella.
+ * @property {Function} unlockColumn -Libera el bloqueo de una columna del flujo.
 */
 export const tablerosRepository = {
   list,
@@ -160,8 +536,24 @@ export const tablerosRepository = {
   remove,
   update,
   getByCollaborator,
+  shareBoard,
   addCollaborator,
+  setCollaboratorRole,
   removeCollaborator,
+  requestTransfer,
+  cancelTransfer,
+  acceptTransfer,
   getByAdministrator,
-  isProyectoActual
+  isProyectoActual,
+  listByWorkspace,
+  detachWorkspace,
+  setJoinLink,
+  removeJoinLink,
+  getByJoinToken,
+  useJoinLink,
+  addLabel,
+  updateLabel,
+  removeLabel,
+  lockColumn,
+  unlockColumn
 };
\ No newline at end of file
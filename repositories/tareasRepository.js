@@ -1,3 +1,4 @@
+import { Types } from "mongoose";
 import { TareaModel } from "./models/tareaModel.js";
 
 /**
@@ -75,6 +76,21 @@ async function listByUserAsigned(tablero, id) {
     return await TareaModel.find({ tablero: tablero, asignadoA: id }).exec();
 }
 
+/**
+ * Lista las tareas de un tablero filtradas por sus etiquetas
+ *
+ * @async
+ * @function listByLabels
+ * @param {string} tablero - Identificador del tablero
+ * @param {Array<string>} etiquetas - IDs de las etiquetas para filtrar
+ * @param {string} [coincidencia="alguna"] - `alguna` para las tareas con cualquiera de las etiquetas o `todas` para las que tienen todas
+ * @return {Promise<Array<Object>>} Lista de tareas de un tablero con las etiquetas indicadas
+ */
+async function listByLabels(tablero, etiquetas, coincidencia = "alguna") {
+    const operador = coincidencia === "todas" ? "$all" : "$in";
+    return await TareaModel.find({ tablero: tablero, etiquetas: { [operador]: etiquetas } }).exec();
+}
+
 /**
  * Obtiene una tarea por su ID.
  *
@@ -113,6 +129,563 @@ async function update(id, data) {
     return await TareaModel.findOneAndUpdate({ _id: id }, data, { new: true, runValidators: true }).exec();
 }
 
+/**
+ * Añade un comentario al final de la lista de comentarios de una tarea.
+ *
+ * @async
+ * @function addComment
+ * @param {string} id - ID único de la tarea.
+ * @param {Object} comentario - Comentario a añadir.
+ * @param {string} comentario.usuario - ID del usuario que comenta.
+ * @param {string} comentario.mensaje - Mensaje del comentario.
+ * @param {Array<string>} [comentario.menciones] - IDs de los usuarios mencionados en el comentario.
+ * @returns {Promise<Object|null>} El comentario creado o null si la tarea no existe.
+ */
+async function addComment(id, comentario) {
+    const comentarioId = new Types.ObjectId();
+    const tarea = await TareaModel.findOneAndUpdate(
+        { _id: id },
+        { $push: { comentarios: { ...comentario, _id: comentarioId } } },
+        { new: true, runValidators: true }
+    ).exec();
+
+    return tarea ? tarea.comentarios.id(comentarioId) : null;
+}
+
+/**
+ * Lista una página de los comentarios de una tarea, del más antiguo al más reciente.
+ *
+ * @async
+ * @function listComments
+ * @param {string} id - ID único de la tarea.
+ * @param {Object} paginacion - Página a obtener.
+ * @param {number} paginacion.pagina - Número de página, empezando en 1.
+ * @param {number} paginacion.limite - Número de comentarios por página.
+ * @returns {Promise<Object|null>} Objeto con los comentarios de la página (`items`) y el total de comentarios
+ * de la tarea (`total`), o null si la tarea no existe.
+ */
+async function listComments(id, { pagina, limite }) {
+    const [resultado] = await TareaModel.aggregate([
+        { $match: { _id: new Types.ObjectId(id) } },
+        {
+            $project: {
+                total: { $size: "$comentarios" },
+                items: { $slice: ["$comentarios", (pagina - 1) * limite, limite] }
+            }
+        }
+    ]).exec();
+
+    if (!resultado) {
+        return null;
+    }
+
+    // se reconstruyen los comentarios como subdocumentos para serializarlos igual que en la tarea
+    const tarea = TareaModel.hydrate({ _id: resultado._id, comentarios: resultado.items });
+    return { items: tarea.comentarios, total: resultado.total };
+}
+
+/**
+ * Modifica el mensaje de un comentario de una tarea y registra la fecha de edición.
+ * Solo se modifica si el comentario pertenece al usuario indicado.
+ *
+ * @async
+ * @function updateComment
+ * @param {string} id - ID único de la tarea.
+ * @param {string} comentarioId - ID del comentario.
+ * @param {string} usuarioId - ID del autor del comentario.
+ * @param {string} mensaje - Nuevo mensaje del comentario.
+ * @param {Array<string>} [menciones=[]] - IDs de los usuarios mencionados en el nuevo mensaje.
+ * @returns {Promise<Object|null>} El comentario actualizado o null si no existe o no es del usuario.
+ */
+async function updateComment(id, comentarioId, usuarioId, mensaje, menciones = []) {
+    const tarea = await TareaModel.findOneAndUpdate(
+        { _id: id, comentarios: { $elemMatch: { _id: comentarioId, usuario: usuarioId } } },
+        {
+            $set: {
+                "comentarios.$.mensaje": mensaje,
+                "comentarios.$.menciones": menciones,
+                "comentarios.$.editadoEn": new Date()
+            }
+        },
+        { new: true, runValidators: true }
+    ).exec();
+
+    return tarea ? tarea.comentarios.id(comentarioId) : null;
+}
+
+/**
+ * Elimina un comentario de una tarea.
+ *
+ * @async
+ * @function removeComment
+ * @param {string} id - ID único de la tarea.
+ * @param {string} comentarioId - ID del comentario.
+ * @returns {Promise<Object|null>} La tarea sin el comentario o null si la tarea o el comentario no existen.
+ */
+async function removeComment(id, comentarioId) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id, "comentarios._id": comentarioId },
+        { $pull: { comentarios: { _id: comentarioId } } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Añade la reacción de un usuario a un comentario de una tarea.
+ * Si el usuario ya había reaccionado con el mismo emoji, el comentario no cambia.
+ *
+ * @async
+ * @function addReaction
+ * @param {string} id - ID único de la tarea.
+ * @param {string} comentarioId - ID del comentario.
+ * @param {string} usuarioId - ID del usuario que reacciona.
+ * @param {string} emoji - Emoji de la reacción.
+ * @returns {Promise<Object|null>} El comentario actualizado o null si no existe o el usuario ya había reaccionado con el emoji.
+ */
+async function addReaction(id, comentarioId, usuarioId, emoji) {
+    const tarea = await TareaModel.findOneAndUpdate(
+        {
+            _id: id,
+            comentarios: {
+                $elemMatch: { _id: comentarioId, reacciones: { $not: { $elemMatch: { usuario: usuarioId, emoji } } } }
+            }
+        },
+        { $push: { "comentarios.$.reacciones": { emoji, usuario: usuarioId } } },
+        { new: true, runValidators: true }
+    ).exec();
+
+    return tarea ? tarea.comentarios.id(comentarioId) : null;
+}
+
+/**
+ * Quita la reacción de un usuario a un comentario de una tarea.
+ *
+ * @async
+ * @function removeReaction
+ * @param {string} id - ID único de la tarea.
+ * @param {string} comentarioId - ID del comentario.
+ * @param {string} usuarioId - ID del usuario que reaccionó.
+ * @param {string} emoji - Emoji de la reacción.
+ * @returns {Promise<Object|null>} El comentario actualizado o null si la tarea o el comentario no existen.
+ */
+async function removeReaction(id, comentarioId, usuarioId, emoji) {
+    const tarea = await TareaModel.findOneAndUpdate(
+        { _id: id, "comentarios._id": comentarioId },
+        { $pull: { "comentarios.$.reacciones": { usuario: usuarioId, emoji } } },
+        { new: true }
+    ).exec();
+
+    return tarea ? tarea.comentarios.id(comentarioId) : null;
+}
+
+/**
+ * Añade un elemento al final de la checklist de una tarea.
+ *
+ * @async
+ * @function addChecklistItem
+ * @param {string} id - ID único de la tarea.
+ * @param {Object} item - Elemento a añadir (texto, completado, asignadoA y fechaLimite).
+ * @returns {Promise<Object|null>} La tarea actualizada o null si no existe.
+ */
+async function addChecklistItem(id, item) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id },
+        { $push: { checklist: item } },
+        { new: true, runValidators: true }
+    ).exec();
+}
+
+/**
+ * Modifica los campos indicados de un elemento de la checklist de una tarea.
+ *
+ * @async
+ * @function updateChecklistItem
+ * @param {string} id - ID único de la tarea.
+ * @param {string} itemId - ID del elemento.
+ * @param {Object} data - Campos a modificar (texto, completado, asignadoA y fechaLimite).
+ * @returns {Promise<Object|null>} La tarea actualizada o null si la tarea o el elemento no existen.
+ */
+async function updateChecklistItem(id, itemId, data) {
+    const cambios = Object.fromEntries(
+        Object.entries(data).map(([campo, valor]) => [`checklist.$.${campo}`, valor])
+    );
+
+    return await TareaModel.findOneAndUpdate(
+        { _id: id, "checklist._id": itemId },
+        { $set: cambios },
+        { new: true, runValidators: true }
+    ).exec();
+}
+
+/**
+ * Marca como hecho un elemento pendiente de la checklist de una tarea, o como pendiente uno hecho.
+ * El cambio se hace en la base de datos, por lo que dos peticiones simultáneas no se pisan.
+ *
+ * @async
+ * @function toggleChecklistItem
+ * @param {string} id - ID único de la tarea.
+ * @param {string} itemId - ID del elemento.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si la tarea o el elemento no existen.
+ */
+async function toggleChecklistItem(id, itemId) {
+    const elementoId = new Types.ObjectId(itemId);
+
+    return await TareaModel.findOneAndUpdate(
+        { _id: id, "checklist._id": elementoId },
+        [{
+            $set: {
+                checklist: {
+                    $map: {
+                        input: "$checklist",
+                        as: "item",
+                        in: {
+                            $cond: [
+                                { $eq: ["$$item._id", elementoId] },
+                                { $mergeObjects: ["$$item", { completado: { $not: ["$$item.completado"] } }] },
+                                "$$item"
+                            ]
+                        }
+                    }
+                }
+            }
+        }],
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Elimina un elemento de la checklist de una tarea.
+ *
+ * @async
+ * @function removeChecklistItem
+ * @param {string} id - ID único de la tarea.
+ * @param {string} itemId - ID del elemento.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si la tarea o el elemento no existen.
+ */
+async function removeChecklistItem(id, itemId) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id, "checklist._id": itemId },
+        { $pull: { checklist: { _id: itemId } } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Cambia el orden de la checklist de una tarea.
+ * Solo se reordena si el nuevo orden contiene exactamente los elementos actuales de la checklist.
+ *
+ * @async
+ * @function reorderChecklist
+ * @param {string} id - ID único de la tarea.
+ * @param {Array<string>} orden - IDs de todos los elementos de la checklist en el nuevo orden.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si no existe o el orden no coincide con la checklist.
+ */
+async function reorderChecklist(id, orden) {
+    const ids = orden.map((itemId) => new Types.ObjectId(itemId));
+
+    return await TareaModel.findOneAndUpdate(
+        { _id: id, checklist: { $size: ids.length }, "checklist._id": { $all: ids } },
+        [{
+            $set: {
+                checklist: {
+                    $map: {
+                        input: ids,
+                        as: "itemId",
+                        in: { $first: { $filter: { input: "$checklist", cond: { $eq: ["$$this._id", "$$itemId"] } } } }
+                    }
+                }
+            }
+        }],
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Lista las subtareas de una tarea.
+ *
+ * @async
+ * @function listSubtasks
+ * @param {string} id - ID único de la tarea padre.
+ * @returns {Promise<Array<Object>>} Subtareas de la tarea por orden de creación.
+ */
+async function listSubtasks(id) {
+    return await TareaModel.find({ tareaPadre: id }).sort({ createdAt: "asc" }).exec();
+}
+
+/**
+ * Indica si una tarea tiene subtareas.
+ *
+ * @async
+ * @function hasSubtasks
+ * @param {string} id - ID único de la tarea.
+ * @returns {Promise<boolean>} true si alguna tarea tiene a esta como tarea padre.
+ */
+async function hasSubtasks(id) {
+    return Boolean(await TareaModel.exists({ tareaPadre: id }));
+}
+
+/**
+ * Convierte las subtareas de una tarea en tareas independientes, por ejemplo cuando se elimina la tarea padre.
+ *
+ * @async
+ * @function detachSubtasks
+ * @param {string} id - ID único de la tarea padre.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function detachSubtasks(id) {
+    return await TareaModel.updateMany({ tareaPadre: id }, { tareaPadre: null }).exec();
+}
+
+/**
+ * Asigna una etiqueta a una tarea. Si la tarea ya tenía la etiqueta, no cambia.
+ *
+ * @async
+ * @function attachLabel
+ * @param {string} id - ID único de la tarea.
+ * @param {string} etiquetaId - ID de la etiqueta del tablero.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si no existe.
+ */
+async function attachLabel(id, etiquetaId) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id },
+        { $addToSet: { etiquetas: etiquetaId } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Quita una etiqueta de una tarea.
+ *
+ * @async
+ * @function detachLabel
+ * @param {string} id - ID único de la tarea.
+ * @param {string} etiquetaId - ID de la etiqueta del tablero.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si no existe.
+ */
+async function detachLabel(id, etiquetaId) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id },
+        { $pull: { etiquetas: etiquetaId } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Quita una etiqueta de todas las tareas de un tablero, por ejemplo cuando se elimina la etiqueta.
+ *
+ * @async
+ * @function detachLabelFromBoard
+ * @param {string} tablero - ID del tablero.
+ * @param {string} etiquetaId - ID de la etiqueta.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function detachLabelFromBoard(tablero, etiquetaId) {
+    return await TareaModel.updateMany(
+        { tablero, etiquetas: etiquetaId },
+        { $pull: { etiquetas: etiquetaId } }
+    ).exec();
+}
+
+/**
+ * Obtiene cuáles de los estados indicados tienen alguna tarea en un tablero.
+ *
+ * @async
+ * @function listUsedStates
+ * @param {string} tablero - ID del tablero.
+ * @param {Array<string>} estados - Claves de las columnas a comprobar.
+ * @returns {Promise<Array<string>>} Estados con al menos una tarea.
+ */
+async function listUsedStates(tablero, estados) {
+    return await TareaModel.distinct("estado", { tablero, estado: { $in: estados } }).exec();
+}
+
+/**
+ * Cuenta las tareas de un tablero que están en un estado.
+ *
+ * @async
+ * @function countByState
+ * @param {string} tablero - ID del tablero.
+ * @param {string} estado - Clave de la columna.
+ * @param {string} [excluirId] - ID de una tarea que no se cuenta, por ejemplo la que se va a mover a la columna.
+ * @returns {Promise<number>} Número de tareas en la columna.
+ */
+async function countByState(tablero, estado, excluirId) {
+    const filter = { tablero, estado };
+
+    if (excluirId) {
+        filter._id = { $ne: excluirId };
+    }
+
+    return await TareaModel.countDocuments(filter).exec();
+}
+
+/**
+ * Actualiza la categoría del estado de las tareas de un tablero tras cambiar su flujo.
+ *
+ * @async
+ * @function syncStateCategories
+ * @param {string} tablero - ID del tablero.
+ * @param {Array<Object>} flujo - Columnas del flujo del tablero, con su clave y su categoría.
+ * @returns {Promise<Object>} Resultado de las actualizaciones.
+ */
+async function syncStateCategories(tablero, flujo) {
+    return await TareaModel.bulkWrite(flujo.map(({ clave, categoria }) => ({
+        updateMany: {
+            filter: { tablero, estado: clave, categoriaEstado: { $ne: categoria } },
+            update: { $set: { categoriaEstado: categoria } }
+        }
+    })));
+}
+
+/**
+ * Añade una tarea bloqueante a una tarea. Si ya la bloqueaba, la tarea no cambia.
+ *
+ * @async
+ * @function addDependency
+ * @param {string} id - ID único de la tarea bloqueada.
+ * @param {string} bloqueanteId - ID de la tarea que la bloquea.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si no existe.
+ */
+async function addDependency(id, bloqueanteId) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id },
+        { $addToSet: { bloqueadaPor: bloqueanteId } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Quita una tarea bloqueante de una tarea.
+ *
+ * @async
+ * @function removeDependency
+ * @param {string} id - ID único de la tarea bloqueada.
+ * @param {string} bloqueanteId - ID de la tarea que la bloqueaba.
+ * @returns {Promise<Object|null>} La tarea actualizada o null si no existe.
+ */
+async function removeDependency(id, bloqueanteId) {
+    return await TareaModel.findOneAndUpdate(
+        { _id: id },
+        { $pull: { bloqueadaPor: bloqueanteId } },
+        { new: true }
+    ).exec();
+}
+
+/**
+ * Quita una tarea de las tareas bloqueantes de todas las demás, por ejemplo cuando se elimina o cambia de tablero.
+ *
+ * @async
+ * @function removeDependencyFromAll
+ * @param {string} bloqueanteId - ID de la tarea bloqueante.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function removeDependencyFromAll(bloqueanteId) {
+    return await TareaModel.updateMany(
+        { bloqueadaPor: bloqueanteId },
+        { $pull: { bloqueadaPor: bloqueanteId } }
+    ).exec();
+}
+
+/**
+ * Lista las tareas de un tablero con los datos necesarios para su grafo de dependencias.
+ *
+ * @async
+ * @function listDependencies
+ * @param {string} tablero - ID del tablero.
+ * @returns {Promise<Array<Object>>} Tareas del tablero con su nombre, estado, categoría del estado y tareas bloqueantes.
+ */
+async function listDependencies(tablero) {
+    return await TareaModel.find({ tablero: tablero }, { nombre: 1, estado: 1, categoriaEstado: 1, bloqueadaPor: 1 }).exec();
+}
+
+/**
+ * Lista las tareas que bloquean a una tarea y las que están bloqueadas por ella.
+ *
+ * @async
+ * @function getDependencies
+ * @param {Object} tarea - Tarea.
+ * @returns {Promise<{bloqueadaPor: Array<Object>, bloquea: Array<Object>}>} Tareas bloqueantes y tareas bloqueadas.
+ */
+async function getDependencies(tarea) {
+    const [bloqueadaPor, bloquea] = await Promise.all([
+        TareaModel.find({ _id: { $in: tarea.bloqueadaPor } }).exec(),
+        TareaModel.find({ bloqueadaPor: tarea._id }).exec()
+    ]);
+
+    return { bloqueadaPor, bloquea };
+}
+
+/**
+ * Lista las tareas bloqueantes de una tarea que todavía no están en una columna de categoría `done`.
+ *
+ * @async
+ * @function listOpenBlockers
+ * @param {Object} tarea - Tarea bloqueada.
+ * @returns {Promise<Array<Object>>} Tareas bloqueantes no completadas.
+ */
+async function listOpenBlockers(tarea) {
+    return await TareaModel.find({ _id: { $in: tarea.bloqueadaPor }, categoriaEstado: { $ne: "done" } }).exec();
+}
+
+/**
+ * Lista las menciones a un usuario en las descripciones y los comentarios de las tareas de los tableros indicados,
+ * de la más reciente a la más antigua.
+ *
+ * @async
+ * @function listMentions
+ * @param {string} usuarioId - ID del usuario mencionado.
+ * @param {Array<string>} tableros - IDs de los tableros en los que buscar.
+ * @returns {Promise<Array<Object>>} Menciones con la tarea, su tablero, el origen (`descripcion` o `comentario`),
+ * el comentario y su autor cuando la mención está en un comentario, y la fecha.
+ */
+async function listMentions(usuarioId, tableros) {
+    const tareas = await TareaModel.find({
+        tablero: { $in: tableros },
+        $or: [{ menciones: usuarioId }, { "comentarios.menciones": usuarioId }]
+    }).exec();
+
+    const menciones = [];
+
+    for (const tarea of tareas) {
+        const base = { tarea: tarea._id, nombre: tarea.nombre, tablero: tarea.tablero };
+
+        if (tarea.menciones.some((id) => id.equals(usuarioId))) {
+            menciones.push({ ...base, origen: "descripcion", comentario: null, autor: null, fecha: tarea.updatedAt });
+        }
+
+        for (const comentario of tarea.comentarios) {
+            if (comentario.menciones.some((id) => id.equals(usuarioId))) {
+                menciones.push({
+                    ...base,
+                    origen: "comentario",
+                    comentario: comentario._id,
+                    autor: comentario.usuario,
+                    fecha: comentario.editadoEn ?? comentario.fecha
+                });
+            }
+        }
+    }
+
+    return menciones.sort((a, b) => b.fecha - a.fecha);
+}
+
+/**
+ * Quita la asignación de un usuario en las tareas no completadas de un tablero,
+ * por ejemplo cuando el usuario abandona el tablero.
+ *
+ * @async
+ * @function unassignOpenByUser
+ * @param {string} tablero - ID del tablero.
+ * @param {string} userId - ID del usuario.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function unassignOpenByUser(tablero, userId) {
+    return await TareaModel.updateMany(
+        { tablero, asignadoA: userId, categoriaEstado: { $ne: 'done' } },
+        { asignadoA: null }
+    ).exec();
+}
+
 /**
  * Repositorio de tareas que contiene las operaciones principales sobre la base de datos
  *
@@ -123,9 +696,38 @@ async function update(id, data) {
  * @property {Function} listByState - Lista las tareas de un tablero filtrando por su estado
  * @property {Function} listByLimitDate - Lista las tareas de un tablero filtrando por su fecha límite
  * @property {Function} listByUserAsigned - Lista las tareas de un tablero filtrando por su usuario asignado
+ * @property {Function} listByLabels - Lista las tareas de un tablero filtrando por sus etiquetas
  * @property {Function} getOne - Obtiene una tarea por su ID
  * @property {Function} remove - Elimina una tarea por su ID
  * @property {Function} update - Actualiza una tarea por su ID
+ * @property {Function} addComment - Añade un comentario a una tarea
+ * @property {Function} listComments - Lista una página de los comentarios de una tarea
+ * @property {Function} updateComment - Modifica un comentario propio de una tarea
+ * @property {Function} removeComment - Elimina un comentario de una tarea
+ * @property {Function} addReaction - Añade la reacción de un usuario a un comentario
+ * @property {Function} removeReaction - Quita la reacción de un usuario a un comentario
+ * @property {Function} addChecklistItem - Añade un elemento a la checklist de una tarea
+ * @property {Function} updateChecklistItem - Modifica un elemento de la checklist de una tarea
+ * @property {Function} toggleChecklistItem - Marca o desmarca como hecho un elemento de la checklist
+ * @property {Function} removeChecklistItem - Elimina un elemento de la checklist de una tarea
+ * @property {Function} reorderChecklist - Cambia el orden de la checklist de una tarea
+ * @property {Function} listSubtasks - Lista las subtareas de una tarea
+ * @property {Function} hasSubtasks - Indica si una tarea tiene subtareas
+ * @property {Function} detachSubtasks - Convierte las subtareas de una tarea en tareas independientes
+ * @property {Function} attachLabel - Asigna una etiqueta a una tarea
+ * @property {Function} detachLabel - Quita una etiqueta de una tarea
+ * @property {Function} detachLabelFromBoard - Quita una etiqueta de todas las tareas de un tablero
+ * @property {Function} addDependency - Añade una tarea bloqueante a una tarea
+ * @property {Function} removeDependency - Quita una tarea bloqueante de una tarea
+ * @property {Function} removeDependencyFromAll - Quita una tarea de las tareas bloqueantes de todas las demás
+ * @property {Function} listDependencies - Lista las tareas de un tablero para su grafo de dependencias
+ * @property {Function} getDependencies - Lista las tareas que bloquean a una tarea y las que bloquea
+ * @property {Function} listUsedStates - Obtiene cuáles de unos estados tienen tareas en un tablero
+ * @property {Function} countByState - Cuenta las tareas de un tablero que están en un estado
+ * @property {Function} syncStateCategories - Actualiza la categoría del estado de las tareas de un tablero
+ * @property {Function} listOpenBlockers - Lista las tareas bloqueantes no completadas de una tarea
+ * @property {Function} listMentions - Lista las menciones a un usuario en las tareas de unos tableros
+ * @property {Function} unassignOpenByUser - Quita la asignación de un usuario en las tareas no completadas de un tablero
  */
 export const tareasRepository = {
     create,
@@ -134,7 +736,36 @@ export const tareasRepository = {
     listByState,
     listByLimitDate,
     listByUserAsigned,
+    listByLabels,
     getOne,
     remove,
     update,
+    addComment,
+    listComments,
+    updateComment,
+    removeComment,
+    addReaction,
+    removeReaction,
+    addChecklistItem,
+    updateChecklistItem,
+    toggleChecklistItem,
+    removeChecklistItem,
+    reorderChecklist,
+    listSubtasks,
+    hasSubtasks,
+    detachSubtasks,
+    attachLabel,
+    detachLabel,
+    detachLabelFromBoard,
+    addDependency,
+    removeDependency,
+    removeDependencyFromAll,
+    listDependencies,
+    getDependencies,
+    listUsedStates,
+    countByState,
+    syncStateCategories,
+    listOpenBlockers,
+    listMentions,
+    unassignOpenByUser,
 }
\ No newline at end of file
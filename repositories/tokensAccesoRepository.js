@@ -0,0 +1,139 @@
+import { isValidObjectId } from 'mongoose';
+import { TokenAccesoModel } from './models/tokenAccesoModel.js';
+import { generateToken, hashToken } from '../utils/randomToken.js';
+
+/**
+ * Prefijo de los tokens de acceso personal, que permite distinguirlos de los tokens JWT de sesión.
+ *
+ * @constant {string}
+ */
+export const TOKEN_ACCESO_PREFIX = 'whp_';
+
+/**
+ * Intervalo mínimo, en milisegundos, entre dos actualizaciones de la fecha de último uso.
+ *
+ * @constant {number}
+ */
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+/**
+ * Filtro de los tokens que no han sido revocados ni han caducado.
+ *
+ * @function activeFilter
+ * @returns {Object} Filtro de MongoDB.
+ */
+function activeFilter() {
+  return {
+    revocadoEn: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+}
+
+/**
+ * Crea un nuevo token de acceso personal para un usuario. Solo se almacena su hash.
+ *
+ * @async
+ * @function create
+ * @param {string} usuarioId - ID del usuario.
+ * @param {Object} data - Datos del token.
+ * @param {string} data.nombre - Nombre descriptivo del token.
+ * @param {string[]} data.scopes - Permisos concedidos al token.
+ * @param {Date|null} [data.expiresAt=null] - Fecha de caducidad del token.
+ * @returns {Promise<{token: string, item: Object}>} El token en texto plano y el registro creado.
+ */
+async function create(usuarioId, { nombre, scopes, expiresAt = null }) {
+  const token = `${TOKEN_ACCESO_PREFIX}${generateToken(32)}`;
+
+  const item = await new TokenAccesoModel({
+    usuario: usuarioId,
+    nombre,
+    scopes,
+    tokenHash: hashToken(token),
+    prefijo: token.slice(0, TOKEN_ACCESO_PREFIX.length + 6),
+    expiresAt
+  }).save();
+
+  return { token, item };
+}
+
+/**
+ * Obtiene un token de acceso personal activo a partir de su valor en texto plano.
+ *
+ * @async
+ * @function getActiveByToken
+ * @param {string} token - Token en texto plano.
+ * @returns {Promise<Object|null>} El token encontrado o null si no existe, ha caducado o ha sido revocado.
+ */
+async function getActiveByToken(token) {
+  return await TokenAccesoModel.findOne({ tokenHash: hashToken(token), ...activeFilter() }).exec();
+}
+
+/**
+ * Lista los tokens de acceso personal activos de un usuario ordenados por fecha de creación de forma descendente.
+ *
+ * @async
+ * @function listActiveByUser
+ * @param {string} usuarioId - ID del usuario.
+ * @returns {Promise<Array<Object>>} Lista de tokens activos.
+ */
+async function listActiveByUser(usuarioId) {
+  return await TokenAccesoModel.find({ usuario: usuarioId, ...activeFilter() })
+    .sort({ createdAt: 'desc' })
+    .exec();
+}
+
+/**
+ * Registra un nuevo uso del token. Para no escribir en cada petición,
+ * solo se actualiza si el último uso registrado es anterior al intervalo mínimo.
+ *
+ * @async
+ * @function touch
+ * @param {Object} tokenAcceso - Token de acceso activo.
+ * @returns {Promise<void>}
+ */
+async function touch(tokenAcceso) {
+  if (tokenAcceso.ultimoUso && Date.now() - tokenAcceso.ultimoUso.getTime() < LAST_USED_UPDATE_INTERVAL) {
+    return;
+  }
+
+  await TokenAccesoModel.updateOne({ _id: tokenAcceso._id }, { ultimoUso: new Date() }).exec();
+}
+
+/**
+ * Revoca un token de acceso personal de un usuario.
+ *
+ * @async
+ * @function revoke
+ * @param {string} id - ID del token.
+ * @param {string} usuarioId - ID del usuario propietario.
+ * @returns {Promise<Object|null>} El token revocado o null si no existe o ya estaba revocado.
+ */
+async function revoke(id, usuarioId) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  return await TokenAccesoModel.findOneAndUpdate(
+    { _id: id, usuario: usuarioId, revocadoEn: null },
+    { revocadoEn: new Date() },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Repositorio de tokens de acceso personal que contiene las operaciones principales sobre la base de datos.
+ *
+ * @namespace tokensAccesoRepository
+ * @property {Function} create - Crea un nuevo token de acceso personal.
+ * @property {Function} getActiveByToken - Obtiene un token activo por su valor.
+ * @property {Function} listActiveByUser - Lista los tokens activos de un usuario.
+ * @property {Function} touch - Registra un uso del token.
+ * @property {Function} revoke - Revoca un token.
+ */
+export const tokensAccesoRepository = {
+  create,
+  getActiveByToken,
+  listActiveByUser,
+  touch,
+  revoke
+};
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { TokenRevocadoModel } from './models/tokenRevocadoModel.js';
+
+/**
+ * Almacén en memoria utilizado como respaldo cuando la base de datos no está disponible.
+ * Asocia el identificador del token con su fecha de expiración.
+ *
+ * @type {Map<string, Date>}
+ */
+const memoryStore = new Map();
+
+/**
+ * Indica si la conexión con la base de datos está disponible.
+ *
+ * @function isDatabaseReady
+ * @returns {boolean} True si mongoose está conectado.
+ */
+function isDatabaseReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Elimina del almacén en memoria los tokens que ya han expirado.
+ *
+ * @function purgeMemoryStore
+ */
+function purgeMemoryStore() {
+  const now = Date.now();
+  for (const [jti, expiresAt] of memoryStore) {
+    if (expiresAt.getTime() <= now) {
+      memoryStore.delete(jti);
+    }
+  }
+}
+
+/**
+ * Revoca un token registrándolo hasta su fecha de expiración.
+ * Si la base de datos no está disponible, el token se guarda en memoria.
+ *
+ * @async
+ * @function revoke
+ * @param {string} jti - Identificador único del token.
+ * @param {Date} expiresAt - Fecha de expiración original del token.
+ * @returns {Promise<void>}
+ */
+async function revoke(jti, expiresAt) {
+  purgeMemoryStore();
+
+  if (isDatabaseReady()) {
+    try {
+      await TokenRevocadoModel.updateOne(
+        { jti },
+        { $setOnInsert: { jti, expiresAt } },
+        { upsert: true }
+      ).exec();
+      return;
+    } catch (error) {
+      console.error('Error guardando el token revocado, se usará el almacén en memoria');
+      console.error(error);
+    }
+  }
+
+  memoryStore.set(jti, expiresAt);
+}
+
+/**
+ * Comprueba si un token ha sido revocado, consultando tanto la base de datos como el almacén en memoria.
+ *
+ * @async
+ * @function isRevoked
+ * @param {string} jti - Identificador único del token.
+ * @returns {Promise<boolean>} True si el token ha sido revocado.
+ */
+async function isRevoked(jti) {
+  const expiresAt = memoryStore.get(jti);
+  if (expiresAt && expiresAt.getTime() > Date.now()) {
+    return true;
+  }
+
+  if (isDatabaseReady()) {
+    try {
+      return !!(await TokenRevocadoModel.exists({ jti }).exec());
+    } catch (error) {
+      console.error('Error consultando los tokens revocados');
+      console.error(error);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Repositorio de tokens revocados. Utiliza una colección de MongoDB con índice TTL
+ * y un almacén en memoria como respaldo si la base de datos no está disponible.
+ *
+ * @namespace tokensRevocadosRepository
+ * @property {Function} revoke - Revoca un token hasta su expiración.
+ * @property {Function} isRevoked - Comprueba si un token ha sido revocado.
+ */
+export const tokensRevocadosRepository = {
+  revoke,
+  isRevoked
+};
@@ -0,0 +1,101 @@
+import { TokenUsuarioModel } from './models/tokenUsuarioModel.js';
+import { generateToken, hashToken } from '../utils/randomToken.js';
+
+/**
+ * Crea un nuevo token de un solo uso para un usuario, invalidando los tokens
+ * del mismo tipo que todavía no se hubieran usado. Solo se almacena su hash.
+ *
+ * @async
+ * @function create
+ * @param {string} usuarioId - ID del usuario.
+ * @param {string} tipo - Finalidad del token.
+ * @param {number} minutos - Minutos de validez del token.
+ * @returns {Promise<string>} El token en texto plano.
+ */
+async function create(usuarioId, tipo, minutos) {
+  await invalidateAll(usuarioId, tipo);
+
+  const token = generateToken();
+
+  await new TokenUsuarioModel({
+    usuario: usuarioId,
+    tipo,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutos * 60 * 1000)
+  }).save();
+
+  return token;
+}
+
+/**
+ * Obtiene un token válido (del tipo indicado, sin caducar y sin usar) sin consumirlo.
+ *
+ * @async
+ * @function getValid
+ * @param {string} token - Token en texto plano.
+ * @param {string} tipo - Finalidad esperada del token.
+ * @returns {Promise<Object|null>} El token encontrado o null si no es válido.
+ */
+async function getValid(token, tipo) {
+  return await TokenUsuarioModel.findOne({
+    tokenHash: hashToken(token),
+    tipo,
+    usadoEn: null,
+    expiresAt: { $gt: new Date() }
+  }).exec();
+}
+
+/**
+ * Consume un token de forma atómica: solo tiene éxito si el token existe, es del tipo indicado,
+ * no ha caducado y no se había usado antes.
+ *
+ * @async
+ * @function consume
+ * @param {string} token - Token en texto plano.
+ * @param {string} tipo - Finalidad esperada del token.
+ * @returns {Promise<Object|null>} El token consumido o null si no es válido.
+ */
+async function consume(token, tipo) {
+  return await TokenUsuarioModel.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      tipo,
+      usadoEn: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usadoEn: new Date() },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Invalida todos los tokens sin usar de un tipo pertenecientes a un usuario.
+ *
+ * @async
+ * @function invalidateAll
+ * @param {string} usuarioId - ID del usuario.
+ * @param {string} tipo - Finalidad de los tokens.
+ * @returns {Promise<Object>} Resultado de la actualización.
+ */
+async function invalidateAll(usuarioId, tipo) {
+  return await TokenUsuarioModel.updateMany(
+    { usuario: usuarioId, tipo, usadoEn: null },
+    { usadoEn: new Date() }
+  ).exec();
+}
+
+/**
+ * Repositorio de tokens de un solo uso de los usuarios.
+ *
+ * @namespace tokensUsuarioRepository
+ * @property {Function} create - Crea un nuevo token.
+ * @property {Function} getValid - Obtiene un token válido sin consumirlo.
+ * @property {Function} consume - Consume un token válido.
+ * @property {Function} invalidateAll - Invalida los tokens sin usar de un usuario.
+ */
+export const tokensUsuarioRepository = {
+  create,
+  getValid,
+  consume,
+  invalidateAll
+};
@@ -1,20 +1,20 @@
-import { sha512 } from 'js-sha512';
 import { UsuarioModel } from './models/usuarioModel.js';
 import { uploadImage } from '../utils/uploadImageToCloudinary.js';
+import { hashPassword } from '../utils/passwordHasher.js';
 
 /**
  * Crea un nuevo usuario en la base de datos y en Firebase Authentication.
- * Encripta la contraseña del usuario antes de guardarla y opcionalmente sube la imagen de perfil.
+ * Genera el hash bcrypt de la contraseña del usuario antes de guardarla y opcionalmente sube la imagen de perfil.
  * 
  * @async
  * @function create
  * @param {Object} data - Datos del usuario a crear.
- * @param {string} data.password - Contraseña del usuario que será encriptada.
+ * @param {string} data.password - Contraseña del usuario de la que se guardará el hash.
  * @param {Object} [data.fotoPerfil] - Ruta de la imagen de perfil para subir (opcional).
  * @returns {Promise<Object>} El usuario creado.
  */
 async function create(data) {
-  data.password = sha512(data.password);
+  data.password = await hashPassword(data.password);
 
   if (data.fotoPerfil) {
     data.fotoPerfil = await uploadImage(data.fotoPerfil);
@@ -33,6 +33,18 @@ async function list() {
   return await UsuarioModel.find().sort({ createdAt: 'desc' }).exec();
 }
 
+/**
+ * Obtiene los usuarios con los IDs indicados.
+ *
+ * @async
+ * @function listByIds
+ * @param {Array<string>} ids - IDs de los usuarios.
+ * @returns {Promise<Array<Object>>} Los usuarios encontrados.
+ */
+async function listByIds(ids) {
+  return await UsuarioModel.find({ _id: { $in: ids } }).exec();
+}
+
 /**
  * Obtiene un usuario por su ID.
  * 
@@ -60,7 +72,7 @@ async function remove(id) {
 
 /**
  * Actualiza un usuario por su ID con los datos proporcionados en la base de datos y en Firebase Authentication.
- * Si se incluye una nueva contraseña, esta será encriptada.
+ * Si se incluye una nueva contraseña, se guardará su hash bcrypt.
  * Si se incluye una nueva imagen de perfil, será subida antes de actualizar.
  * 
  * @async
@@ -73,7 +85,7 @@ async function remove(id) {
  */
 async function update(id, data) {
   if (data.password) {
-    data.password = sha512(data.password);
+    data.password = await hashPassword(data.password);
   }
 
   if (data.fotoPerfil) {
@@ -98,16 +110,197 @@ async function update(id, data) {
 }
 
 /**
- * Obtiene un usuario por su correo electrónico y contraseña.
+ * Obtiene un usuario por su correo electrónico.
  * 
  * @async
- * @function getOneByEmailAndPassword
+ * @function getOneByEmail
  * @param {string} email - Correo electrónico del usuario.
- * @param {string} password - Contraseña del usuario.
  * @returns {Promise<Object|null>} El usuario encontrado o null si no existe.
  */
-async function getOneByEmailAndPassword(email, password) {
-  return await UsuarioModel.findOne({ email, password }).exec();
+async function getOneByEmail(email) {
+  return await UsuarioModel.findOne({ email: email?.toLowerCase().trim() }).exec();
+}
+
+/**
+ * Sustituye el hash de la contraseña de un usuario por uno nuevo generado a partir de la contraseña en texto plano.
+ * Se utiliza para migrar los hashes heredados al formato actual tras un inicio de sesión correcto
+ * y para establecer una nueva contraseña al restablecerla.
+ * 
+ * @async
+ * @function rehashPassword
+ * @param {string} id - ID único del usuario.
+ * @param {string} password - Contraseña en texto plano.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe.
+ */
+async function rehashPassword(id, password) {
+  const passwordHash = await hashPassword(password);
+  return await UsuarioModel.findOneAndUpdate({ _id: id }, { password: passwordHash }, { new: true }).exec();
+}
+
+/**
+ * Marca el email de un usuario como verificado.
+ * 
+ * @async
+ * @function markEmailAsVerified
+ * @param {string} id - ID único del usuario.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe.
+ */
+async function markEmailAsVerified(id) {
+  return await UsuarioModel.findOneAndUpdate({ _id: id }, { emailVerificado: true }, { new: true }).exec();
+}
+
+/**
+ * Guarda el secreto TOTP pendiente de confirmar durante la activación de la autenticación en dos pasos.
+ * 
+ * @async
+ * @function setPendingTwoFactorSecret
+ * @param {string} id - ID único del usuario.
+ * @param {string} secreto - Secreto TOTP en Base32.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe.
+ */
+async function setPendingTwoFactorSecret(id, secreto) {
+  return await UsuarioModel.findOneAndUpdate(
+    { _id: id },
+    { 'dobleFactor.secretoPendiente': secreto },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Activa la autenticación en dos pasos con el secreto pendiente de confirmar.
+ * 
+ * @async
+ * @function enableTwoFactor
+ * @param {string} id - ID único del usuario.
+ * @param {string[]} codigosRecuperacion - Hashes de los códigos de recuperación.
+ * @param {number} ultimoPaso - Paso de tiempo del código con el que se confirmó la activación.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe o no había activación pendiente.
+ */
+async function enableTwoFactor(id, codigosRecuperacion, ultimoPaso) {
+  const user = await UsuarioModel.findOne({ _id: id, 'dobleFactor.secretoPendiente': { $ne: null } }).exec();
+
+  if (!user) {
+    return null;
+  }
+
+  user.dobleFactor.activo = true;
+  user.dobleFactor.secreto = user.dobleFactor.secretoPendiente;
+  user.dobleFactor.secretoPendiente = null;
+  user.dobleFactor.codigosRecuperacion = codigosRecuperacion;
+  user.dobleFactor.ultimoPaso = ultimoPaso;
+
+  return await user.save();
+}
+
+/**
+ * Desactiva la autenticación en dos pasos y elimina sus secretos.
+ * 
+ * @async
+ * @function disableTwoFactor
+ * @param {string} id - ID único del usuario.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe.
+ */
+async function disableTwoFactor(id) {
+  return await UsuarioModel.findOneAndUpdate(
+    { _id: id },
+    {
+      dobleFactor: {
+        activo: false,
+        secreto: null,
+        secretoPendiente: null,
+        codigosRecuperacion: [],
+        ultimoPaso: null
+      }
+    },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Sustituye los códigos de recuperación de la autenticación en dos pasos.
+ * 
+ * @async
+ * @function setRecoveryCodes
+ * @param {string} id - ID único del usuario.
+ * @param {string[]} codigosRecuperacion - Hashes de los nuevos códigos de recuperación.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe.
+ */
+async function setRecoveryCodes(id, codigosRecuperacion) {
+  return await UsuarioModel.findOneAndUpdate(
+    { _id: id },
+    { 'dobleFactor.codigosRecuperacion': codigosRecuperacion },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Consume de forma atómica un código de recuperación, de modo que solo pueda usarse una vez.
+ * 
+ * @async
+ * @function useRecoveryCode
+ * @param {string} id - ID único del usuario.
+ * @param {string} codigoHash - Hash del código de recuperación.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si el código no existe.
+ */
+async function useRecoveryCode(id, codigoHash) {
+  return await UsuarioModel.findOneAndUpdate(
+    { _id: id, 'dobleFactor.codigosRecuperacion': codigoHash },
+    { $pull: { 'dobleFactor.codigosRecuperacion': codigoHash } },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Registra de forma atómica el paso de tiempo de un código TOTP aceptado.
+ * Falla si ya se había aceptado un código de ese paso o de uno posterior, lo que impide reutilizar códigos.
+ * 
+ * @async
+ * @function useTotpStep
+ * @param {string} id - ID único del usuario.
+ * @param {number} paso - Paso de tiempo del código.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si el código ya se había usado.
+ */
+async function useTotpStep(id, paso) {
+  return await UsuarioModel.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [{ 'dobleFactor.ultimoPaso': null }, { 'dobleFactor.ultimoPaso': { $lt: paso } }]
+    },
+    { 'dobleFactor.ultimoPaso': paso },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Obtiene un usuario por la cuenta de OpenID Connect vinculada.
+ * 
+ * @async
+ * @function getOneByOidcSubject
+ * @param {string} issuer - Emisor del proveedor de identidad.
+ * @param {string} subject - Identificador del usuario en el proveedor de identidad.
+ * @returns {Promise<Object|null>} El usuario encontrado o null si no existe.
+ */
+async function getOneByOidcSubject(issuer, subject) {
+  return await UsuarioModel.findOne({ 'oidc.issuer': issuer, 'oidc.subject': subject }).exec();
+}
+
+/**
+ * Vincula una cuenta de OpenID Connect a un usuario. El proveedor de identidad
+ * garantiza la propiedad del email, por lo que también se marca como verificado.
+ * 
+ * @async
+ * @function linkOidcAccount
+ * @param {string} id - ID único del usuario.
+ * @param {string} issuer - Emisor del proveedor de identidad.
+ * @param {string} subject - Identificador del usuario en el proveedor de identidad.
+ * @returns {Promise<Object|null>} El usuario actualizado o null si no existe.
+ */
+async function linkOidcAccount(id, issuer, subject) {
+  return await UsuarioModel.findOneAndUpdate(
+    { _id: id },
+    { oidc: { issuer, subject }, emailVerificado: true },
+    { new: true }
+  ).exec();
 }
 
 /**
@@ -116,16 +309,38 @@ async function getOneByEmailAndPassword(email, password) {
  * @namespace usuariosRepository
  * @property {Function} list - Lista todos los usuarios.
  * @property {Function} create - Crea un nuevo usuario.
+ * @property {Function} listByIds - Obtiene los usuarios con los IDs indicados.
  * @property {Function} getOne - Obtiene un usuario por su ID.
  * @property {Function} remove - Elimina un usuario por su ID.
  * @property {Function} update - Actualiza un usuario por su ID.
- * @property {Function} getOneByEmailAndPassword - Obtiene un usuario por email y contraseña.
+ * @property {Function} getOneByEmail - Obtiene un usuario por email.
+ * @property {Function} rehashPassword - Regenera el hash de la contraseña de un usuario.
+ * @property {Function} markEmailAsVerified - Marca el email de un usuario como verificado.
+ * @property {Function} setPendingTwoFactorSecret - Guarda el secreto TOTP pendiente de confirmar.
+ * @property {Function} enableTwoFactor - Activa la autenticación en dos pasos.
+ * @property {Function} disableTwoFactor - Desactiva la autenticación en dos pasos.
+ * @property {Function} setRecoveryCodes - Sustituye los códigos de recuperación.
+ * @property {Function} useRecoveryCode - Consume un código de recuperación.
+ * @property {Function} useTotpStep - Registra el uso de un código TOTP.
+ * @property {Function} getOneByOidcSubject - Obtiene un usuario por su cuenta de OpenID Connect.
+ * @property {Function} linkOidcAccount - Vincula una cuenta de OpenID Connect a un usuario.
  */
 export const usuariosRepository = {
   list,
   create,
+  listByIds,
   getOne,
   remove,
   update,
-  getOneByEmailAndPassword
+  getOneByEmail,
+  rehashPassword,
+  markEmailAsVerified,
+  setPendingTwoFactorSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  setRecoveryCodes,
+  useRecoveryCode,
+  useTotpStep,
+  getOneByOidcSubject,
+  linkOidcAccount
 };
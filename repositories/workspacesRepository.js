@@ -0,0 +1,177 @@
+import { isValidObjectId } from 'mongoose';
+import { WorkspaceModel } from './models/workspaceModel.js';
+import { UsuarioModel } from './models/usuarioModel.js';
+
+/**
+ * Crea un nuevo workspace en la base de datos.
+ * 
+ * @async
+ * @function create
+ * @param {Object} data - Datos del workspace a crear.
+ * @returns {Promise<Object>} El workspace creado.
+ */
+async function create(data) {
+  return await new WorkspaceModel(data).save();
+}
+
+/**
+ * Lista todos los workspaces ordenados por fecha de creación de forma descendente.
+ * 
+ * @async
+ * @function list
+ * @returns {Promise<Array<Object>>} Lista de workspaces.
+ */
+async function list() {
+  return await WorkspaceModel.find().sort({ createdAt: 'desc' }).exec();
+}
+
+/**
+ * Lista los workspaces de los que un usuario es propietario o miembro.
+ * 
+ * @async
+ * @function listByMember
+ * @param {string} userId - ID del usuario.
+ * @returns {Promise<Array<Object>>} Lista de workspaces del usuario.
+ */
+async function listByMember(userId) {
+  return await WorkspaceModel.find({
+    $or: [{ propietario: userId }, { 'miembros.usuario': userId }]
+  }).sort({ createdAt: 'desc' }).exec();
+}
+
+/**
+ * Obtiene un workspace por su ID.
+ * 
+ * @async
+ * @function getOne
+ * @param {string} id - ID del workspace.
+ * @returns {Promise<Object|null>} El workspace encontrado o null si no existe.
+ */
+async function getOne(id) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  return await WorkspaceModel.findOne({ _id: id }).exec();
+}
+
+/**
+ * Obtiene un workspace por su ID con los datos públicos de su propietario y sus miembros.
+ * 
+ * @async
+ * @function getOneWithMembers
+ * @param {string} id - ID del workspace.
+ * @returns {Promise<Object|null>} El workspace encontrado o null si no existe.
+ */
+async function getOneWithMembers(id) {
+  return await WorkspaceModel.findOne({ _id: id })
+    .populate({ path: 'propietario', select: 'nombre email fotoPerfil', model: UsuarioModel })
+    .populate({ path: 'miembros.usuario', select: 'nombre email fotoPerfil', model: UsuarioModel })
+    .exec();
+}
+
+/**
+ * Actualiza un workspace por su ID con los datos proporcionados.
+ * 
+ * @async
+ * @function update
+ * @param {string} id - ID del workspace a actualizar.
+ * @param {Object} data - Datos a actualizar.
+ * @returns {Promise<Object|null>} El workspace actualizado o null si no existe.
+ */
+async function update(id, data) {
+  return await WorkspaceModel.findOneAndUpdate({ _id: id }, data, { new: true, runValidators: true }).exec();
+}
+
+/**
+ * Elimina un workspace por su ID.
+ * 
+ * @async
+ * @function remove
+ * @param {string} id - ID del workspace a eliminar.
+ * @returns {Promise<Object|null>} El workspace eliminado o null si no existe.
+ */
+async function remove(id) {
+  return await WorkspaceModel.findOneAndDelete({ _id: id }).exec();
+}
+
+/**
+ * Añade un miembro a un workspace.
+ * 
+ * @async
+ * @function addMember
+ * @param {string} workspaceId - ID del workspace.
+ * @param {string} userId - ID del usuario.
+ * @param {string} [rol='miembro'] - Rol del miembro en el workspace.
+ * @returns {Promise<Object|null>} El workspace actualizado, o null si no existe o el usuario ya era miembro o propietario.
+ */
+async function addMember(workspaceId, userId, rol = 'miembro') {
+  return await WorkspaceModel.findOneAndUpdate(
+    { _id: workspaceId, propietario: { $ne: userId }, 'miembros.usuario': { $ne: userId } },
+    { $push: { miembros: { usuario: userId, rol, unidoEn: new Date() } } },
+    { new: true, runValidators: true }
+  ).exec();
+}
+
+/**
+ * Cambia el rol de un miembro de un workspace.
+ * 
+ * @async
+ * @function setMemberRole
+ * @param {string} workspaceId - ID del workspace.
+ * @param {string} userId - ID del miembro.
+ * @param {string} rol - Nuevo rol del miembro.
+ * @returns {Promise<Object|null>} El workspace actualizado, o null si no existe o el usuario no es miembro.
+ */
+async function setMemberRole(workspaceId, userId, rol) {
+  return await WorkspaceModel.findOneAndUpdate(
+    { _id: workspaceId, 'miembros.usuario': userId },
+    { $set: { 'miembros.$.rol': rol } },
+    { new: true, runValidators: true }
+  ).exec();
+}
+
+/**
+ * Elimina un miembro de un workspace.
+ * 
+ * @async
+ * @function removeMember
+ * @param {string} workspaceId - ID del workspace.
+ * @param {string} userId - ID del miembro.
+ * @returns {Promise<Object|null>} El workspace actualizado, o null si no existe o el usuario no es miembro.
+ */
+async function removeMember(workspaceId, userId) {
+  return await WorkspaceModel.findOneAndUpdate(
+    { _id: workspaceId, 'miembros.usuario': userId },
+    { $pull: { miembros: { usuario: userId } } },
+    { new: true }
+  ).exec();
+}
+
+/**
+ * Repositorio de workspaces que contiene las operaciones principales sobre la base de datos.
+ * 
+ * @namespace workspacesRepository
+ * @property {Function} create - Crea un nuevo workspace.
+ * @property {Function} list - Lista todos los workspaces.
+ * @property {Function} listByMember - Lista los workspaces de un usuario.
+ * @property {Function} getOne - Obtiene un workspace por su ID.
+ * @property {Function} getOneWithMembers - Obtiene un workspace con los datos de sus miembros.
+ * @property {Function} update - Actualiza un workspace por su ID.
+ * @property {Function} remove - Elimina un workspace por su ID.
+ * @property {Function} addMember - Añade un miembro a un workspace.
+ * @property {Function} setMemberRole - Cambia el rol de un miembro.
+ * @property {Function} removeMember - Elimina un miembro de un workspace.
+ */
+export const workspacesRepository = {
+  create,
+  list,
+  listByMember,
+  getOne,
+  getOneWithMembers,
+  update,
+  remove,
+  addMember,
+  setMemberRole,
+  removeMember
+};
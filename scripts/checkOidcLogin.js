@@ -0,0 +1,147 @@
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import express from 'express';
+import mongoose from 'mongoose';
+import { startMockOidcIssuer } from './mockOidcIssuer.js';
+
+/**
+ * Comprobación del inicio de sesión con OpenID Connect contra el proveedor de identidad de prueba (`mockOidcIssuer`).
+ *
+ * Arranca el proveedor de prueba y las rutas de usuarios en puertos libres, y recorre el flujo completo
+ * (`GET /usuarios/oidc/login`, autorización y `GET /usuarios/oidc/callback`) comprobando que:
+ * - Se crea y vincula un usuario nuevo cuando el proveedor ha verificado su email.
+ * - Se vincula el usuario existente con el mismo email cuando el proveedor lo ha verificado.
+ * - Se rechaza con un 403, sin crear ni vincular el usuario, un email que el proveedor no ha verificado.
+ * - No se puede reutilizar el estado de una petición de autorización ni usar uno desconocido.
+ *
+ * Los usuarios de la comprobación se eliminan al terminar, junto con sus sesiones y tokens de refresco.
+ * Se ejecuta con `npm run check:oidc` y se conecta a la base de datos de `MONGO_CONN_STR`.
+ *
+ * @module checkOidcLogin
+ */
+
+/**
+ * Resultado de las comprobaciones: número de comprobaciones fallidas.
+ *
+ * @type {number}
+ */
+let fallos = 0;
+
+/**
+ * Muestra el resultado de una comprobación.
+ *
+ * @function check
+ * @param {string} descripcion - Qué se comprueba.
+ * @param {boolean} correcto - Si la comprobación se cumple.
+ */
+function check(descripcion, correcto) {
+  if (!correcto) {
+    fallos++;
+  }
+  console.info(`${correcto ? 'OK   ' : 'FALLO'} ${descripcion}`);
+}
+
+const clientId = 'workhive-check';
+const clientSecret = randomBytes(16).toString('base64url');
+const sufijo = randomBytes(4).toString('hex');
+const emails = {
+  nuevo: `oidc-nuevo-${sufijo}@example.com`,
+  existente: `oidc-existente-${sufijo}@example.com`,
+  noVerificado: `oidc-no-verificado-${sufijo}@example.com`
+};
+
+const issuer = await startMockOidcIssuer({ clientId, clientSecret });
+const server = createServer();
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const api = `http://127.0.0.1:${server.address().port}`;
+
+// La configuración de OIDC se lee al importar el cliente, así que se establece antes de importar las rutas
+process.env.OIDC_ISSUER = issuer.issuer;
+process.env.OIDC_CLIENT_ID = clientId;
+process.env.OIDC_CLIENT_SECRET = clientSecret;
+process.env.OIDC_REDIRECT_URI = `${api}/usuarios/oidc/callback`;
+
+const { usuariosController } = await import('../controllers/usuariosController.js');
+const { customErrorHandler } = await import('../errors/customErrorHandler.js');
+const { usuariosRepository } = await import('../repositories/usuariosRepository.js');
+const { UsuarioModel } = await import('../repositories/models/usuarioModel.js');
+const { SesionModel } = await import('../repositories/models/sesionModel.js');
+const { RefreshTokenModel } = await import('../repositories/models/refreshTokenModel.js');
+
+const app = express();
+app.use(express.json());
+app.use(usuariosController);
+app.use(customErrorHandler);
+server.on('request', app);
+
+/**
+ * Recorre el flujo de inicio de sesión con el proveedor de prueba.
+ *
+ * @async
+ * @function loginOidc
+ * @param {Object} cuenta - Parámetros de la cuenta del proveedor (`email`, `email_verified`, `sub`).
+ * @returns {Promise<{status: number, body: Object, callbackUrl: string}>} Respuesta del callback.
+ */
+async function loginOidc(cuenta) {
+  const inicio = await fetch(`${api}/usuarios/oidc/login`, { redirect: 'manual' });
+  const authorizeUrl = new URL(inicio.headers.get('location'));
+
+  for (const [clave, valor] of Object.entries(cuenta)) {
+    authorizeUrl.searchParams.set(clave, valor);
+  }
+
+  const autorizacion = await fetch(authorizeUrl, { redirect: 'manual' });
+  const callbackUrl = autorizacion.headers.get('location');
+  const callback = await fetch(callbackUrl);
+
+  return { status: callback.status, body: await callback.json(), callbackUrl };
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_CONN_STR);
+
+  const nuevo = await loginOidc({ email: emails.nuevo, email_verified: 'true', sub: `nuevo-${sufijo}` });
+  const usuarioNuevo = await usuariosRepository.getOneByEmail(emails.nuevo);
+  check('El callback crea un usuario con el email verificado y responde 201 con sus tokens', nuevo.status === 201 && Boolean(nuevo.body.token && nuevo.body.refreshToken));
+  check('El usuario creado queda vinculado a la cuenta del proveedor', usuarioNuevo?.oidc?.issuer === issuer.issuer && usuarioNuevo?.oidc?.subject === `nuevo-${sufijo}`);
+
+  const repetido = await loginOidc({ email: emails.nuevo, email_verified: 'true', sub: `nuevo-${sufijo}` });
+  check('Un segundo inicio de sesión usa el mismo usuario', repetido.status === 201 && repetido.body.user?._id === String(usuarioNuevo?._id));
+
+  const reutilizado = await fetch(nuevo.callbackUrl);
+  check('No se puede reutilizar el estado de una petición de autorización', reutilizado.status === 401);
+
+  const desconocido = await fetch(`${api}/usuarios/oidc/callback?code=codigo&state=desconocido`);
+  check('Se rechaza un estado desconocido', desconocido.status === 401);
+
+  const existente = await usuariosRepository.create({ nombre: 'Usuario existente', email: emails.existente, password: randomBytes(16).toString('hex') });
+
+  const noVerificadoExistente = await loginOidc({ email: emails.existente, email_verified: 'false', sub: `existente-${sufijo}` });
+  check('Un email no verificado no se vincula a un usuario existente (403)', noVerificadoExistente.status === 403 && !(await usuariosRepository.getOne(existente._id)).oidc?.subject);
+
+  const vinculado = await loginOidc({ email: emails.existente, email_verified: 'true', sub: `existente-${sufijo}` });
+  const usuarioVinculado = await usuariosRepository.getOne(existente._id);
+  check('Un email verificado se vincula al usuario existente con ese email', vinculado.status === 201 && vinculado.body.user?._id === String(existente._id) && usuarioVinculado.oidc?.subject === `existente-${sufijo}`);
+
+  const noVerificado = await loginOidc({ email: emails.noVerificado, email_verified: 'false', sub: `no-verificado-${sufijo}` });
+  check('Un email no verificado no crea ningún usuario (403)', noVerificado.status === 403 && !(await usuariosRepository.getOneByEmail(emails.noVerificado)));
+} catch (e) {
+  console.error('Error comprobando el inicio de sesión con OpenID Connect');
+  console.error(e);
+  fallos++;
+} finally {
+  const usuarios = await UsuarioModel.find({ email: { $in: Object.values(emails) } }, { _id: 1 }).exec().catch(() => []);
+  const ids = usuarios.map((usuario) => usuario._id);
+
+  if (ids.length) {
+    await SesionModel.deleteMany({ usuario: { $in: ids } }).exec();
+    await RefreshTokenModel.deleteMany({ usuario: { $in: ids } }).exec();
+    await UsuarioModel.deleteMany({ _id: { $in: ids } }).exec();
+  }
+
+  await mongoose.disconnect();
+  await new Promise((resolve) => server.close(resolve));
+  await issuer.close();
+
+  process.exitCode = fallos ? 1 : 0;
+}
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { UsuarioModel } from '../repositories/models/usuarioModel.js';
+
+/**
+ * Migración de los usuarios registrados antes de que se verificara su email.
+ *
+ * Esos usuarios no tienen el campo `emailVerificado` y Mongoose les asigna su valor por defecto (`false`), por lo que
+ * con `EMAIL_VERIFICATION_REQUIRED=true` perderían el acceso. La migración los marca como verificados.
+ *
+ * Se puede ejecutar varias veces: solo modifica los usuarios que todavía no tienen el campo.
+ * Se ejecuta con `npm run migrate:email-verificado` y se conecta a la base de datos de `MONGO_CONN_STR`.
+ *
+ * @module migrateEmailVerificado
+ */
+try {
+  await mongoose.connect(process.env.MONGO_CONN_STR);
+
+  const usuariosMigrados = await UsuarioModel.updateMany(
+    { emailVerificado: { $exists: false } },
+    { $set: { emailVerificado: true } }
+  ).exec();
+  console.info(`Usuarios marcados como verificados: ${usuariosMigrados.modifiedCount}`);
+} catch (e) {
+  console.error('Error migrando la verificación del email de los usuarios');
+  console.error(e);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { TableroModel } from '../repositories/models/tableroModel.js';
+import { TareaModel } from '../repositories/models/tareaModel.js';
+import { FLUJO_POR_DEFECTO, getColumnaInicial } from '../utils/boardWorkflow.js';
+
+/**
+ * Migración de los tableros y las tareas creados antes de que cada tablero pudiera definir su flujo.
+ *
+ * - Los tableros sin flujo reciben las columnas por defecto, cuyas claves son los estados que ya tenían las tareas.
+ * - Cada tarea recibe la categoría de la columna de su estado.
+ * - Las tareas cuyo estado no es ninguna columna de su tablero pasan a la columna inicial del tablero.
+ *
+ * Se puede ejecutar varias veces: solo modifica lo que todavía no está migrado.
+ * Se ejecuta con `npm run migrate:flujos` y se conecta a la base de datos de `MONGO_CONN_STR`.
+ *
+ * @module migrateFlujos
+ */
+try {
+  await mongoose.connect(process.env.MONGO_CONN_STR);
+
+  const tablerosMigrados = await TableroModel.updateMany(
+    { $or: [{ flujo: { $exists: false } }, { flujo: { $size: 0 } }] },
+    { $set: { flujo: FLUJO_POR_DEFECTO } }
+  ).exec();
+  console.info(`Tableros con el flujo por defecto: ${tablerosMigrados.modifiedCount}`);
+
+  let tareasMigradas = 0;
+
+  for await (const tablero of TableroModel.find({}, { flujo: 1 }).cursor()) {
+    const claves = tablero.flujo.map((columna) => columna.clave);
+    const inicial = getColumnaInicial(tablero);
+
+    const resultado = await TareaModel.bulkWrite([
+      ...tablero.flujo.map(({ clave, categoria }) => ({
+        updateMany: {
+          filter: { tablero: tablero._id, estado: clave, categoriaEstado: { $ne: categoria } },
+          update: { $set: { categoriaEstado: categoria } }
+        }
+      })),
+      {
+        updateMany: {
+          filter: { tablero: tablero._id, estado: { $nin: claves } },
+          update: { $set: { estado: inicial.clave, categoriaEstado: inicial.categoria } }
+        }
+      }
+    ]);
+
+    tareasMigradas += resultado.modifiedCount;
+  }
+
+  console.info(`Tareas migradas: ${tareasMigradas}`);
+} catch (e) {
+  console.error('Error migrando los flujos de los tableros');
+  console.error(e);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
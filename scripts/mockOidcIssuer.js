@@ -0,0 +1,170 @@
+import express from 'express';
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto';
+import { pathToFileURL } from 'url';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Proveedor de identidad OpenID Connect de prueba para comprobar el inicio de sesión con OIDC sin un proveedor real.
+ *
+ * Sirve el documento de descubrimiento, el JWKS con una clave RSA generada al arrancar y los endpoints
+ * de autorización, tokens y userinfo. La autorización no muestra ningún formulario: redirige directamente
+ * a `redirect_uri` con un código para la cuenta de prueba. Los parámetros `email`, `email_verified`, `sub` y `name`
+ * de la URL de autorización sustituyen los datos de esa cuenta, de modo que se pueden probar varias cuentas.
+ *
+ * El endpoint de tokens exige las credenciales del cliente (`client_secret_basic`), el mismo `redirect_uri`
+ * y el verificador PKCE (S256) de la autorización, y firma el id_token con el `nonce` recibido.
+ *
+ * Se ejecuta con `npm run mock:oidc`, usando las variables de entorno:
+ * - `MOCK_OIDC_PORT`: Puerto del proveedor (por defecto 9000). El emisor es `http://127.0.0.1:<puerto>`.
+ * - `OIDC_CLIENT_ID` y `OIDC_CLIENT_SECRET`: Credenciales del cliente que se aceptan.
+ * - `MOCK_OIDC_EMAIL`: Email de la cuenta de prueba (por defecto `oidc@example.com`).
+ * - `MOCK_OIDC_EMAIL_VERIFIED`: Si el email de la cuenta de prueba está verificado (por defecto `true`).
+ *
+ * @module mockOidcIssuer
+ */
+
+/**
+ * Arranca el proveedor de identidad de prueba.
+ *
+ * @async
+ * @function startMockOidcIssuer
+ * @param {Object} options - Opciones del proveedor.
+ * @param {number} [options.port=0] - Puerto en el que escucha; con 0 se elige uno libre.
+ * @param {string} options.clientId - ID del cliente que se acepta.
+ * @param {string} options.clientSecret - Secreto del cliente que se acepta.
+ * @param {Object} [options.cuenta] - Cuenta de prueba por defecto.
+ * @param {string} [options.cuenta.email='oidc@example.com'] - Email de la cuenta.
+ * @param {boolean} [options.cuenta.emailVerificado=true] - Si el email está verificado.
+ * @param {string} [options.cuenta.nombre] - Nombre de la cuenta.
+ * @returns {Promise<{issuer: string, close: Function}>} URL del emisor y función para detener el proveedor.
+ */
+export async function startMockOidcIssuer({ port = 0, clientId, clientSecret, cuenta = {} }) {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = randomBytes(8).toString('hex');
+
+  // Códigos de autorización y tokens de acceso emitidos, con los claims de la cuenta que se autorizó
+  const codigos = new Map();
+  const accessTokens = new Map();
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { response_type: responseType, client_id: id, redirect_uri: redirectUri, state, nonce } = req.query;
+    const { code_challenge: codeChallenge, code_challenge_method: codeChallengeMethod } = req.query;
+
+    if (responseType !== 'code' || id !== clientId || !redirectUri || !codeChallenge || codeChallengeMethod !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const email = req.query.email ?? cuenta.email ?? 'oidc@example.com';
+    const claims = {
+      sub: req.query.sub ?? createHash('sha256').update(email).digest('hex'),
+      email,
+      email_verified: (req.query.email_verified ?? String(cuenta.emailVerificado ?? true)) === 'true',
+      name: req.query.name ?? cuenta.nombre ?? email.split('@')[0]
+    };
+
+    const code = randomBytes(16).toString('base64url');
+    codigos.set(code, { redirectUri, nonce, codeChallenge, claims });
+
+    const url = new URL(redirectUri);
+    url.searchParams.set('code', code);
+    if (state) {
+      url.searchParams.set('state', state);
+    }
+
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const [id, secret] = Buffer
+      .from(String(req.headers.authorization).replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    const codigo = codigos.get(code);
+
+    // Los códigos son de un solo uso
+    codigos.delete(code);
+
+    if (
+      grantType !== 'authorization_code' || !codigo || codigo.redirectUri !== redirectUri || !codeVerifier ||
+      createHash('sha256').update(codeVerifier).digest('base64url') !== codigo.codeChallenge
+    ) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = randomBytes(16).toString('base64url');
+    accessTokens.set(accessToken, codigo.claims);
+
+    const idToken = jwt.sign(
+      { ...codigo.claims, ...(codigo.nonce && { nonce: codigo.nonce }) },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: 300 });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get(String(req.headers.authorization).replace(/^Bearer /, ''));
+
+    if (!claims) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(claims);
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, '127.0.0.1', () => resolve(listener)).on('error', reject);
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Al ejecutarse directamente, el proveedor queda escuchando hasta que se detiene el proceso
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { issuer } = await startMockOidcIssuer({
+    port: parseInt(process.env.MOCK_OIDC_PORT, 10) || 9000,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    cuenta: {
+      email: process.env.MOCK_OIDC_EMAIL,
+      emailVerificado: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false'
+    }
+  });
+
+  console.info(`Proveedor OIDC de prueba en ${issuer} (usa OIDC_ISSUER=${issuer})`);
+}
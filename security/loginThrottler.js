@@ -0,0 +1,214 @@
+import { TooManyRequestsError } from "../errors/TooManyRequestsError.js"
+import { intentosLoginRepository } from '../repositories/intentosLoginRepository.js'
+
+/**
+ * Configuración de la protección frente a ataques de fuerza bruta, obtenida de las variables de entorno:
+ * - `LOGIN_MAX_ATTEMPTS`: Fallos consecutivos por cuenta antes del bloqueo temporal (por defecto 5).
+ * - `LOGIN_MAX_ATTEMPTS_PER_IP`: Fallos consecutivos por IP antes del bloqueo temporal (por defecto 20).
+ * - `LOGIN_LOCKOUT_MINUTES`: Duración del bloqueo temporal (por defecto 15).
+ * - `LOGIN_BACKOFF_BASE_SECONDS`: Espera tras el segundo fallo, que se duplica con cada fallo posterior (por defecto 1).
+ * - `LOGIN_ATTEMPTS_WINDOW_HOURS`: Horas sin fallos tras las que se olvidan los intentos (por defecto 24).
+ */
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS, 10) || 1
+const ATTEMPTS_WINDOW_HOURS = parseInt(process.env.LOGIN_ATTEMPTS_WINDOW_HOURS, 10) || 24
+
+/**
+ * Clave con la que se registran los fallos de una cuenta.
+ *
+ * @function accountKey
+ * @param {string} email - Email de la cuenta.
+ * @returns {string} Clave de la cuenta.
+ */
+const accountKey = (email) => `email:${String(email).toLowerCase().trim()}`
+
+/**
+ * Clave con la que se registran los fallos de una IP.
+ *
+ * @function ipKey
+ * @param {string} ip - Dirección IP.
+ * @returns {string} Clave de la IP.
+ */
+const ipKey = (ip) => `ip:${ip}`
+
+/**
+ * Calcula hasta cuándo debe bloquearse una clave tras un nuevo fallo.
+ * Desde el segundo fallo la espera crece de forma exponencial y, al alcanzar el máximo de intentos,
+ * se aplica el bloqueo temporal completo.
+ *
+ * @function getBlockedUntil
+ * @param {number} fallos - Número de fallos consecutivos.
+ * @param {number} maxAttempts - Fallos permitidos antes del bloqueo temporal.
+ * @returns {Date|null} Fecha de fin del bloqueo o null si no se bloquea.
+ */
+function getBlockedUntil(fallos, maxAttempts) {
+  if (fallos >= maxAttempts) {
+    return new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+  }
+
+  if (fallos < 2) {
+    return null
+  }
+
+  const delaySeconds = BACKOFF_BASE_SECONDS * 2 ** (fallos - 2)
+  return new Date(Date.now() + delaySeconds * 1000)
+}
+
+/**
+ * Segundos que faltan para que termine el bloqueo de un registro de intentos.
+ *
+ * @function getRetryAfter
+ * @param {Object|null} intento - Registro de intentos fallidos.
+ * @returns {number} Segundos restantes, 0 si no está bloqueado.
+ */
+function getRetryAfter(intento) {
+  if (!intento?.bloqueadoHasta) {
+    return 0
+  }
+
+  return Math.max(0, Math.ceil((intento.bloqueadoHasta.getTime() - Date.now()) / 1000))
+}
+
+/**
+ * Aplica el bloqueo que corresponde a una clave tras un intento fallido, que ya se contó al reservarlo.
+ *
+ * @async
+ * @function registerFailure
+ * @param {string} clave - Identificador de la cuenta o IP.
+ * @param {number} maxAttempts - Fallos permitidos antes del bloqueo temporal.
+ * @returns {Promise<void>}
+ */
+async function registerFailure(clave, maxAttempts) {
+  const intento = await intentosLoginRepository.getOne(clave)
+  const bloqueadoHasta = intento ? getBlockedUntil(intento.fallos, maxAttempts) : null
+
+  if (bloqueadoHasta) {
+    await intentosLoginRepository.block(clave, bloqueadoHasta)
+  }
+}
+
+/**
+ * Cuenta un nuevo intento de inicio de sesión para la cuenta y la IP antes de comprobar las credenciales.
+ * El intento se cuenta de forma atómica, de modo que los intentos enviados a la vez tampoco superan el límite.
+ * Si la cuenta o la IP están bloqueadas no se cuenta, y el intento que alcanza el máximo las bloquea hasta resolverse.
+ * La IP queda asociada a la cuenta para poder desbloquearla junto a ella.
+ *
+ * @async
+ * @function reserveLoginAttempt
+ * @param {string} email - Email de la cuenta.
+ * @param {string} ip - Dirección IP de la petición.
+ * @returns {Promise<void>}
+ * @throws {TooManyRequestsError} Si la cuenta o la IP no admiten más intentos.
+ */
+export const reserveLoginAttempt = async (email, ip) => {
+  const expiresAt = new Date(Date.now() + ATTEMPTS_WINDOW_HOURS * 60 * 60 * 1000)
+  const bloqueadoHasta = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+
+  const [cuenta, ipIntentos] = await Promise.all([
+    intentosLoginRepository.reserve(accountKey(email), MAX_ATTEMPTS, expiresAt, bloqueadoHasta, ip),
+    intentosLoginRepository.reserve(ipKey(ip), MAX_ATTEMPTS_PER_IP, expiresAt, bloqueadoHasta)
+  ])
+
+  if (cuenta && ipIntentos) {
+    return
+  }
+
+  // se descuenta el intento de la clave que sí lo admitía
+  if (cuenta) {
+    await intentosLoginRepository.release(accountKey(email))
+  }
+  if (ipIntentos) {
+    await intentosLoginRepository.release(ipKey(ip))
+  }
+
+  const [cuentaActual, ipActual] = await Promise.all([
+    intentosLoginRepository.getOne(accountKey(email)),
+    intentosLoginRepository.getOne(ipKey(ip))
+  ])
+
+  const retryAfter = Math.max(getRetryAfter(cuentaActual), getRetryAfter(ipActual), 1)
+  throw new TooManyRequestsError('Demasiados intentos fallidos, inténtalo más tarde', retryAfter)
+}
+
+/**
+ * Middleware que cuenta el intento de inicio de sesión y lo rechaza con un 429 y la cabecera `Retry-After`
+ * si la cuenta o la IP están bloqueadas temporalmente.
+ * Debe usarse después de la validación del cuerpo, que establece `req.curatedBody.email`.
+ *
+ * @async
+ * @function loginThrottler
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ */
+export const loginThrottler = async (req, res, next) => {
+  try {
+    await reserveLoginAttempt(req.curatedBody.email, req.ip)
+    next()
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Registra como fallido un intento de inicio de sesión contado con `reserveLoginAttempt`,
+ * bloqueando la cuenta y la IP si corresponde.
+ *
+ * @async
+ * @function registerFailedLogin
+ * @param {string} email - Email con el que se intentó iniciar sesión.
+ * @param {string} ip - Dirección IP de la petición.
+ * @returns {Promise<void>}
+ */
+export const registerFailedLogin = async (email, ip) => {
+  await Promise.all([
+    registerFailure(accountKey(email), MAX_ATTEMPTS),
+    registerFailure(ipKey(ip), MAX_ATTEMPTS_PER_IP)
+  ])
+}
+
+/**
+ * Descuenta un intento de inicio de sesión contado con `reserveLoginAttempt` cuyas credenciales eran correctas.
+ *
+ * @async
+ * @function releaseLoginAttempt
+ * @param {string} email - Email de la cuenta.
+ * @param {string} ip - Dirección IP de la petición.
+ * @returns {Promise<void>}
+ */
+export const releaseLoginAttempt = async (email, ip) => {
+  await Promise.all([
+    intentosLoginRepository.release(accountKey(email)),
+    intentosLoginRepository.release(ipKey(ip))
+  ])
+}
+
+/**
+ * Olvida los fallos de una cuenta tras un inicio de sesión correcto.
+ *
+ * @async
+ * @function resetLoginAttempts
+ * @param {string} email - Email de la cuenta.
+ * @returns {Promise<Object|null>} El registro eliminado o null si la cuenta no tenía fallos.
+ */
+export const resetLoginAttempts = async (email) => {
+  return await intentosLoginRepository.reset(accountKey(email))
+}
+
+/**
+ * Desbloquea manualmente una cuenta, olvidando sus fallos y los de las IPs desde las que se intentó acceder a ella.
+ *
+ * @async
+ * @function unlockLoginAttempts
+ * @param {string} email - Email de la cuenta.
+ * @returns {Promise<void>}
+ */
+export const unlockLoginAttempts = async (email) => {
+  const intento = await intentosLoginRepository.reset(accountKey(email))
+
+  if (intento?.ips?.length) {
+    await intentosLoginRepository.resetMany(intento.ips.map(ipKey))
+  }
+}
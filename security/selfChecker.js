@@ -0,0 +1,21 @@
+import { ForbiddenError } from "../errors/ForbiddenError.js"
+
+/**
+ * Middleware que permite el acceso solo al propio usuario indicado en la ruta, sin excepción para administradores.
+ * Debe usarse después de `sessionChecker`, que establece `req.tokenData`.
+ *
+ * @function selfChecker
+ * @param {string} [paramName='id'] - Nombre del parámetro de la ruta que contiene el ID del usuario.
+ * @returns {Function} Middleware de autorización.
+ */
+export const selfChecker = (paramName = 'id') => {
+  return (req, res, next) => {
+    const tokenData = req.tokenData
+
+    if (!tokenData || tokenData.id !== req.params[paramName]) {
+      return next(new ForbiddenError('Acceso no permitido'))
+    }
+
+    next()
+  }
+}
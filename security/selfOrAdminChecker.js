@@ -0,0 +1,25 @@
+import { ForbiddenError } from "../errors/ForbiddenError.js"
+
+/**
+ * Middleware que permite el acceso solo al propio usuario indicado en la ruta o a un administrador.
+ * Debe usarse después de `sessionChecker`, que establece `req.tokenData`.
+ *
+ * @function selfOrAdminChecker
+ * @param {string} [paramName='id'] - Nombre del parámetro de la ruta que contiene el ID del usuario.
+ * @returns {Function} Middleware de autorización.
+ */
+export const selfOrAdminChecker = (paramName = 'id') => {
+  return (req, res, next) => {
+    const tokenData = req.tokenData
+
+    if (!tokenData) {
+      return next(new ForbiddenError('Acceso no permitido'))
+    }
+
+    if (tokenData.rol !== 'administrador' && tokenData.id !== req.params[paramName]) {
+      return next(new ForbiddenError('Acceso no permitido'))
+    }
+
+    next()
+  }
+}
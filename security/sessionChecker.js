@@ -1,9 +1,29 @@
-import jwt from 'jsonwebtoken'
 import { SessionRequiredError } from "../errors/SessionRequiredError.js"
 import { ForbiddenError } from "../errors/ForbiddenError.js"
 import { usuariosRepository } from '../repositories/usuariosRepository.js'
+import { verifyUserToken } from '../utils/verifyUserToken.js'
+import { isPersonalAccessToken, verifyPersonalAccessToken } from '../utils/verifyPersonalAccessToken.js'
+import { hasScope } from './tokenScopes.js'
 
-export const sessionChecker = (allowedProfiles = [], isMandatory = true) => {
+/**
+ * Middleware para verificar la sesión del usuario y su rol.
+ *
+ * Si la variable de entorno `EMAIL_VERIFICATION_REQUIRED` vale `true`, los usuarios que no han
+ * verificado su email solo pueden acceder a las rutas que lo permitan expresamente con `allowUnverified`.
+ *
+ * Además de los JWT de sesión, acepta tokens de acceso personal, pero solo en las rutas que declaran
+ * el permiso que requieren con `scope` y si el token lo tiene concedido. En ese caso `req.tokenData`
+ * incluye el ID del token (`tokenAcceso`) y sus permisos (`scopes`).
+ *
+ * @function sessionChecker
+ * @param {string[]} [allowedProfiles=[]] - Roles con acceso a la ruta.
+ * @param {boolean} [isMandatory=true] - Indica si la sesión es obligatoria.
+ * @param {Object} [options={}] - Opciones adicionales.
+ * @param {boolean} [options.allowUnverified=false] - Permite el acceso a usuarios sin el email verificado.
+ * @param {string} [options.scope] - Permiso requerido a los tokens de acceso personal (por ejemplo `tareas:read`).
+ * @returns {Function} Middleware de sesión.
+ */
+export const sessionChecker = (allowedProfiles = [], isMandatory = true, { allowUnverified = false, scope = null } = {}) => {
   return async (req, res, next) => {
     // guardamos el token previamente extraído por express-bearer-token
     const token = req.token || null
@@ -21,8 +41,33 @@ export const sessionChecker = (allowedProfiles = [], isMandatory = true) => {
     }
 
     try {
-      const JWT_SECRET = process.env.JWT_SECRET
-      const tokenData = jwt.verify(token, JWT_SECRET)
+      let tokenData
+
+      if (isPersonalAccessToken(token)) {
+        const tokenAcceso = await verifyPersonalAccessToken(token)
+
+        // los tokens de acceso personal solo se aceptan en las rutas que declaran un permiso concedido al token
+        if (!scope || !hasScope(tokenAcceso.scopes, scope)) {
+          return next(new ForbiddenError('El token no tiene permiso para esta operación'))
+        }
+
+        const owner = await usuariosRepository.getOne(tokenAcceso.usuario)
+
+        if (!owner) {
+          return next(new ForbiddenError('Acceso no permitido'))
+        }
+
+        tokenData = {
+          id: owner._id.toString(),
+          nombre: owner.nombre,
+          rol: owner.rol,
+          tokenAcceso: tokenAcceso._id.toString(),
+          scopes: tokenAcceso.scopes
+        }
+      } else {
+        // verificamos firma, expiración y que el token no haya sido revocado
+        tokenData = await verifyUserToken(token)
+      }
 
       if (!allowedProfiles.includes(tokenData.rol)) {
         return next(new ForbiddenError('Acceso no permitido'))
@@ -34,6 +79,11 @@ export const sessionChecker = (allowedProfiles = [], isMandatory = true) => {
         return next(new ForbiddenError('Acceso no permitido'))
       }
 
+      // si se exige la verificación del email, restringimos el acceso a los usuarios sin verificar
+      if (process.env.EMAIL_VERIFICATION_REQUIRED === 'true' && !user.emailVerificado && !allowUnverified) {
+        return next(new ForbiddenError('Debes verificar tu email para acceder'))
+      }
+
       req.tokenData = tokenData
 
       next()
@@ -0,0 +1,71 @@
+import { isValidObjectId } from "mongoose"
+import { ForbiddenError } from "../errors/ForbiddenError.js"
+import { BadRequestError } from "../errors/BadRequestError.js"
+import { tablerosRepository } from '../repositories/tablerosRepository.js'
+import { tareasRepository } from '../repositories/tareasRepository.js'
+import { hasTableroPermission, refId } from './tableroPermissions.js'
+
+/**
+ * Middleware que solo permite el acceso a los miembros del tablero afectado por la petición cuyo rol
+ * en el tablero incluya el permiso requerido (ver `tableroPermissions`).
+ * Los usuarios con el rol global de administrador tienen acceso a todos los tableros.
+ * Debe usarse después de `sessionChecker`, que establece `req.tokenData`, y de la validación del cuerpo
+ * cuando el tablero se obtiene de él.
+ *
+ * El tablero encontrado se guarda en `req.tablero` y, si se resuelve a partir de una tarea, la tarea en `req.tarea`.
+ *
+ * @function tableroAccessChecker
+ * @param {Object} [options={}] - Opciones del middleware.
+ * @param {string} [options.from='param'] - Origen del tablero: `param` (ID del tablero en la ruta),
+ * `body` (ID del tablero en el cuerpo) o `tarea` (ID de una tarea del tablero en la ruta).
+ * @param {string} [options.field] - Nombre del parámetro o campo con el ID (por defecto `id`, o `tablero` si `from` es `body`).
+ * @param {string} [options.permission='tablero:leer'] - Permiso requerido en el tablero.
+ * @returns {Function} Middleware de autorización.
+ */
+export const tableroAccessChecker = ({ from = 'param', field = from === 'body' ? 'tablero' : 'id', permission = 'tablero:leer' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const tokenData = req.tokenData
+
+      if (!tokenData) {
+        return next(new ForbiddenError('Acceso no permitido'))
+      }
+
+      const id = from === 'body' ? (req.curatedBody?.[field] ?? req.body?.[field]) : req.params[field]
+
+      if (!isValidObjectId(id)) {
+        return next(new BadRequestError(`${from}_${field}_is_not_a_valid_objectid`.toLowerCase()))
+      }
+
+      let tableroId = id
+
+      if (from === 'tarea') {
+        const tarea = await tareasRepository.getOne(id)
+
+        if (!tarea) {
+          return res.status(404).json({ message: `Item con id ${id} no encontrado` })
+        }
+
+        req.tarea = tarea
+        tableroId = refId(tarea.tablero)
+      }
+
+      const tablero = await tablerosRepository.getOne(tableroId)
+
+      if (!tablero) {
+        return res.status(404).json({ message: `Tablero con id ${tableroId} no encontrado` })
+      }
+
+      // los administradores globales pueden gestionar cualquier tablero
+      if (tokenData.rol !== 'administrador' && !hasTableroPermission(tablero, tokenData.id, permission)) {
+        return next(new ForbiddenError('No tienes permiso para realizar esta acción en el tablero'))
+      }
+
+      req.tablero = tablero
+
+      next()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
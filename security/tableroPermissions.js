@@ -0,0 +1,76 @@
+/**
+ * Roles que puede tener un colaborador en un tablero. El administrador del tablero tiene siempre el rol `propietario`.
+ *
+ * @constant {string[]}
+ */
+export const ROLES_COLABORADOR = ['editor', 'comentarista', 'lector']
+
+/**
+ * Rol de los colaboradores que no tienen un rol asignado, como los añadidos antes de existir los roles.
+ *
+ * @constant {string}
+ */
+export const ROL_COLABORADOR_POR_DEFECTO = 'editor'
+
+/**
+ * Matriz de permisos de cada rol en un tablero:
+ * - `tablero:leer`: Consultar el tablero.
+ * - `tablero:editar`: Cambiar los datos del tablero (nombre, descripción y fechas).
+ * - `tablero:eliminar`: Eliminar el tablero.
+ * - `tablero:transferir`: Transferir la propiedad del tablero a un colaborador.
+ * - `miembros:gestionar`: Añadir y quitar colaboradores y cambiar sus roles.
+ * - `tareas:leer`: Consultar las tareas del tablero.
+ * - `tareas:comentar`: Comentar las tareas del tablero.
+ * - `tareas:editar`: Crear, modificar y eliminar tareas del tablero.
+ *
+ * @constant {Object<string, string[]>}
+ */
+const PERMISOS = {
+  propietario: ['tablero:leer', 'tablero:editar', 'tablero:eliminar', 'tablero:transferir', 'miembros:gestionar', 'tareas:leer', 'tareas:comentar', 'tareas:editar'],
+  editor: ['tablero:leer', 'tablero:editar', 'tareas:leer', 'tareas:comentar', 'tareas:editar'],
+  comentarista: ['tablero:leer', 'tareas:leer', 'tareas:comentar'],
+  lector: ['tablero:leer', 'tareas:leer']
+}
+
+/**
+ * Obtiene el ID de un documento referenciado, tanto si está poblado como si no.
+ *
+ * @function refId
+ * @param {Object|string|null} ref - Referencia o documento poblado.
+ * @returns {string|null} ID en texto.
+ */
+export const refId = (ref) => (ref?._id ?? ref)?.toString() ?? null
+
+/**
+ * Obtiene el rol de un usuario en un tablero.
+ *
+ * @function getTableroRole
+ * @param {Object} tablero - Tablero.
+ * @param {string} userId - ID del usuario.
+ * @returns {string|null} Rol del usuario o null si no es miembro del tablero.
+ */
+export const getTableroRole = (tablero, userId) => {
+  if (refId(tablero.administrador) === userId) {
+    return 'propietario'
+  }
+
+  if (!tablero.colaboradores.some((colaborador) => refId(colaborador) === userId)) {
+    return null
+  }
+
+  return tablero.rolesColaboradores?.get(userId) || ROL_COLABORADOR_POR_DEFECTO
+}
+
+/**
+ * Indica si un usuario tiene un permiso en un tablero.
+ *
+ * @function hasTableroPermission
+ * @param {Object} tablero - Tablero.
+ * @param {string} userId - ID del usuario.
+ * @param {string} permiso - Permiso requerido.
+ * @returns {boolean} true si el rol del usuario en el tablero incluye el permiso.
+ */
+export const hasTableroPermission = (tablero, userId, permiso) => {
+  const rol = getTableroRole(tablero, userId)
+  return Boolean(rol && PERMISOS[rol].includes(permiso))
+}
@@ -0,0 +1,24 @@
+/**
+ * Permisos que pueden concederse a un token de acceso personal.
+ * Cada permiso de escritura incluye también el de lectura del mismo recurso.
+ *
+ * @constant {string[]}
+ */
+export const TOKEN_SCOPES = ['tableros:read', 'tableros:write', 'tareas:read', 'tareas:write']
+
+/**
+ * Comprueba si una lista de permisos concede el permiso requerido por una ruta.
+ *
+ * @function hasScope
+ * @param {string[]} scopes - Permisos concedidos al token.
+ * @param {string} scope - Permiso requerido.
+ * @returns {boolean} true si el permiso está concedido.
+ */
+export const hasScope = (scopes, scope) => {
+  if (scopes.includes(scope)) {
+    return true
+  }
+
+  const [recurso, accion] = scope.split(':')
+  return accion === 'read' && scopes.includes(`${recurso}:write`)
+}
@@ -0,0 +1,47 @@
+import { ForbiddenError } from "../errors/ForbiddenError.js"
+import { workspacesRepository } from '../repositories/workspacesRepository.js'
+import { hasWorkspacePermission } from './workspacePermissions.js'
+
+/**
+ * Middleware que solo permite el acceso a los miembros del workspace indicado en la ruta cuyo rol
+ * en el workspace incluya el permiso requerido (ver `workspacePermissions`).
+ * Los usuarios con el rol global de administrador tienen acceso a todos los workspaces.
+ * Debe usarse después de `sessionChecker`, que establece `req.tokenData`, y de `validateObjectIdFormat`.
+ *
+ * El workspace encontrado se guarda en `req.workspace`.
+ *
+ * @function workspaceAccessChecker
+ * @param {Object} [options={}] - Opciones del middleware.
+ * @param {string} [options.field='id'] - Nombre del parámetro de la ruta con el ID del workspace.
+ * @param {string} [options.permission='workspace:leer'] - Permiso requerido en el workspace.
+ * @returns {Function} Middleware de autorización.
+ */
+export const workspaceAccessChecker = ({ field = 'id', permission = 'workspace:leer' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const tokenData = req.tokenData
+
+      if (!tokenData) {
+        return next(new ForbiddenError('Acceso no permitido'))
+      }
+
+      const id = req.params[field]
+      const workspace = await workspacesRepository.getOne(id)
+
+      if (!workspace) {
+        return res.status(404).json({ message: `Workspace con id ${id} no encontrado` })
+      }
+
+      // los administradores globales gestionan todos los workspaces de la instancia
+      if (tokenData.rol !== 'administrador' && !hasWorkspacePermission(workspace, tokenData.id, permission)) {
+        return next(new ForbiddenError('No tienes permiso para realizar esta acción en el workspace'))
+      }
+
+      req.workspace = workspace
+
+      next()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
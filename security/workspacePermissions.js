@@ -0,0 +1,57 @@
+import { refId } from './tableroPermissions.js'
+
+/**
+ * Roles que puede tener un miembro de un workspace. El propietario del workspace tiene siempre el rol `propietario`.
+ * Son independientes del rol global de administrador, que tiene acceso a todos los workspaces.
+ *
+ * @constant {string[]}
+ */
+export const ROLES_WORKSPACE = ['administrador', 'miembro']
+
+/**
+ * Matriz de permisos de cada rol en un workspace:
+ * - `workspace:leer`: Consultar el workspace, sus miembros y sus tableros.
+ * - `workspace:editar`: Cambiar los datos del workspace (nombre y descripción).
+ * - `workspace:eliminar`: Eliminar el workspace.
+ * - `miembros:gestionar`: Añadir y quitar miembros y cambiar sus roles.
+ * - `tableros:crear`: Crear tableros en el workspace.
+ * - `tableros:ver-todos`: Consultar todos los tableros del workspace, aunque no se sea miembro de ellos.
+ *
+ * @constant {Object<string, string[]>}
+ */
+const PERMISOS = {
+  propietario: ['workspace:leer', 'workspace:editar', 'workspace:eliminar', 'miembros:gestionar', 'tableros:crear', 'tableros:ver-todos'],
+  administrador: ['workspace:leer', 'workspace:editar', 'miembros:gestionar', 'tableros:crear', 'tableros:ver-todos'],
+  miembro: ['workspace:leer', 'tableros:crear']
+}
+
+/**
+ * Obtiene el rol de un usuario en un workspace.
+ *
+ * @function getWorkspaceRole
+ * @param {Object} workspace - Workspace.
+ * @param {string} userId - ID del usuario.
+ * @returns {string|null} Rol del usuario o null si no es miembro del workspace.
+ */
+export const getWorkspaceRole = (workspace, userId) => {
+  if (refId(workspace.propietario) === userId) {
+    return 'propietario'
+  }
+
+  const miembro = workspace.miembros.find((item) => refId(item.usuario) === userId)
+  return miembro?.rol ?? null
+}
+
+/**
+ * Indica si un usuario tiene un permiso en un workspace.
+ *
+ * @function hasWorkspacePermission
+ * @param {Object} workspace - Workspace.
+ * @param {string} userId - ID del usuario.
+ * @param {string} permiso - Permiso requerido.
+ * @returns {boolean} true si el rol del usuario en el workspace incluye el permiso.
+ */
+export const hasWorkspacePermission = (workspace, userId, permiso) => {
+  const rol = getWorkspaceRole(workspace, userId)
+  return Boolean(rol && PERMISOS[rol].includes(permiso))
+}
@@ -0,0 +1,53 @@
+import { invitacionesRepository } from '../repositories/invitacionesRepository.js';
+import { tablerosRepository } from '../repositories/tablerosRepository.js';
+import { getTableroRole } from '../security/tableroPermissions.js';
+
+/**
+ * Acepta una invitación pendiente y añade al usuario como colaborador del tablero con el rol de la invitación.
+ * Si el usuario ya era miembro del tablero, la invitación se da por aceptada sin cambiar su rol.
+ *
+ * @async
+ * @function acceptInvitation
+ * @param {Object} invitacion - Invitación pendiente.
+ * @param {string} userId - ID del usuario que acepta la invitación.
+ * @returns {Promise<Object|null>} El tablero al que se ha unido el usuario, o null si la invitación ya no estaba pendiente
+ * o el tablero ya no existe.
+ */
+export async function acceptInvitation(invitacion, userId) {
+  const acceptedItem = await invitacionesRepository.respond(invitacion._id, 'aceptada');
+
+  if (!acceptedItem) {
+    return null;
+  }
+
+  const tablero = await tablerosRepository.getOne(acceptedItem.tablero);
+
+  if (!tablero || getTableroRole(tablero, userId)) {
+    return tablero;
+  }
+
+  return await tablerosRepository.addCollaborator(tablero._id, userId, acceptedItem.rol);
+}
+
+/**
+ * Acepta todas las invitaciones pendientes dirigidas al email de un usuario.
+ * Se usa cuando el usuario demuestra que el email le pertenece, al verificarlo o al entrar con el proveedor de identidad.
+ *
+ * @async
+ * @function acceptPendingInvitations
+ * @param {Object} user - Usuario con el email verificado.
+ * @returns {Promise<Array<Object>>} Los tableros a los que se ha unido el usuario.
+ */
+export async function acceptPendingInvitations(user) {
+  const invitaciones = await invitacionesRepository.listPendingByEmail(user.email);
+  const tableros = [];
+
+  for (const invitacion of invitaciones) {
+    const tablero = await acceptInvitation(invitacion, user._id.toString());
+    if (tablero) {
+      tableros.push(tablero);
+    }
+  }
+
+  return tableros;
+}
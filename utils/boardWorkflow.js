@@ -0,0 +1,103 @@
+import slugify from 'slugify';
+import { BadRequestError } from '../errors/BadRequestError.js';
+
+/**
+ * Categorías de las columnas del flujo de un tablero:
+ * - `todo`: Tareas sin empezar.
+ * - `doing`: Tareas en curso.
+ * - `done`: Tareas terminadas.
+ *
+ * @constant {string[]}
+ */
+export const CATEGORIAS_FLUJO = ['todo', 'doing', 'done'];
+
+/**
+ * Columnas del flujo de los tableros que no definen uno propio.
+ * Sus claves son los estados que tenían las tareas antes de que cada tablero pudiera definir su flujo.
+ *
+ * @constant {Array<Object>}
+ */
+export const FLUJO_POR_DEFECTO = [
+  { clave: 'pendiente', nombre: 'Pendiente', categoria: 'todo', color: '#9e9e9e' },
+  { clave: 'en_proceso', nombre: 'En proceso', categoria: 'doing', color: '#2196f3' },
+  { clave: 'en_revision', nombre: 'En revisión', categoria: 'doing', color: '#ff9800' },
+  { clave: 'completada', nombre: 'Completada', categoria: 'done', color: '#4caf50' }
+];
+
+/**
+ * Genera la clave de una columna a partir de su nombre: en minúsculas, sin acentos y con guiones bajos.
+ *
+ * @function generateClave
+ * @param {string} nombre - Nombre de la columna.
+ * @returns {string} Clave de la columna.
+ */
+export const generateClave = (nombre) => slugify(nombre, { replacement: '_', lower: true, strict: true, locale: 'es' });
+
+/**
+ * Obtiene las columnas del flujo de un tablero, en orden.
+ *
+ * @function getFlujo
+ * @param {Object} tablero - Tablero.
+ * @returns {Array<Object>} Columnas del flujo del tablero, o las columnas por defecto si no tiene ninguna.
+ */
+export function getFlujo(tablero) {
+  return tablero.flujo?.length ? tablero.flujo : FLUJO_POR_DEFECTO;
+}
+
+/**
+ * Busca la columna del flujo de un tablero que corresponde a un estado.
+ *
+ * @function getColumna
+ * @param {Object} tablero - Tablero.
+ * @param {string} estado - Clave de la columna.
+ * @returns {Object|null} La columna, o null si el tablero no tiene ninguna columna con esa clave.
+ */
+export function getColumna(tablero, estado) {
+  return getFlujo(tablero).find((columna) => columna.clave === estado) ?? null;
+}
+
+/**
+ * Obtiene la columna en la que empiezan las tareas de un tablero: la primera de la categoría `todo`,
+ * o la primera del flujo si no hay ninguna de esa categoría.
+ *
+ * @function getColumnaInicial
+ * @param {Object} tablero - Tablero.
+ * @returns {Object} Columna inicial del flujo.
+ */
+export function getColumnaInicial(tablero) {
+  const flujo = getFlujo(tablero);
+  return flujo.find((columna) => columna.categoria === 'todo') ?? flujo[0];
+}
+
+/**
+ * Comprueba que un estado sea una de las columnas del flujo de un tablero.
+ *
+ * @function checkEstado
+ * @param {Object} tablero - Tablero de la tarea.
+ * @param {string} estado - Clave de la columna.
+ * @returns {Object} La columna del estado.
+ * @throws {BadRequestError} Si el tablero no tiene ninguna columna con esa clave.
+ */
+export function checkEstado(tablero, estado) {
+  const columna = getColumna(tablero, estado);
+
+  if (!columna) {
+    const claves = getFlujo(tablero).map((item) => item.clave);
+    throw new BadRequestError(`El estado de la tarea debe ser una de las columnas del tablero: ${claves.join(', ')}`);
+  }
+
+  return columna;
+}
+
+/**
+ * Indica si el flujo de un tablero permite mover una tarea a una columna desde su estado actual.
+ * Las columnas sin transiciones definidas admiten tareas desde cualquier columna.
+ *
+ * @function isTransicionPermitida
+ * @param {Object} columna - Columna de destino.
+ * @param {string} origen - Estado actual de la tarea.
+ * @returns {boolean} true si se permite el cambio de estado.
+ */
+export function isTransicionPermitida(columna, origen) {
+  return origen === columna.clave || !columna.desde?.length || columna.desde.includes(origen);
+}
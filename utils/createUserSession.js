@@ -0,0 +1,28 @@
+import { createUserToken } from './createUserToken.js';
+import { sesionesRepository } from '../repositories/sesionesRepository.js';
+import { refreshTokensRepository } from '../repositories/refreshTokensRepository.js';
+
+/**
+ * Registra una nueva sesión para un usuario a partir de la petición de inicio de sesión
+ * y emite su token de acceso y su token de refresco.
+ * La familia de los tokens de refresco es el identificador de la sesión.
+ *
+ * @async
+ * @function createUserSession
+ * @param {Object} usuario - Usuario que inicia sesión.
+ * @param {Object} req - Objeto de solicitud HTTP, del que se obtienen el agente de usuario y la IP.
+ * @returns {Promise<{ token: string, refreshToken: string, sesion: Object }>} Tokens emitidos y sesión creada.
+ */
+export async function createUserSession(usuario, req) {
+  const sesion = await sesionesRepository.create({
+    usuario: usuario._id,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null
+  });
+
+  return {
+    token: createUserToken(usuario, sesion._id),
+    refreshToken: await refreshTokensRepository.create(usuario._id, sesion._id.toString()),
+    sesion
+  };
+}
@@ -1,9 +1,11 @@
 import jwt from 'jsonwebtoken'
+import { randomUUID } from 'crypto'
 
-export const createUserToken = (usuario) => {
+export const createUserToken = (usuario, sesionId = null) => {
   //guardamos el secreto en una constantes
   const JWT_SECRET = process.env.JWT_SECRET
-  const JWT_EXPIRATION_IN_DAYS = process.env.JWT_EXPIRATION_IN_DAYS
+  //los tokens de acceso son de corta duración, se renuevan mediante el token de refresco
+  const JWT_ACCESS_TOKEN_EXPIRATION = process.env.JWT_ACCESS_TOKEN_EXPIRATION || '15m'
 
   //generar el payload para el token jwt
   const payload = {
@@ -12,8 +14,15 @@ export const createUserToken = (usuario) => {
     rol: usuario.rol
   }
 
+  //si el token pertenece a una sesión registrada, incluimos su id para poder revocarla
+  if (sesionId) {
+    payload.sid = sesionId.toString()
+  }
+
   //generamos el token con el payload previamente confeccionado
+  //el jwtid (jti) identifica al token de forma única para poder revocarlo
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRATION_IN_DAYS
+    expiresIn: JWT_ACCESS_TOKEN_EXPIRATION,
+    jwtid: randomUUID()
   })
 }
@@ -0,0 +1,24 @@
+/**
+ * Crea un transporte de correo que muestra los mensajes por consola en lugar de enviarlos.
+ * Pensado para desarrollo local.
+ *
+ * @function createConsoleMailTransport
+ * @returns {{ send: Function }} Transporte de correo.
+ */
+export function createConsoleMailTransport() {
+  return {
+    /**
+     * Muestra un mensaje de correo por consola.
+     *
+     * @async
+     * @param {Object} message - Mensaje con los campos `from`, `to`, `subject`, `text` y `html`.
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+      console.info(`[mail] De: ${message.from}`);
+      console.info(`[mail] Para: ${message.to}`);
+      console.info(`[mail] Asunto: ${message.subject}`);
+      console.info(message.text);
+    }
+  };
+}
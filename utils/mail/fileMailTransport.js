@@ -0,0 +1,33 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Crea un transporte de correo que guarda cada mensaje como un fichero JSON en un directorio,
+ * en lugar de enviarlo. Pensado para desarrollo local y pruebas.
+ * El directorio se configura mediante `MAIL_FILE_DIR` (por defecto `./mails`).
+ *
+ * @function createFileMailTransport
+ * @returns {{ send: Function }} Transporte de correo.
+ */
+export function createFileMailTransport() {
+  const directory = process.env.MAIL_FILE_DIR || './mails';
+
+  return {
+    /**
+     * Guarda un mensaje de correo en el directorio configurado.
+     *
+     * @async
+     * @param {Object} message - Mensaje con los campos `from`, `to`, `subject`, `text` y `html`.
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+      await mkdir(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${randomUUID()}.json`;
+      const content = { ...message, date: new Date().toISOString() };
+
+      await writeFile(path.join(directory, fileName), JSON.stringify(content, null, 2));
+    }
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Escapa los caracteres especiales de HTML de un texto.
+ *
+ * @function escapeHtml
+ * @param {string} value - Texto a escapar.
+ * @returns {string} Texto escapado.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Construye la URL de una página del frontend a partir de `FRONTEND_URL`.
+ *
+ * @function buildFrontendUrl
+ * @param {string} pathname - Ruta de la página.
+ * @param {Object<string, string>} [params] - Parámetros de la consulta.
+ * @returns {string} URL completa.
+ */
+export function buildFrontendUrl(pathname, params = {}) {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:5173');
+
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  return url.toString();
+}
+
+/**
+ * Mensaje para restablecer la contraseña de un usuario.
+ *
+ * @function passwordResetMail
+ * @param {Object} data - Datos del mensaje.
+ * @param {string} data.nombre - Nombre del usuario.
+ * @param {string} data.token - Token de restablecimiento.
+ * @param {number} data.minutos - Minutos de validez del token.
+ * @returns {{ subject: string, text: string, html: string }} Contenido del mensaje.
+ */
+export function passwordResetMail({ nombre, token, minutos }) {
+  const url = buildFrontendUrl('/reset-password', { token });
+
+  return {
+    subject: 'Restablece tu contraseña de WorkHive',
+    text: `Hola ${nombre},\n\n`
+      + `Hemos recibido una solicitud para restablecer tu contraseña. Puedes hacerlo desde el siguiente enlace:\n\n`
+      + `${url}\n\n`
+      + `El enlace caduca en ${minutos} minutos y solo puede usarse una vez. Si no has sido tú, ignora este mensaje.`,
+    html: `<p>Hola ${escapeHtml(nombre)},</p>`
+      + `<p>Hemos recibido una solicitud para restablecer tu contraseña. Puedes hacerlo desde el siguiente enlace:</p>`
+      + `<p><a href="${url}">${url}</a></p>`
+      + `<p>El enlace caduca en ${minutos} minutos y solo puede usarse una vez. Si no has sido tú, ignora este mensaje.</p>`
+  };
+}
+
+/**
+ * Mensaje para verificar la dirección de correo electrónico de un usuario.
+ *
+ * @function emailVerificationMail
+ * @param {Object} data - Datos del mensaje.
+ * @param {string} data.nombre - Nombre del usuario.
+ * @param {string} data.token - Token de verificación.
+ * @param {number} data.horas - Horas de validez del token.
+ * @returns {{ subject: string, text: string, html: string }} Contenido del mensaje.
+ */
+export function emailVerificationMail({ nombre, token, horas }) {
+  const url = buildFrontendUrl('/verify-email', { token });
+
+  return {
+    subject: 'Confirma tu email en WorkHive',
+    text: `Hola ${nombre},\n\n`
+      + `Confirma tu dirección de correo electrónico desde el siguiente enlace:\n\n`
+      + `${url}\n\n`
+      + `También puedes introducir este código en la aplicación: ${token}\n\n`
+      + `El enlace caduca en ${horas} horas.`,
+    html: `<p>Hola ${escapeHtml(nombre)},</p>`
+      + `<p>Confirma tu dirección de correo electrónico desde el siguiente enlace:</p>`
+      + `<p><a href="${url}">${url}</a></p>`
+      + `<p>También puedes introducir este código en la aplicación: <code>${token}</code></p>`
+      + `<p>El enlace caduca en ${horas} horas.</p>`
+  };
+}
+
+/**
+ * Mensaje de invitación a colaborar en un tablero.
+ *
+ * @function boardInvitationMail
+ * @param {Object} data - Datos del mensaje.
+ * @param {string} data.tablero - Nombre del tablero.
+ * @param {string} data.invitadoPor - Nombre del usuario que invita.
+ * @param {string} data.rol - Rol que tendrá el invitado en el tablero.
+ * @param {string} data.token - Token de la invitación.
+ * @param {number} data.dias - Días de validez de la invitación.
+ * @returns {{ subject: string, text: string, html: string }} Contenido del mensaje.
+ */
+export function boardInvitationMail({ tablero, invitadoPor, rol, token, dias }) {
+  const url = buildFrontendUrl('/invitaciones', { token });
+
+  return {
+    subject: `${invitadoPor} te ha invitado al tablero ${tablero} en WorkHive`,
+    text: `Hola,\n\n`
+      + `${invitadoPor} te ha invitado a colaborar como ${rol} en el tablero "${tablero}". Puedes aceptar o rechazar la invitación desde el siguiente enlace:\n\n`
+      + `${url}\n\n`
+      + `Si todavía no tienes cuenta, regístrate con este email y te unirás al tablero automáticamente. La invitación caduca en ${dias} días.`,
+    html: `<p>Hola,</p>`
+      + `<p>${escapeHtml(invitadoPor)} te ha invitado a colaborar como ${escapeHtml(rol)} en el tablero "${escapeHtml(tablero)}". Puedes aceptar o rechazar la invitación desde el siguiente enlace:</p>`
+      + `<p><a href="${url}">${url}</a></p>`
+      + `<p>Si todavía no tienes cuenta, regístrate con este email y te unirás al tablero automáticamente. La invitación caduca en ${dias} días.</p>`
+  };
+}
+
+/**
+ * Mensaje que avisa a un usuario de que le han mencionado en una tarea o en un comentario.
+ *
+ * @function mentionMail
+ * @param {Object} data - Datos del mensaje.
+ * @param {string} data.nombre - Nombre del usuario mencionado.
+ * @param {string} data.autor - Nombre del usuario que le menciona.
+ * @param {string} data.tarea - Nombre de la tarea.
+ * @param {string} data.tareaId - ID de la tarea.
+ * @param {string} data.tablero - Nombre del tablero.
+ * @param {string} data.tableroId - ID del tablero.
+ * @param {string} data.origen - Dónde se le menciona: `descripcion` o `comentario`.
+ * @returns {{ subject: string, text: string, html: string }} Contenido del mensaje.
+ */
+export function mentionMail({ nombre, autor, tarea, tareaId, tablero, tableroId, origen }) {
+  const url = buildFrontendUrl(`/tableros/${tableroId}`, { tarea: tareaId });
+  const lugar = origen === 'comentario' ? 'en un comentario de la tarea' : 'en la tarea';
+
+  return {
+    subject: `${autor} te ha mencionado en la tarea ${tarea}`,
+    text: `Hola ${nombre},\n\n`
+      + `${autor} te ha mencionado ${lugar} "${tarea}" del tablero "${tablero}". Puedes verla desde el siguiente enlace:\n\n`
+      + `${url}`,
+    html: `<p>Hola ${escapeHtml(nombre)},</p>`
+      + `<p>${escapeHtml(autor)} te ha mencionado ${lugar} "${escapeHtml(tarea)}" del tablero "${escapeHtml(tablero)}". Puedes verla desde el siguiente enlace:</p>`
+      + `<p><a href="${url}">${url}</a></p>`
+  };
+}
@@ -0,0 +1,73 @@
+import { createSmtpMailTransport } from './smtpMailTransport.js';
+import { createFileMailTransport } from './fileMailTransport.js';
+import { createConsoleMailTransport } from './consoleMailTransport.js';
+
+/**
+ * Transportes de correo disponibles, indexados por el valor de `MAIL_TRANSPORT`.
+ *
+ * @constant {Object<string, Function>}
+ */
+const transportFactories = {
+  smtp: createSmtpMailTransport,
+  file: createFileMailTransport,
+  console: createConsoleMailTransport,
+};
+
+/**
+ * Transporte de correo en uso. Se crea la primera vez que se envía un mensaje.
+ *
+ * @type {{ send: Function }|null}
+ */
+let currentTransport = null;
+
+/**
+ * Crea el transporte de correo indicado.
+ *
+ * @function createMailTransport
+ * @param {string} [type=process.env.MAIL_TRANSPORT] - Tipo de transporte: `smtp`, `file` o `console` (por defecto).
+ * @returns {{ send: Function }} Transporte de correo.
+ * @throws {Error} Si el tipo de transporte no existe.
+ */
+export function createMailTransport(type = process.env.MAIL_TRANSPORT || 'console') {
+  const factory = transportFactories[type];
+
+  if (!factory) {
+    throw new Error(`Transporte de correo desconocido: ${type}`);
+  }
+
+  return factory();
+}
+
+/**
+ * Sustituye el transporte de correo en uso, por ejemplo para inyectar uno propio en las pruebas.
+ *
+ * @function setMailTransport
+ * @param {{ send: Function }|null} transport - Transporte a utilizar. Con `null` se vuelve a crear a partir de la configuración.
+ */
+export function setMailTransport(transport) {
+  currentTransport = transport;
+}
+
+/**
+ * Envía un mensaje de correo con el transporte configurado.
+ * El remitente por defecto se obtiene de `MAIL_FROM`.
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} message - Mensaje a enviar.
+ * @param {string} message.to - Destinatario.
+ * @param {string} message.subject - Asunto.
+ * @param {string} message.text - Cuerpo en texto plano.
+ * @param {string} [message.html] - Cuerpo en HTML.
+ * @returns {Promise<void>}
+ */
+export async function sendMail(message) {
+  if (!currentTransport) {
+    currentTransport = createMailTransport();
+  }
+
+  await currentTransport.send({
+    from: process.env.MAIL_FROM || 'WorkHive <no-reply@workhive.local>',
+    ...message
+  });
+}
@@ -0,0 +1,36 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Crea un transporte de correo que envía los mensajes mediante un servidor SMTP.
+ * La configuración se obtiene de las variables de entorno:
+ * - `SMTP_HOST`: Servidor SMTP.
+ * - `SMTP_PORT`: Puerto del servidor (por defecto 587).
+ * - `SMTP_SECURE`: `true` para usar TLS implícito (puerto 465).
+ * - `SMTP_USER` y `SMTP_PASSWORD`: Credenciales de autenticación (opcionales).
+ *
+ * @function createSmtpMailTransport
+ * @returns {{ send: Function }} Transporte de correo.
+ */
+export function createSmtpMailTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    /**
+     * Envía un mensaje de correo.
+     *
+     * @async
+     * @param {Object} message - Mensaje con los campos `from`, `to`, `subject`, `text` y `html`.
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
@@ -0,0 +1,138 @@
+import { usuariosRepository } from '../repositories/usuariosRepository.js';
+import { refId } from '../security/tableroPermissions.js';
+import { BadRequestError } from '../errors/BadRequestError.js';
+import { sendMail } from './mail/mailTransport.js';
+import { mentionMail } from './mail/mailTemplates.js';
+
+/**
+ * Expresión que reconoce las menciones de un texto: `@` seguido del email o del nombre sin espacios de un usuario.
+ * La `@` no puede ir precedida de letras o números, para no confundir con una mención la dirección de un email escrito en el texto.
+ *
+ * @constant {RegExp}
+ */
+const MENCION_REGEX = /(?<![\p{L}\p{N}_.+@-])@([\p{L}\p{N}_.+-]+(?:@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+)?)/gu;
+
+/**
+ * Normaliza un nombre para compararlo con una mención: sin espacios y en minúsculas.
+ *
+ * @function compactName
+ * @param {string} nombre - Nombre del usuario.
+ * @returns {string} Nombre normalizado.
+ */
+const compactName = (nombre) => nombre.replace(/\s+/g, '').toLowerCase();
+
+/**
+ * Obtiene las menciones distintas de un texto, en minúsculas y sin la `@` inicial.
+ *
+ * @function parseMentions
+ * @param {string} [texto] - Texto con las menciones.
+ * @returns {string[]} Menciones encontradas.
+ */
+export function parseMentions(texto) {
+  if (!texto) {
+    return [];
+  }
+
+  const menciones = new Set();
+
+  for (const [, mencion] of texto.matchAll(MENCION_REGEX)) {
+    // el punto final de una frase no forma parte de la mención
+    const limpia = mencion.replace(/\.+$/, '').toLowerCase();
+    if (limpia) {
+      menciones.add(limpia);
+    }
+  }
+
+  return [...menciones];
+}
+
+/**
+ * Resuelve las menciones de un texto a los miembros del tablero (propietario y colaboradores).
+ * Cada mención debe corresponder al email o al nombre sin espacios de un único miembro.
+ *
+ * @async
+ * @function resolveMentions
+ * @param {Object} tablero - Tablero en el que se escribe el texto.
+ * @param {string} [texto] - Texto con las menciones.
+ * @returns {Promise<Array<Object>>} Los usuarios mencionados, sin repetidos.
+ * @throws {BadRequestError} Si alguna mención no corresponde a un único miembro del tablero.
+ */
+export async function resolveMentions(tablero, texto) {
+  const menciones = parseMentions(texto);
+
+  if (menciones.length === 0) {
+    return [];
+  }
+
+  const miembros = await usuariosRepository.listByIds([
+    refId(tablero.administrador),
+    ...tablero.colaboradores.map(refId)
+  ]);
+
+  const usuarios = new Map();
+  const noResueltas = [];
+
+  for (const mencion of menciones) {
+    const candidatos = miembros.filter((miembro) => miembro.email === mencion || compactName(miembro.nombre) === mencion);
+
+    if (candidatos.length !== 1) {
+      noResueltas.push(`@${mencion}`);
+      continue;
+    }
+
+    usuarios.set(candidatos[0]._id.toString(), candidatos[0]);
+  }
+
+  if (noResueltas.length > 0) {
+    throw new BadRequestError(`Las menciones deben corresponder a un único miembro del tablero: ${noResueltas.join(', ')}`);
+  }
+
+  return [...usuarios.values()];
+}
+
+/**
+ * Avisa por correo a los usuarios mencionados en una tarea o en un comentario.
+ * No se avisa al autor del texto ni a los usuarios que ya estaban mencionados antes de editarlo.
+ * Los errores de envío se registran sin propagarse, ya que el texto se ha guardado antes de avisar.
+ *
+ * @async
+ * @function notifyMentions
+ * @param {Object} data - Datos del aviso.
+ * @param {Array<Object>} data.usuarios - Usuarios mencionados.
+ * @param {Object} data.autor - Datos de la sesión del autor (`id` y `nombre`).
+ * @param {Object} data.tarea - Tarea en la que se menciona a los usuarios.
+ * @param {Object} data.tablero - Tablero de la tarea.
+ * @param {string} data.origen - Dónde se menciona a los usuarios: `descripcion` o `comentario`.
+ * @param {Array<Object|string>} [data.anteriores=[]] - IDs de los usuarios mencionados antes de la edición.
+ * @returns {Promise<void>} Nunca se rechaza por errores en el envío de los correos.
+ */
+export async function notifyMentions({ usuarios, autor, tarea, tablero, origen, anteriores = [] }) {
+  const yaMencionados = new Set(anteriores.map(refId));
+
+  for (const usuario of usuarios) {
+    const usuarioId = usuario._id.toString();
+
+    if (usuarioId === autor.id || yaMencionados.has(usuarioId)) {
+      continue;
+    }
+
+    // La tarea o el comentario ya se han guardado: un error en el envío no debe hacer fallar la petición
+    try {
+      await sendMail({
+        to: usuario.email,
+        ...mentionMail({
+          nombre: usuario.nombre,
+          autor: autor.nombre,
+          tarea: tarea.nombre,
+          tareaId: tarea._id.toString(),
+          tablero: tablero.nombre,
+          tableroId: tablero._id.toString(),
+          origen
+        })
+      });
+    } catch (e) {
+      console.error(`Error enviando el aviso de mención a ${usuario.email}`);
+      console.error(e);
+    }
+  }
+}
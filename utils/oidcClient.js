@@ -0,0 +1,250 @@
+import { createHash, createPublicKey, randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { SessionRequiredError } from '../errors/SessionRequiredError.js';
+
+/**
+ * Configuración del proveedor de identidad OpenID Connect, obtenida de las variables de entorno:
+ * - `OIDC_ISSUER`: URL del emisor; su documento de descubrimiento se obtiene de `/.well-known/openid-configuration`.
+ * - `OIDC_CLIENT_ID` y `OIDC_CLIENT_SECRET`: Credenciales del cliente registrado en el proveedor.
+ * - `OIDC_SCOPES`: Scopes solicitados (por defecto `openid email profile`).
+ * - `OIDC_REDIRECT_URI`: URL de callback registrada en el proveedor.
+ */
+const OIDC_ISSUER = process.env.OIDC_ISSUER?.replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI;
+
+/**
+ * Algoritmos de firma de id_token admitidos. Los algoritmos simétricos no se admiten
+ * porque la clave se obtiene del JWKS público del proveedor.
+ *
+ * @constant {string[]}
+ */
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Documento de descubrimiento en caché.
+ *
+ * @type {Promise<Object>|null}
+ */
+let discoveryPromise = null;
+
+/**
+ * Claves públicas del proveedor en caché, indexadas por `kid`.
+ *
+ * @type {Map<string, KeyObject>|null}
+ */
+let jwksCache = null;
+
+/**
+ * Realiza una petición HTTP al proveedor y devuelve la respuesta en JSON.
+ *
+ * @async
+ * @function fetchJson
+ * @param {string} url - URL de la petición.
+ * @param {Object} [options] - Opciones de `fetch`.
+ * @returns {Promise<Object>} Cuerpo de la respuesta.
+ * @throws {SessionRequiredError} Si el proveedor responde con un error.
+ */
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new SessionRequiredError(`El proveedor de identidad rechazó la petición: ${body.error || response.status}`);
+  }
+
+  return body;
+}
+
+/**
+ * Obtiene, una sola vez, el documento de descubrimiento del proveedor.
+ *
+ * @async
+ * @function getDiscoveryDocument
+ * @returns {Promise<Object>} Documento de descubrimiento.
+ */
+async function getDiscoveryDocument() {
+  if (!discoveryPromise) {
+    discoveryPromise = fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`)
+      .then((document) => {
+        if (document.issuer?.replace(/\/+$/, '') !== OIDC_ISSUER) {
+          throw new Error(`El emisor del documento de descubrimiento (${document.issuer}) no coincide con OIDC_ISSUER`);
+        }
+        return document;
+      })
+      .catch((err) => {
+        // No se guarda en caché un descubrimiento fallido, para reintentarlo en la siguiente petición
+        discoveryPromise = null;
+        throw err;
+      });
+  }
+
+  return await discoveryPromise;
+}
+
+/**
+ * Obtiene la clave pública del proveedor con la que se firmó un id_token.
+ * Si la clave no está en caché se vuelve a descargar el JWKS, por si el proveedor ha rotado sus claves.
+ *
+ * @async
+ * @function getSigningKey
+ * @param {string} [kid] - Identificador de la clave indicado en la cabecera del token.
+ * @returns {Promise<KeyObject>} Clave pública.
+ * @throws {jwt.JsonWebTokenError} Si la clave no existe.
+ */
+async function getSigningKey(kid) {
+  const findKey = () => (kid ? jwksCache?.get(kid) : jwksCache?.values().next().value);
+
+  if (!findKey()) {
+    const { jwks_uri: jwksUri } = await getDiscoveryDocument();
+    const { keys = [] } = await fetchJson(jwksUri);
+
+    jwksCache = new Map(
+      keys
+        .filter((key) => !key.use || key.use === 'sig')
+        .map((key, index) => [key.kid || String(index), createPublicKey({ key, format: 'jwk' })])
+    );
+  }
+
+  const key = findKey();
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return key;
+}
+
+/**
+ * Indica si el inicio de sesión con OpenID Connect está configurado.
+ *
+ * @function isOidcEnabled
+ * @returns {boolean} true si están definidas todas las variables necesarias.
+ */
+export function isOidcEnabled() {
+  return Boolean(OIDC_ISSUER && OIDC_CLIENT_ID && OIDC_CLIENT_SECRET && OIDC_REDIRECT_URI);
+}
+
+/**
+ * Emisor del proveedor de identidad configurado.
+ *
+ * @function getOidcIssuer
+ * @returns {string} URL del emisor.
+ */
+export function getOidcIssuer() {
+  return OIDC_ISSUER;
+}
+
+/**
+ * Prepara una petición de autorización con PKCE (S256).
+ * Los valores `state`, `nonce` y `codeVerifier` deben guardarse para validar el callback.
+ *
+ * @async
+ * @function createAuthorizationRequest
+ * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>} URL del proveedor y valores generados.
+ */
+export async function createAuthorizationRequest() {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscoveryDocument();
+
+  const state = randomBytes(32).toString('base64url');
+  const nonce = randomBytes(32).toString('base64url');
+  const codeVerifier = randomBytes(32).toString('base64url');
+  const codeChallenge = createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Canjea un código de autorización por los tokens del proveedor.
+ *
+ * @async
+ * @function exchangeAuthorizationCode
+ * @param {string} code - Código de autorización recibido en el callback.
+ * @param {string} codeVerifier - Verificador PKCE de la petición de autorización.
+ * @returns {Promise<Object>} Respuesta del endpoint de tokens (`id_token`, `access_token`...).
+ * @throws {SessionRequiredError} Si el proveedor rechaza el código.
+ */
+export async function exchangeAuthorizationCode(code, codeVerifier) {
+  const { token_endpoint: tokenEndpoint } = await getDiscoveryDocument();
+  const credentials = Buffer
+    .from(`${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`)
+    .toString('base64');
+
+  return await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${credentials}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: OIDC_REDIRECT_URI,
+      code_verifier: codeVerifier
+    })
+  });
+}
+
+/**
+ * Verifica la firma, el emisor, la audiencia, la caducidad y el nonce de un id_token.
+ *
+ * @async
+ * @function verifyIdToken
+ * @param {string} idToken - id_token recibido del proveedor.
+ * @param {string} nonce - Nonce enviado en la petición de autorización.
+ * @returns {Promise<Object>} Claims del id_token.
+ * @throws {jwt.JsonWebTokenError} Si el id_token no es válido.
+ */
+export async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new jwt.JsonWebTokenError('invalid id_token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ALLOWED_ALGORITHMS,
+    audience: OIDC_CLIENT_ID,
+    issuer: [OIDC_ISSUER, `${OIDC_ISSUER}/`]
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new jwt.JsonWebTokenError('invalid nonce');
+  }
+
+  return claims;
+}
+
+/**
+ * Obtiene los datos del usuario del endpoint userinfo, para los proveedores que no incluyen el email en el id_token.
+ *
+ * @async
+ * @function fetchUserInfo
+ * @param {string} accessToken - Token de acceso del proveedor.
+ * @returns {Promise<Object>} Claims del usuario.
+ */
+export async function fetchUserInfo(accessToken) {
+  const { userinfo_endpoint: userinfoEndpoint } = await getDiscoveryDocument();
+
+  if (!userinfoEndpoint) {
+    return {};
+  }
+
+  return await fetchJson(userinfoEndpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+}
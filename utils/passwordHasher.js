@@ -0,0 +1,78 @@
+import bcrypt from 'bcrypt';
+import { sha512 } from 'js-sha512';
+
+/**
+ * Número de rondas de sal que utiliza bcrypt para generar los hashes.
+ * Se puede ajustar mediante la variable de entorno `BCRYPT_SALT_ROUNDS`.
+ *
+ * @constant {number}
+ */
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12;
+
+/**
+ * Expresión regular que identifica los hashes heredados en formato SHA-512 (128 caracteres hexadecimales).
+ *
+ * @constant {RegExp}
+ */
+const LEGACY_SHA512_REGEX = /^[0-9a-f]{128}$/i;
+
+/**
+ * Genera el hash bcrypt de una contraseña.
+ *
+ * @async
+ * @function hashPassword
+ * @param {string} password - Contraseña en texto plano.
+ * @returns {Promise<string>} Hash bcrypt de la contraseña.
+ */
+export async function hashPassword(password) {
+  return await bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Comprueba si una contraseña coincide con el hash almacenado.
+ * Admite tanto hashes bcrypt como los hashes SHA-512 heredados.
+ *
+ * @async
+ * @function verifyPassword
+ * @param {string} password - Contraseña en texto plano.
+ * @param {string} storedHash - Hash almacenado en la base de datos.
+ * @returns {Promise<boolean>} `true` si la contraseña es correcta, `false` en caso contrario.
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) {
+    return false;
+  }
+
+  if (isLegacyHash(storedHash)) {
+    return sha512(password) === storedHash.toLowerCase();
+  }
+
+  return await bcrypt.compare(password, storedHash);
+}
+
+/**
+ * Indica si un hash almacenado debe regenerarse, ya sea por estar en el formato SHA-512 heredado
+ * o por haberse generado con un número de rondas distinto al configurado.
+ *
+ * @function needsRehash
+ * @param {string} storedHash - Hash almacenado en la base de datos.
+ * @returns {boolean} `true` si el hash debe regenerarse.
+ */
+export function needsRehash(storedHash) {
+  if (isLegacyHash(storedHash)) {
+    return true;
+  }
+
+  return bcrypt.getRounds(storedHash) !== SALT_ROUNDS;
+}
+
+/**
+ * Indica si un hash está en el formato SHA-512 heredado.
+ *
+ * @function isLegacyHash
+ * @param {string} storedHash - Hash almacenado en la base de datos.
+ * @returns {boolean} `true` si es un hash SHA-512 sin sal.
+ */
+function isLegacyHash(storedHash) {
+  return LEGACY_SHA512_REGEX.test(storedHash);
+}
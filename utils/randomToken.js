@@ -0,0 +1,25 @@
+import { randomBytes } from 'crypto';
+import { sha512 } from 'js-sha512';
+
+/**
+ * Genera un token aleatorio criptográficamente seguro codificado en base64url.
+ *
+ * @function generateToken
+ * @param {number} [size=48] - Número de bytes aleatorios del token.
+ * @returns {string} Token aleatorio.
+ */
+export function generateToken(size = 48) {
+  return randomBytes(size).toString('base64url');
+}
+
+/**
+ * Calcula el hash con el que se almacena un token en la base de datos,
+ * de forma que el token en claro nunca se guarda.
+ *
+ * @function hashToken
+ * @param {string} token - Token en texto plano.
+ * @returns {string} Hash SHA-512 del token.
+ */
+export function hashToken(token) {
+  return sha512(token);
+}
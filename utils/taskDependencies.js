@@ -0,0 +1,61 @@
+import { refId } from '../security/tableroPermissions.js';
+
+/**
+ * Indica si añadir una dependencia crearía un ciclo, es decir, si la tarea bloqueante ya depende,
+ * directa o indirectamente, de la tarea que se quiere bloquear.
+ *
+ * @function wouldCreateCycle
+ * @param {Array<Object>} tareas - Tareas del tablero con su lista `bloqueadaPor`.
+ * @param {string} tareaId - ID de la tarea que pasaría a estar bloqueada.
+ * @param {string} bloqueanteId - ID de la tarea que la bloquearía.
+ * @returns {boolean} true si la nueva dependencia cerraría un ciclo.
+ */
+export function wouldCreateCycle(tareas, tareaId, bloqueanteId) {
+  const bloqueos = new Map(tareas.map((tarea) => [tarea._id.toString(), tarea.bloqueadaPor.map(refId)]));
+  const pendientes = [bloqueanteId];
+  const visitadas = new Set();
+
+  while (pendientes.length > 0) {
+    const actual = pendientes.pop();
+
+    if (actual === tareaId) {
+      return true;
+    }
+
+    if (visitadas.has(actual)) {
+      continue;
+    }
+
+    visitadas.add(actual);
+    pendientes.push(...(bloqueos.get(actual) ?? []));
+  }
+
+  return false;
+}
+
+/**
+ * Construye el grafo de dependencias de las tareas de un tablero.
+ * Cada arista va de la tarea bloqueante (`desde`) a la tarea bloqueada (`hasta`), y una tarea está
+ * bloqueada mientras alguna de sus tareas bloqueantes no esté en una columna de categoría `done`.
+ *
+ * @function buildDependencyGraph
+ * @param {Array<Object>} tareas - Tareas del tablero con su nombre, estado, categoría del estado y lista `bloqueadaPor`.
+ * @returns {{ nodos: Array<Object>, aristas: Array<Object> }} Nodos y aristas del grafo.
+ */
+export function buildDependencyGraph(tareas) {
+  const categorias = new Map(tareas.map((tarea) => [tarea._id.toString(), tarea.categoriaEstado]));
+
+  const nodos = tareas.map((tarea) => ({
+    _id: tarea._id,
+    nombre: tarea.nombre,
+    estado: tarea.estado,
+    bloqueada: tarea.bloqueadaPor.some((bloqueanteId) => categorias.get(refId(bloqueanteId)) !== 'done')
+  }));
+
+  const aristas = tareas.flatMap((tarea) => tarea.bloqueadaPor.map((bloqueanteId) => ({
+    desde: bloqueanteId,
+    hasta: tarea._id
+  })));
+
+  return { nodos, aristas };
+}
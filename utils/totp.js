@@ -0,0 +1,212 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Alfabeto Base32 (RFC 4648) utilizado para codificar los secretos TOTP.
+ *
+ * @constant {string}
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Duración en segundos de cada paso de tiempo TOTP.
+ *
+ * @constant {number}
+ */
+const TOTP_PERIOD = 30;
+
+/**
+ * Número de dígitos de los códigos TOTP.
+ *
+ * @constant {number}
+ */
+const TOTP_DIGITS = 6;
+
+/**
+ * Codifica un buffer en Base32 sin relleno.
+ *
+ * @function base32Encode
+ * @param {Buffer} buffer - Datos a codificar.
+ * @returns {string} Texto en Base32.
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica un texto en Base32, ignorando espacios, guiones y relleno.
+ *
+ * @function base32Decode
+ * @param {string} text - Texto en Base32.
+ * @returns {Buffer} Datos decodificados.
+ */
+function base32Decode(text) {
+  const cleanText = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleanText) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto Base32 no válido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Calcula el código HOTP (RFC 4226) de un contador.
+ *
+ * @function generateHotp
+ * @param {Buffer} key - Clave secreta.
+ * @param {number} counter - Contador.
+ * @returns {string} Código de `TOTP_DIGITS` dígitos.
+ */
+function generateHotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Genera un nuevo secreto TOTP aleatorio de 160 bits codificado en Base32.
+ *
+ * @function generateTotpSecret
+ * @returns {string} Secreto en Base32.
+ */
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Obtiene el paso de tiempo TOTP correspondiente a un instante.
+ *
+ * @function getTotpStep
+ * @param {number} [timestamp=Date.now()] - Instante en milisegundos.
+ * @returns {number} Paso de tiempo.
+ */
+export function getTotpStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Calcula el código TOTP (RFC 6238) de un secreto para un paso de tiempo.
+ *
+ * @function generateTotp
+ * @param {string} secret - Secreto en Base32.
+ * @param {number} [step=getTotpStep()] - Paso de tiempo.
+ * @returns {string} Código TOTP.
+ */
+export function generateTotp(secret, step = getTotpStep()) {
+  return generateHotp(base32Decode(secret), step);
+}
+
+/**
+ * Comprueba un código TOTP admitiendo un desfase de `window` pasos en cada sentido.
+ *
+ * @function verifyTotp
+ * @param {string} secret - Secreto en Base32.
+ * @param {string} code - Código introducido por el usuario.
+ * @param {number} [window=1] - Pasos de desfase admitidos.
+ * @returns {number|null} El paso de tiempo del código si es válido o null si no lo es.
+ */
+export function verifyTotp(secret, code, window = 1) {
+  const cleanCode = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(cleanCode) || cleanCode.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTotpStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(cleanCode))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Construye la URI `otpauth://` que las aplicaciones de autenticación leen, normalmente a través de un código QR.
+ *
+ * @function buildOtpauthUrl
+ * @param {Object} data - Datos de la cuenta.
+ * @param {string} data.secret - Secreto en Base32.
+ * @param {string} data.account - Nombre de la cuenta (normalmente el email).
+ * @param {string} [data.issuer='WorkHive'] - Emisor que se muestra en la aplicación.
+ * @returns {string} URI otpauth.
+ */
+export function buildOtpauthUrl({ secret, account, issuer = process.env.TOTP_ISSUER || 'WorkHive' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Genera códigos de recuperación de un solo uso con el formato `xxxxx-xxxxx`.
+ *
+ * @function generateRecoveryCodes
+ * @param {number} [count=10] - Número de códigos.
+ * @returns {string[]} Códigos de recuperación.
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const code = randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Normaliza un código de recuperación antes de calcular su hash.
+ *
+ * @function normalizeRecoveryCode
+ * @param {string} code - Código introducido por el usuario.
+ * @returns {string} Código normalizado.
+ */
+export function normalizeRecoveryCode(code) {
+  const cleanCode = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return `${cleanCode.slice(0, 5)}-${cleanCode.slice(5)}`;
+}
@@ -0,0 +1,34 @@
+import jwt from 'jsonwebtoken';
+import { tokensAccesoRepository, TOKEN_ACCESO_PREFIX } from '../repositories/tokensAccesoRepository.js';
+
+/**
+ * Indica si un token de autorización es un token de acceso personal y no un JWT de sesión.
+ *
+ * @function isPersonalAccessToken
+ * @param {string} token - Token de autorización.
+ * @returns {boolean} true si es un token de acceso personal.
+ */
+export const isPersonalAccessToken = (token) => {
+  return token.startsWith(TOKEN_ACCESO_PREFIX);
+};
+
+/**
+ * Comprueba que un token de acceso personal exista, no haya caducado ni sido revocado, y registra su uso.
+ *
+ * @async
+ * @function verifyPersonalAccessToken
+ * @param {string} token - Token de acceso personal en texto plano.
+ * @returns {Promise<Object>} El token de acceso almacenado.
+ * @throws {jwt.JsonWebTokenError} Si el token no es válido.
+ */
+export const verifyPersonalAccessToken = async (token) => {
+  const tokenAcceso = await tokensAccesoRepository.getActiveByToken(token);
+
+  if (!tokenAcceso) {
+    throw new jwt.JsonWebTokenError('invalid personal access token');
+  }
+
+  await tokensAccesoRepository.touch(tokenAcceso);
+
+  return tokenAcceso;
+};
@@ -0,0 +1,65 @@
+import jwt from 'jsonwebtoken';
+import { sha512 } from 'js-sha512';
+import { tokensRevocadosRepository } from '../repositories/tokensRevocadosRepository.js';
+import { sesionesRepository } from '../repositories/sesionesRepository.js';
+
+/**
+ * Obtiene el identificador con el que se registra la revocación de un token.
+ * Los tokens emitidos antes de incluir el `jti` se identifican por el hash de su contenido.
+ *
+ * @function getTokenId
+ * @param {string} token - El token JWT.
+ * @param {Object} tokenData - Payload decodificado del token.
+ * @returns {string} Identificador único del token.
+ */
+export const getTokenId = (token, tokenData) => {
+  return tokenData.jti || sha512(token);
+};
+
+/**
+ * Verifica la firma y expiración de un token y comprueba que no haya sido revocado
+ * ni pertenezca a una sesión revocada.
+ *
+ * @async
+ * @function verifyUserToken
+ * @param {string} token - El token JWT a verificar.
+ * @returns {Promise<Object>} Payload decodificado del token.
+ * @throws {jwt.JsonWebTokenError} Si el token no es válido, ha expirado, ha sido revocado o su sesión ya no está activa.
+ */
+export const verifyUserToken = async (token) => {
+  const tokenData = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (await tokensRevocadosRepository.isRevoked(getTokenId(token, tokenData))) {
+    throw new jwt.JsonWebTokenError('token revoked');
+  }
+
+  // Los tokens emitidos para una sesión solo son válidos mientras la sesión siga activa
+  if (tokenData.sid) {
+    const sesion = await sesionesRepository.getActive(tokenData.sid);
+
+    if (!sesion) {
+      throw new jwt.JsonWebTokenError('session revoked');
+    }
+
+    await sesionesRepository.touch(sesion);
+  }
+
+  return tokenData;
+};
+
+/**
+ * Revoca un token hasta su fecha de expiración.
+ *
+ * @async
+ * @function revokeUserToken
+ * @param {string} token - El token JWT a revocar.
+ * @param {Object} tokenData - Payload decodificado del token.
+ * @returns {Promise<void>}
+ */
+export const revokeUserToken = async (token, tokenData) => {
+  const expiresAt = tokenData.exp
+    ? new Date(tokenData.exp * 1000)
+    : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+  await tokensRevocadosRepository.revoke(getTokenId(token, tokenData), expiresAt);
+};
@@ -0,0 +1,47 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { ROLES_COLABORADOR } from '../security/tableroPermissions.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para añadir un colaborador a un tablero.
+ * 
+ * @constant {yup.ObjectSchema} addColaboradorSchema
+ */
+export const addColaboradorSchema = yup.object().shape({
+  /**
+   * Validación del usuario que se añade como colaborador.
+   * Debe ser una cadena que contenga un ObjectId válido y es obligatorio.
+   */
+  userId: yup.string()
+    .required('El ID del usuario es obligatorio.')
+    .matches(/^[0-9a-fA-F]{24}$/, 'El ID del usuario debe ser un ObjectId válido.'),
+
+  /**
+   * Validación del rol del colaborador en el tablero.
+   * Debe ser "editor", "comentarista" o "lector". Por defecto es "editor".
+   */
+  rol: yup.string()
+    .oneOf(ROLES_COLABORADOR, 'El rol debe ser editor, comentarista o lector.')
+    .default('editor')
+});
+
+/**
+ * Middleware para validar los datos de un nuevo colaborador.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const addColaboradorValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await addColaboradorSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,47 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { ROLES_WORKSPACE } from '../security/workspacePermissions.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para añadir un miembro a un workspace.
+ * 
+ * @constant {yup.ObjectSchema} addMiembroWorkspaceSchema
+ */
+export const addMiembroWorkspaceSchema = yup.object().shape({
+  /**
+   * Validación del usuario que se añade como miembro.
+   * Debe ser una cadena que contenga un ObjectId válido y es obligatorio.
+   */
+  userId: yup.string()
+    .required('El ID del usuario es obligatorio.')
+    .matches(/^[0-9a-fA-F]{24}$/, 'El ID del usuario debe ser un ObjectId válido.'),
+
+  /**
+   * Validación del rol del miembro en el workspace.
+   * Debe ser "administrador" o "miembro". Por defecto es "miembro".
+   */
+  rol: yup.string()
+    .oneOf(ROLES_WORKSPACE, 'El rol debe ser administrador o miembro.')
+    .default('miembro')
+});
+
+/**
+ * Middleware para validar los datos de un nuevo miembro de un workspace.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const addMiembroWorkspaceValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await addMiembroWorkspaceSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
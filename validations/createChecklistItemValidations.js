@@ -0,0 +1,61 @@
+import * as yup from "yup";
+import {es} from "yup-locales";
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la creación de elementos de la checklist de una tarea
+ *
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object().shape({
+
+    /**
+     * Validación del texto del elemento
+     * Debe ser una cadena no vacía de como máximo 500 caracteres
+     */
+    texto: yup.string()
+        .trim()
+        .required("El texto es obligatorio")
+        .max(500, "El texto no puede tener más de 500 caracteres"),
+
+    /**
+     * Validación opcional del estado del elemento
+     */
+    completado: yup.boolean()
+        .optional()
+        .default(false),
+
+    /**
+     * Validación opcional del ID del usuario responsable del elemento
+     * Puede ser nulo
+     */
+    asignadoA: yup.string()
+        .optional()
+        .nullable(),
+
+    /**
+     * Validación opcional de la fecha límite del elemento
+     * Puede ser nula
+     */
+    fechaLimite: yup.date()
+        .optional()
+        .nullable()
+});
+
+/**
+ * Middleware para validar los datos de creación de elementos de la checklist
+ *
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createChecklistItemValidations = async (req, res, next) => {
+    try {
+        req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,38 @@
+import * as yup from "yup";
+import {es} from "yup-locales";
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la creación de comentarios en una tarea
+ *
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object().shape({
+
+    /**
+     * Validación del mensaje del comentario
+     * Debe ser una cadena no vacía de como máximo 2000 caracteres
+     */
+    mensaje: yup.string()
+        .trim()
+        .required("El mensaje es obligatorio")
+        .max(2000, "El mensaje no puede tener más de 2000 caracteres")
+});
+
+/**
+ * Middleware para validar los datos de creación de comentarios
+ *
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createComentarioValidations = async (req, res, next) => {
+    try {
+        req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
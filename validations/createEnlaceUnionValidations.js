@@ -0,0 +1,60 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { ROLES_COLABORADOR } from '../security/tableroPermissions.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para generar el enlace de unión de un tablero.
+ * 
+ * @constant {yup.ObjectSchema} createEnlaceUnionSchema
+ */
+export const createEnlaceUnionSchema = yup.object().shape({
+  /**
+   * Validación del rol con el que se unen los usuarios al tablero.
+   * Debe ser "editor", "comentarista" o "lector". Por defecto es "editor".
+   */
+  rol: yup.string()
+    .oneOf(ROLES_COLABORADOR, 'El rol debe ser editor, comentarista o lector.')
+    .default('editor'),
+
+  /**
+   * Validación de los días de validez del enlace.
+   * Si no se indica, el enlace no caduca.
+   */
+  expiraEnDias: yup.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .optional()
+    .label('Días de validez'),
+
+  /**
+   * Validación del número máximo de usuarios que pueden unirse con el enlace.
+   * Si no se indica, no hay límite.
+   */
+  usosMaximos: yup.number()
+    .integer()
+    .min(1)
+    .optional()
+    .label('Número máximo de usos')
+});
+
+/**
+ * Middleware para validar la configuración del enlace de unión de un tablero.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createEnlaceUnionValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await createEnlaceUnionSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
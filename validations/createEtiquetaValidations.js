@@ -0,0 +1,49 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la creación de etiquetas de un tablero.
+ * 
+ * @constant {yup.ObjectSchema} createEtiquetaSchema
+ */
+export const createEtiquetaSchema = yup.object().shape({
+  /**
+   * Validación del nombre de la etiqueta.
+   * Debe ser una cadena no vacía de como máximo 50 caracteres.
+   */
+  nombre: yup.string()
+    .trim()
+    .required('El nombre es obligatorio.')
+    .max(50, 'El nombre no puede tener más de 50 caracteres.'),
+
+  /**
+   * Validación del color de la etiqueta.
+   * Debe estar en formato hexadecimal (#rrggbb).
+   */
+  color: yup.string()
+    .trim()
+    .lowercase()
+    .required('El color es obligatorio.')
+    .matches(/^#[0-9a-f]{6}$/, 'El color debe tener el formato #rrggbb.')
+});
+
+/**
+ * Middleware para validar los datos de creación de una etiqueta.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createEtiquetaValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await createEtiquetaSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
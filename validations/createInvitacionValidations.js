@@ -0,0 +1,56 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { ROLES_COLABORADOR } from '../security/tableroPermissions.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para invitar a un tablero por email.
+ * 
+ * @constant {yup.ObjectSchema} createInvitacionSchema
+ */
+export const createInvitacionSchema = yup.object().shape({
+  /**
+   * Validación del email invitado.
+   * Debe ser un correo electrónico válido y es obligatorio. No es necesario que pertenezca a un usuario registrado.
+   */
+  email: yup.string()
+    .trim()
+    .lowercase()
+    .required('El correo electrónico es obligatorio.')
+    .email('Debe ser un correo electrónico válido.'),
+
+  /**
+   * Validación del rol que tendrá el invitado en el tablero.
+   * Debe ser "editor", "comentarista" o "lector". Por defecto es "editor".
+   */
+  rol: yup.string()
+    .oneOf(ROLES_COLABORADOR, 'El rol debe ser editor, comentarista o lector.')
+    .default('editor'),
+
+  /**
+   * Validación del tipo de cuenta del invitado.
+   * Si es verdadero y el email no tiene cuenta, la cuenta que se registre con él será de invitado. Por defecto es falso.
+   */
+  invitado: yup.boolean()
+    .default(false)
+});
+
+/**
+ * Middleware para validar los datos de una nueva invitación.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createInvitacionValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await createInvitacionSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -52,7 +52,16 @@ export const createTableroSchema = yup.object().shape({
    */
   colaboradores: yup.array()
     .of(yup.string().matches(/^[0-9a-fA-F]{24}$/, 'El ID del colaborador debe ser un ObjectId válido.'))
+    .nullable(),
+
+  /**
+   * Validación del workspace al que pertenece el tablero.
+   * Debe ser una cadena que contenga un ObjectId válido. Si no se indica, el tablero es personal.
+   */
+  workspace: yup.string()
+    .matches(/^[0-9a-fA-F]{24}$/, 'El ID del workspace debe ser un ObjectId válido.')
     .nullable()
+    .notRequired()
 });
 
 /**
@@ -39,12 +39,12 @@ const schema = yup.object().shape({
 
     /**
      * Validación del estado de la tarea
-     * Debe ser "pendiente", "en proceso", "en revisión" o "completada"
+     * Debe ser la clave de una columna del flujo del tablero, que se comprueba junto con el tablero.
+     * Si no se indica, la tarea empieza en la primera columna del flujo.
      */
     estado: yup.string()
-        .oneOf(['pendiente', 'en_proceso', 'en_revision', 'completada'], "El estado de la tarea deber ser pendiente, en proceso, en revisión o completada")
-        .optional()
-        .default('pendiente'),
+        .trim()
+        .optional(),
 
     /**
      * Validación de la fecha límite de la tarea
@@ -65,23 +65,23 @@ const schema = yup.object().shape({
         .nullable(),
 
     /**
-     * Validación de los comentarios de la tarea
-     * Debe ser una lista con al menos un comentario
+     * Validación de la tarea padre, si la tarea es una subtarea
+     * Debe ser una cadena que contenga el ID de una tarea del mismo tablero.
+     * Puede ser nulo.
      */
-    comentarios: yup.array()
-        .of(yup.object({
-            usuario: yup.string()
-                .required(),
-
-            mensaje: yup.string()
-                .required(),
-
-            fecha: yup.date()
-                .default(new Date())
-        })).optional().min(1),
+    tareaPadre: yup.string()
+        .optional()
+        .nullable(),
 
     tablero: yup.string()
-        .required()
+        .required(),
+
+    /**
+     * Permite al propietario del tablero crear la tarea en una columna que ha alcanzado su límite de tareas
+     */
+    forzar: yup.boolean()
+        .optional()
+        .default(false)
 
 });
 
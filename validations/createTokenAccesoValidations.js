@@ -0,0 +1,61 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { TOKEN_SCOPES } from '../security/tokenScopes.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la creación de tokens de acceso personal.
+ * 
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object({
+  /**
+   * Validación del nombre del token.
+   * Debe ser una cadena, sin espacios al inicio o final, de entre 3 y 100 caracteres.
+   */
+  nombre: yup.string()
+    .trim()
+    .required('El nombre es obligatorio')
+    .min(3, 'El nombre debe tener al menos 3 caracteres')
+    .max(100, 'El nombre no puede tener más de 100 caracteres'),
+
+  /**
+   * Validación de los permisos del token.
+   * Debe ser una lista no vacía de permisos válidos.
+   */
+  scopes: yup.array()
+    .of(yup.string().oneOf(TOKEN_SCOPES, `Los permisos deben ser ${TOKEN_SCOPES.join(', ')}`))
+    .required('Los permisos son obligatorios')
+    .min(1, 'El token debe tener al menos un permiso'),
+
+  /**
+   * Validación de los días de validez del token.
+   * Si no se indica, el token no caduca.
+   */
+  expiraEnDias: yup.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .optional()
+    .label('Días de validez')
+});
+
+/**
+ * Middleware para validar los datos de creación de un token de acceso personal.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createTokenAccesoValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
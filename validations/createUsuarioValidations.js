@@ -37,14 +37,6 @@ const createUsuarioValidations = yup.object().shape({
     .matches(/(?=.*\d)/, 'La contraseña debe contener al menos un número.')
     .matches(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]+/, 'La contraseña debe contener al menos un caracter especial.'),
 
-  /**
-   * Validación del rol del usuario.
-   * Debe ser "administrador" o "usuario".
-   */
-  rol: yup.string()
-    .oneOf(['administrador', 'usuario'], 'El rol debe ser administrador o usuario.')
-    .default('usuario'),
-
   /**
    * Validación de la URL de la foto de perfil.
    * Puede ser nula o una URL válida.
@@ -0,0 +1,48 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la creación y actualización de workspaces.
+ * 
+ * @constant {yup.ObjectSchema} workspaceSchema
+ */
+export const workspaceSchema = yup.object().shape({
+  /**
+   * Validación del nombre del workspace.
+   * Debe ser una cadena, sin espacios al inicio o final, de entre 3 y 100 caracteres, y es obligatorio.
+   */
+  nombre: yup.string()
+    .trim()
+    .required('El nombre del workspace es obligatorio.')
+    .min(3, 'El nombre del workspace debe tener al menos 3 caracteres.')
+    .max(100, 'El nombre del workspace no puede tener más de 100 caracteres.'),
+
+  /**
+   * Validación de la descripción del workspace.
+   * Debe ser una cadena, sin espacios al inicio o final.
+   */
+  descripcion: yup.string()
+    .notRequired()
+    .trim()
+});
+
+/**
+ * Middleware para validar los datos de un workspace.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const createWorkspaceValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await workspaceSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
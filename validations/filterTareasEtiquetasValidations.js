@@ -0,0 +1,53 @@
+import * as yup from "yup";
+import {es} from "yup-locales";
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para filtrar las tareas de un tablero por etiquetas
+ *
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object().shape({
+
+    /**
+     * Validación del ID del tablero cuyas tareas se filtran
+     */
+    tablero: yup.string()
+        .required(),
+
+    /**
+     * Validación de las etiquetas por las que se filtra
+     * Debe ser una lista con al menos un ID de etiqueta
+     */
+    etiquetas: yup.array()
+        .of(yup.string().required())
+        .required("Las etiquetas son obligatorias")
+        .min(1, "Indica al menos una etiqueta"),
+
+    /**
+     * Validación del tipo de coincidencia
+     * "alguna" para las tareas con cualquiera de las etiquetas o "todas" para las tareas con todas ellas
+     */
+    coincidencia: yup.string()
+        .oneOf(['alguna', 'todas'], "La coincidencia debe ser alguna o todas")
+        .optional()
+        .default('alguna')
+});
+
+/**
+ * Middleware para validar el filtro de tareas por etiquetas
+ *
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const filterTareasEtiquetasValidations = async (req, res, next) => {
+    try {
+        req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
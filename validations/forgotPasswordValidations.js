@@ -0,0 +1,36 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la solicitud de restablecimiento de contraseña.
+ * 
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object({
+  /**
+   * Validación del correo electrónico.
+   * Debe ser un string requerido en formato de correo electrónico válido.
+   */
+  email: yup.string().trim().lowercase().required().email().label('Email')
+});
+
+/**
+ * Middleware para validar los datos de la solicitud de restablecimiento de contraseña.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const forgotPasswordValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
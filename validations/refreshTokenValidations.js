@@ -0,0 +1,36 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para el intercambio de un token de refresco.
+ * 
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object({
+  /**
+   * Validación del token de refresco.
+   * Debe ser un string requerido.
+   */
+  refreshToken: yup.string().required().label('Refresh token')
+});
+
+/**
+ * Middleware para validar los datos del intercambio de tokens de refresco.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const refreshTokenValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
@@ -0,0 +1,38 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para eliminar un colaborador de un tablero.
+ * 
+ * @constant {yup.ObjectSchema} removeColaboradorSchema
+ */
+export const removeColaboradorSchema = yup.object().shape({
+  /**
+   * Validación del usuario que se elimina de los colaboradores.
+   * Debe ser una cadena que contenga un ObjectId válido y es obligatorio.
+   */
+  userId: yup.string()
+    .required('El ID del usuario es obligatorio.')
+    .matches(/^[0-9a-fA-F]{24}$/, 'El ID del usuario debe ser un ObjectId válido.')
+});
+
+/**
+ * Middleware para validar los datos del colaborador que se elimina.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const removeColaboradorValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await removeColaboradorSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
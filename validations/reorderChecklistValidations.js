@@ -0,0 +1,38 @@
+import * as yup from "yup";
+import {es} from "yup-locales";
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para reordenar la checklist de una tarea
+ *
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object().shape({
+
+    /**
+     * Validación del nuevo orden de la checklist
+     * Debe ser la lista de los IDs de todos los elementos de la checklist, sin repetir
+     */
+    orden: yup.array()
+        .of(yup.string().required())
+        .required("El orden es obligatorio")
+        .test("sin-repetidos", "El orden no puede repetir elementos", (orden) => !orden || new Set(orden).size === orden.length)
+});
+
+/**
+ * Middleware para validar el nuevo orden de la checklist
+ *
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const reorderChecklistValidations = async (req, res, next) => {
+    try {
+        req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
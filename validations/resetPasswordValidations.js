@@ -0,0 +1,47 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para el restablecimiento de contraseña.
+ * 
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object({
+  /**
+   * Validación del token de restablecimiento.
+   * Debe ser un string requerido.
+   */
+  token: yup.string().required().label('Token'),
+
+  /**
+   * Validación de la nueva contraseña.
+   * Debe tener al menos 8 caracteres, incluir una letra mayúscula, un número y un caracter especial.
+   */
+  password: yup.string()
+    .required('La contraseña es obligatoria.')
+    .min(8, 'La contraseña debe tener al menos 8 caracteres.')
+    .matches(/(?=.*[A-Z])/, 'La contraseña debe contener al menos una letra mayúscula.')
+    .matches(/(?=.*\d)/, 'La contraseña debe contener al menos un número.')
+    .matches(/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]+/, 'La contraseña debe contener al menos un caracter especial.')
+});
+
+/**
+ * Middleware para validar los datos del restablecimiento de contraseña.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const resetPasswordValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
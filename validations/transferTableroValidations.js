@@ -0,0 +1,38 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para transferir la propiedad de un tablero.
+ * 
+ * @constant {yup.ObjectSchema} transferTableroSchema
+ */
+export const transferTableroSchema = yup.object().shape({
+  /**
+   * Validación del colaborador que recibirá la propiedad del tablero.
+   * Debe ser una cadena que contenga un ObjectId válido y es obligatorio.
+   */
+  userId: yup.string()
+    .required('El ID del usuario es obligatorio.')
+    .matches(/^[0-9a-fA-F]{24}$/, 'El ID del usuario debe ser un ObjectId válido.')
+});
+
+/**
+ * Middleware para validar la solicitud de transferencia de un tablero.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const transferTableroValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await transferTableroSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
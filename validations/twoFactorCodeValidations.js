@@ -0,0 +1,36 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para las operaciones que requieren un código de autenticación en dos pasos.
+ * 
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object({
+  /**
+   * Validación del código.
+   * Debe ser un código TOTP de 6 dígitos o un código de recuperación.
+   */
+  codigo: yup.string().trim().required().label('Código')
+});
+
+/**
+ * Middleware para validar el código de autenticación en dos pasos.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const twoFactorCodeValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await schema.validate(req.body ?? {}, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
@@ -0,0 +1,61 @@
+import * as yup from "yup";
+import {es} from "yup-locales";
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la actualización de elementos de la checklist de una tarea
+ *
+ * @constant {yup.ObjectSchema} schema
+ */
+const schema = yup.object().shape({
+
+    /**
+     * Validación opcional del texto del elemento
+     * Si se proporciona, debe ser una cadena no vacía de como máximo 500 caracteres
+     */
+    texto: yup.string()
+        .trim()
+        .min(1, "El texto no puede estar vacío")
+        .max(500, "El texto no puede tener más de 500 caracteres")
+        .notRequired(),
+
+    /**
+     * Validación opcional del estado del elemento
+     */
+    completado: yup.boolean()
+        .notRequired(),
+
+    /**
+     * Validación opcional del ID del usuario responsable del elemento
+     * Con null el elemento deja de estar asignado
+     */
+    asignadoA: yup.string()
+        .notRequired()
+        .nullable(),
+
+    /**
+     * Validación opcional de la fecha límite del elemento
+     * Con null el elemento deja de tener fecha límite
+     */
+    fechaLimite: yup.date()
+        .notRequired()
+        .nullable()
+});
+
+/**
+ * Middleware para validar los datos de actualización de elementos de la checklist
+ *
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const updateChecklistItemValidations = async (req, res, next) => {
+    try {
+        req.curatedBody = await schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,39 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { ROLES_COLABORADOR } from '../security/tableroPermissions.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para cambiar el rol de un colaborador de un tablero.
+ * 
+ * @constant {yup.ObjectSchema} updateColaboradorRolSchema
+ */
+export const updateColaboradorRolSchema = yup.object().shape({
+  /**
+   * Validación del nuevo rol del colaborador.
+   * Debe ser "editor", "comentarista" o "lector" y es obligatorio.
+   */
+  rol: yup.string()
+    .required('El rol es obligatorio.')
+    .oneOf(ROLES_COLABORADOR, 'El rol debe ser editor, comentarista o lector.')
+});
+
+/**
+ * Middleware para validar el cambio de rol de un colaborador.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const updateColaboradorRolValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await updateColaboradorRolSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
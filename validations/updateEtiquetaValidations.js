@@ -0,0 +1,50 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para la actualización de etiquetas de un tablero.
+ * 
+ * @constant {yup.ObjectSchema} updateEtiquetaSchema
+ */
+export const updateEtiquetaSchema = yup.object().shape({
+  /**
+   * Validación opcional del nombre de la etiqueta.
+   * Si se proporciona, debe ser una cadena no vacía de como máximo 50 caracteres.
+   */
+  nombre: yup.string()
+    .trim()
+    .min(1, 'El nombre no puede estar vacío.')
+    .max(50, 'El nombre no puede tener más de 50 caracteres.')
+    .notRequired(),
+
+  /**
+   * Validación opcional del color de la etiqueta.
+   * Si se proporciona, debe estar en formato hexadecimal (#rrggbb).
+   */
+  color: yup.string()
+    .trim()
+    .lowercase()
+    .matches(/^#[0-9a-f]{6}$/, 'El color debe tener el formato #rrggbb.')
+    .notRequired()
+});
+
+/**
+ * Middleware para validar los datos de actualización de una etiqueta.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const updateEtiquetaValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await updateEtiquetaSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,115 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { CATEGORIAS_FLUJO, generateClave } from '../utils/boardWorkflow.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación de cada columna del flujo de un tablero.
+ *
+ * @constant {yup.ObjectSchema} columnaFlujoSchema
+ */
+const columnaFlujoSchema = yup.object().shape({
+  /**
+   * Validación de la clave de la columna, que es el estado de las tareas que están en ella.
+   * Debe tener solo minúsculas, números y guiones bajos. Si no se indica, se genera a partir del nombre.
+   */
+  clave: yup.string()
+    .trim()
+    .required('La clave de la columna es obligatoria.')
+    .max(50, 'La clave no puede tener más de 50 caracteres.')
+    .matches(/^[a-z0-9_]+$/, 'La clave solo puede tener minúsculas, números y guiones bajos.'),
+
+  /**
+   * Validación del nombre de la columna.
+   * Debe ser una cadena no vacía de como máximo 50 caracteres.
+   */
+  nombre: yup.string()
+    .trim()
+    .required('El nombre es obligatorio.')
+    .max(50, 'El nombre no puede tener más de 50 caracteres.'),
+
+  /**
+   * Validación de la categoría de la columna.
+   * Debe ser "todo", "doing" o "done".
+   */
+  categoria: yup.string()
+    .required('La categoría es obligatoria.')
+    .oneOf(CATEGORIAS_FLUJO, 'La categoría debe ser todo, doing o done.'),
+
+  /**
+   * Validación del color de la columna.
+   * Debe estar en formato hexadecimal (#rrggbb).
+   */
+  color: yup.string()
+    .trim()
+    .lowercase()
+    .required('El color es obligatorio.')
+    .matches(/^#[0-9a-f]{6}$/, 'El color debe tener el formato #rrggbb.'),
+
+  /**
+   * Validación opcional de las columnas desde las que se pueden mover tareas a esta columna.
+   * Deben ser claves de otras columnas del flujo. Si está vacía, se permite desde cualquier columna.
+   */
+  desde: yup.array()
+    .of(yup.string().trim().required())
+    .default([]),
+
+  /**
+   * Validación opcional del límite de tareas en la columna.
+   * Debe ser un entero mayor que 0, o null si no hay límite.
+   */
+  limiteWip: yup.number()
+    .integer('El límite de tareas debe ser un número entero.')
+    .min(1, 'El límite de tareas debe ser al menos 1.')
+    .nullable()
+    .default(null)
+}).transform((columna) => (
+  columna && !columna.clave && typeof columna.nombre === 'string'
+    ? { ...columna, clave: generateClave(columna.nombre) }
+    : columna
+));
+
+/**
+ * Esquema de validación del flujo de un tablero.
+ *
+ * @constant {yup.ObjectSchema} updateFlujoSchema
+ */
+export const updateFlujoSchema = yup.object().shape({
+  /**
+   * Validación de las columnas del flujo, en orden.
+   * Debe haber al menos una columna, sus claves no pueden repetirse y sus transiciones deben ser entre columnas del flujo.
+   */
+  flujo: yup.array()
+    .of(columnaFlujoSchema)
+    .required('El flujo es obligatorio.')
+    .min(1, 'El flujo debe tener al menos una columna.')
+    .test('claves-unicas', 'Las columnas del flujo no pueden repetir su clave.', (flujo) => !flujo || new Set(flujo.map((columna) => columna.clave)).size === flujo.length)
+    .test('transiciones-validas', 'Las transiciones de cada columna deben ser desde otras columnas del flujo.', (flujo) => {
+      if (!flujo) {
+        return true;
+      }
+
+      const claves = flujo.map((columna) => columna.clave);
+      return flujo.every((columna) => columna.desde.every((clave) => clave !== columna.clave && claves.includes(clave)));
+    })
+});
+
+/**
+ * Middleware para validar el flujo de un tablero.
+ *
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const updateFlujoValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await updateFlujoSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
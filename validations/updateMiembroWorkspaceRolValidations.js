@@ -0,0 +1,39 @@
+import * as yup from 'yup';
+import { es } from 'yup-locales';
+import { ROLES_WORKSPACE } from '../security/workspacePermissions.js';
+
+yup.setLocale(es);
+
+/**
+ * Esquema de validación para cambiar el rol de un miembro de un workspace.
+ * 
+ * @constant {yup.ObjectSchema} updateMiembroWorkspaceRolSchema
+ */
+export const updateMiembroWorkspaceRolSchema = yup.object().shape({
+  /**
+   * Validación del nuevo rol del miembro.
+   * Debe ser "administrador" o "miembro" y es obligatorio.
+   */
+  rol: yup.string()
+    .required('El rol es obligatorio.')
+    .oneOf(ROLES_WORKSPACE, 'El rol debe ser administrador o miembro.')
+});
+
+/**
+ * Middleware para validar el cambio de rol de un miembro de un workspace.
+ * 
+ * @async
+ * @function
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {Function} next - Función para pasar al siguiente middleware.
+ * @throws {Error} Si la validación falla, se pasa el error al siguiente middleware.
+ */
+export const updateMiembroWorkspaceRolValidations = async (req, res, next) => {
+  try {
+    req.curatedBody = await updateMiembroWorkspaceRolSchema.validate(req.body, { abortEarly: false, stripUnknown: true });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
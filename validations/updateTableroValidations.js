@@ -38,23 +38,6 @@ export const updateTableroSchema = yup.object().shape({
    * Debe ser una fecha válida o nula.
    */
   fechaFin: yup.date()
-    .notRequired()
-    .nullable(),
-
-  /**
-   * Validación del administrador del tablero.
-   * Debe ser una cadena que contenga un ObjectId válido y es obligatorio.
-   */
-  administrador: yup.string()
-    .matches(/^[0-9a-fA-F]{24}$/, 'El ID del administrador debe ser un ObjectId válido.')
-    .notRequired(),
-
-  /**
-   * Validación de los colaboradores del tablero.
-   * Debe ser una lista de cadenas que contengan ObjectIds válidos.
-   */
-  colaboradores: yup.array()
-    .of(yup.string().matches(/^[0-9a-fA-F]{24}$/, 'El ID del colaborador debe ser un ObjectId válido.'))
     .notRequired()
     .nullable()
 });
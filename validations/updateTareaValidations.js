@@ -38,10 +38,10 @@ const schema = yup.object().shape({
 
     /**
      * Validación opcional del estado de la tarea
-     * Si se proporciona, debe ser "pendiente", "en proceso", "en revisión" o "completada"
+     * Si se proporciona, debe ser la clave de una columna del flujo del tablero, que se comprueba junto con el tablero
      */
     estado: yup.string()
-        .oneOf(['pendiente', 'en_proceso', 'en_revision', 'completada'], "El estado de la tarea deber ser pendiente, en proceso, en revisión o completada")
+        .trim()
         .notRequired(),
 
     /**
@@ -62,22 +62,23 @@ const schema = yup.object().shape({
         .nullable(),
 
     /**
-     * Validación opcional del listado de comentarios de la tarea
+     * Validación opcional del ID de la tarea padre
+     * Con null la tarea deja de ser una subtarea
      */
-    comentarios: yup.array()
-        .of(yup.object({
-            usuario: yup.string()
-                .required(),
-
-            mensaje: yup.string()
-                .required(),
-
-            fecha: yup.date()
-                .default(new Date())
-        })).notRequired().min(1),
+    tareaPadre: yup.string()
+        .notRequired()
+        .nullable(),
 
     tablero: yup.string()
+        .notRequired(),
+
+    /**
+     * Permite al propietario del tablero mover una tarea con tareas bloqueantes sin completar
+     * y saltarse las transiciones y los límites de tareas de las columnas del flujo
+     */
+    forzar: yup.boolean()
         .notRequired()
+        .default(false)
 });
 
 /**
@@ -43,7 +43,7 @@ const updateUsuarioValidations = yup.object().shape({
    * Si se proporciona, debe ser "administrador" o "usuario".
    */
   rol: yup.string()
-    .oneOf(['administrador', 'usuario'], 'El rol debe ser administrador o usuario.')
+    .oneOf(['administrador', 'usuario', 'invitado'], 'El rol debe ser administrador, usuario o invitado.')
     .notRequired(),
 
   /**
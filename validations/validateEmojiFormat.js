@@ -0,0 +1,39 @@
+import { BadRequestError } from "../errors/BadRequestError.js";
+
+/**
+ * Longitud máxima de un emoji. Admite secuencias compuestas, como las banderas o los emojis con tono de piel.
+ *
+ * @constant {number}
+ */
+const MAX_EMOJI_LENGTH = 32;
+
+/**
+ * Middleware para validar que un parámetro de la ruta sea un único emoji o una secuencia de emojis
+ *
+ * @function
+ * @param {string} [paramName='emoji'] - Nombre del parámetro en los parámetros de la ruta que contiene el emoji
+ * @returns {Function} Middleware de validación
+ */
+export const validateEmojiFormat = (paramName = 'emoji') => {
+    return (req, res, next) => {
+        const paramValue = req.params[paramName] || '';
+
+        if (isValidEmoji(paramValue)) {
+            next();
+        } else {
+            next(new BadRequestError(`param_${paramName}_is_not_a_valid_emoji`.toLowerCase()));
+        }
+    }
+};
+
+/**
+ * Validación del emoji
+ * @param {String} emoji Texto para comprobar
+ * @returns {boolean} True si el texto solo contiene emojis y sus modificadores o False si no
+ */
+function isValidEmoji(emoji) {
+    // Los componentes (dígitos, tonos de piel, selectores de variación...) solo se admiten junto a un pictograma
+    return emoji.length <= MAX_EMOJI_LENGTH
+        && /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u.test(emoji)
+        && /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u.test(emoji);
+}
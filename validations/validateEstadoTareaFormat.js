@@ -1,7 +1,9 @@
 import { BadRequestError } from "../errors/BadRequestError.js";
+import { getColumna } from "../utils/boardWorkflow.js";
 
 /**
- * Middleware para validar el formato del estadp
+ * Middleware para validar que el estado sea una de las columnas del flujo del tablero.
+ * Debe usarse después de `tableroAccessChecker`, que establece `req.tablero`.
  *
  * @function
  * @param {string} [paramName='estado'] - Nombre del parámetro en los parámetros de la ruta que contiene el estado
@@ -11,7 +13,7 @@ export const validateEstadoTareaFormat = (paramName = 'estado') => {
     return (req, res, next) => {
         const paramValue = req.body[paramName] || '';
 
-        if (paramValue === "pendiente" || paramValue === "en_proceso" || paramValue === "en_revision" || paramValue === "completada") {
+        if (getColumna(req.tablero, paramValue)) {
             next();
         } else {
             next(new BadRequestError(`param_${paramName}_is_not_valid_state`.toLowerCase()));